@@ -1,6 +1,7 @@
 import React from 'react';
 import {Card, CardBody, Button, Progress} from 'reactstrap';
 import {getStringColour} from '../../../helper';
+import Cooldowns from './cooldowns';
 
 class CharacterCard extends React.Component {
     constructor(props) {
@@ -30,6 +31,10 @@ class CharacterCard extends React.Component {
                         <Progress bar color="danger" value="50">Cash: {this.props.character.stats.cash || 0}</Progress>
                         <Progress bar color="danger" value="50">Bank: {this.props.character.stats.bank || 0}</Progress>
                     </Progress>
+                    {
+                        this.props.character.cooldowns &&
+                        <Cooldowns cooldowns={this.props.character.cooldowns} />
+                    }
                     {
                         this.props.onSelect &&
                         <Button block color="primary" onClick={() => this.props.onSelect(this.props.character.name)}>Play Character</Button>
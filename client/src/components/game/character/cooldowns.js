@@ -0,0 +1,55 @@
+import React from 'react';
+import {Progress} from 'reactstrap';
+
+class Cooldowns extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            now: Date.now(),
+        };
+
+        this.timer = null;
+    }
+
+    componentDidMount() {
+        this.timer = setInterval(() => {
+            this.setState({now: Date.now()});
+        }, 100);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    getLabel(action) {
+        const label = action.replace('skill_', '').replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.substr(1);
+    }
+
+    render() {
+        const cooldowns = this.props.cooldowns.filter((cooldown) => cooldown.expires > this.state.now);
+
+        if (!cooldowns.length) {
+            return null;
+        }
+
+        return (
+            <div className="cooldowns">
+                {
+                    cooldowns.map((cooldown, index) => {
+                        const timeLeft = cooldown.expires - this.state.now;
+
+                        return (
+                            <Progress key={index} color="warning" value={timeLeft} max={cooldown.duration * 1000}>
+                                {this.getLabel(cooldown.action)}: {(timeLeft / 1000).toFixed(1)}s
+                            </Progress>
+                        );
+                    })
+                }
+            </div>
+        );
+    }
+}
+
+export default Cooldowns;
@@ -12,6 +12,28 @@ const defaultState = {
     list: null,
 };
 
+/**
+ * Converts the time left of each cooldown and status effect to a local expiry timestamp
+ * @param  {Object} character The character (or partial character) update
+ * @return {Object}
+ */
+function setTimerExpiry(character) {
+    const updated = {...character};
+
+    ['cooldowns', 'statuses'].forEach((key) => {
+        if (!character[key]) {
+            return;
+        }
+
+        updated[key] = character[key].map((timer) => ({
+            ...timer,
+            expires: Date.now() + timer.timeLeft,
+        }));
+    });
+
+    return updated;
+}
+
 export default function(state = defaultState, action) {
     switch (action.type) {
         case CHARACTER_REMOTE_LOGOUT:
@@ -27,7 +49,7 @@ export default function(state = defaultState, action) {
         case CHARACTER_LOGIN:
             return {
                 ...state,
-                selected: action.payload.character,
+                selected: setTimerExpiry(action.payload.character),
             };
 
         case CHARACTER_CREATE_SUCCESS:
@@ -44,7 +66,7 @@ export default function(state = defaultState, action) {
                 ...state,
                 selected: {
                     ...state.selected,
-                    ...action.payload,
+                    ...setTimerExpiry(action.payload),
                 },
             };
     }
@@ -1,5 +1,6 @@
 import React from 'react';
 import {connect} from 'react-redux';
+import Statuses from './statuses';
 
 class Stats extends React.Component {
     constructor(props) {
@@ -12,6 +13,13 @@ class Stats extends React.Component {
                 <p><strong>Health:</strong> {this.props.character.stats.health}/{this.props.character.stats.health_max}</p>
                 <p><strong>Cash:</strong> {this.props.character.stats.money}</p>
                 <p><strong>Bank:</strong> {this.props.character.stats.bank}</p>
+                <p>
+                    <strong>Heat:</strong> {this.props.character.stats.heat || 0}/{this.props.heat.max}
+                    {
+                        (this.props.character.stats.heat || 0) >= this.props.heat.wanted &&
+                        <strong className="text-danger"> (Wanted)</strong>
+                    }
+                </p>
                 <div>Abilities</div>
                 {
                     Object.keys(this.props.character.abilities).map((key) =>
@@ -24,6 +32,24 @@ class Stats extends React.Component {
                         <p key={key}><strong>{this.props.character.skills[key].name}:</strong> {this.props.character.skills[key].modifiers.value}</p>
                     )
                 }
+                <div>Effects</div>
+                <Statuses statuses={this.props.character.statuses || []} />
+                <div>Quests</div>
+                {
+                    !(this.props.character.quests || []).length && <p>None</p>
+                }
+                {
+                    (this.props.character.quests || []).map((quest) =>
+                        <React.Fragment key={quest.id}>
+                            <p title={quest.description}><strong>{quest.name}</strong></p>
+                            {
+                                quest.objectives.map((objective, index) =>
+                                    <p key={index}>{objective}</p>
+                                )
+                            }
+                        </React.Fragment>
+                    )
+                }
             </React.Fragment>
         );
     }
@@ -32,6 +58,7 @@ class Stats extends React.Component {
 function mapStateToProps(state) {
     return {
         character: state.character.selected,
+        heat: state.game.heat,
     };
 }
 
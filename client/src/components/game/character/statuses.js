@@ -0,0 +1,45 @@
+import React from 'react';
+
+class Statuses extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            now: Date.now(),
+        };
+
+        this.timer = null;
+    }
+
+    componentDidMount() {
+        this.timer = setInterval(() => {
+            this.setState({now: Date.now()});
+        }, 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    render() {
+        const statuses = this.props.statuses.filter((status) => status.expires > this.state.now);
+
+        if (!statuses.length) {
+            return <p>None</p>;
+        }
+
+        return (
+            <React.Fragment>
+                {
+                    statuses.map((status) =>
+                        <p key={status.id} title={status.description}>
+                            <strong>{status.name}{status.stacks > 1 ? ` x${status.stacks}` : ''}:</strong> {Math.ceil((status.expires - this.state.now) / 1000)}s
+                        </p>
+                    )
+                }
+            </React.Fragment>
+        );
+    }
+}
+
+export default Statuses;
@@ -45,6 +45,9 @@ class Chat extends React.Component {
             case 'faction':
                 prefix = '[Faction]';
                 break;
+            case 'allied':
+                prefix = message.tag ? `[Allied] [${message.tag}]` : '[Allied]';
+                break;
         }
 
         // if there is no sender, assume its from the Game itself
@@ -22,6 +22,7 @@ import CharacterCard from './character/card';
 import CharacterMenu from './character/menu';
 import CharacterCombatMenu from './character/combat';
 import Shop from './shop';
+import Trade from './trade';
 
 class Game extends React.Component {
     constructor(props) {
@@ -228,6 +229,7 @@ class Game extends React.Component {
                 <div id="game">
                     {this.renderUI()}
                     <Shop />
+                    <Trade />
                 </div>
             </React.Fragment>
         );
@@ -30,6 +30,21 @@ class Map extends React.Component {
             buildings[building.location.x + '-' + building.location.y] = building.colour;
         });
 
+        // the terrain tiles of this map, one row per y coordinate
+        const terrain = map.terrain || {tiles: [], legend: {}};
+
+        // the turf claimed by factions on this map
+        let turf = {};
+        (map.turf || []).map((claim) => {
+            turf[claim.location.x + '-' + claim.location.y] = claim.faction;
+        });
+
+        // the locations of faction members with an active distress beacon, on this map
+        let beacons = {};
+        this.props.map.beacons.filter((beacon) => beacon.map === this.props.character.location.map).map((beacon) => {
+            beacons[beacon.x + '-' + beacon.y] = beacon;
+        });
+
         for (let y = 0; y <= map.gridSize.y; y++) {
             let cells = [];
             for (let x = 0; x <= map.gridSize.x; x++) {
@@ -37,6 +52,29 @@ class Map extends React.Component {
                 let classes = ['x'];
                 let styles = {};
 
+                // colour the terrain, eg. buildings, water and parks
+                const tile = terrain.legend[(terrain.tiles[y] || '').charAt(x)];
+                let title = tile ? tile.name : null;
+
+                if (tile && tile.colour) {
+                    Object.assign(styles, {
+                        backgroundColor: tile.colour,
+                    });
+                }
+
+                if (tile && !tile.passable) {
+                    classes.push('blocked');
+                }
+
+                // If this location is claimed by a faction, outline it in the faction's colour
+                if (turf[cellId]) {
+                    classes.push('t');
+                    title = `${turf[cellId].name} [${turf[cellId].tag}]`;
+                    Object.assign(styles, {
+                        boxShadow: `inset 0 0 0 2px ${getStringColour(turf[cellId].tag)}`,
+                    });
+                }
+
                 // If this location has a building
                 if (typeof buildings[cellId] !== 'undefined') {
                     classes.push('b');
@@ -45,6 +83,14 @@ class Map extends React.Component {
                     });
                 }
 
+                // If a faction member's distress beacon is on this location
+                if (typeof beacons[cellId] !== 'undefined') {
+                    classes.push('beacon');
+                    Object.assign(styles, {
+                        backgroundColor: getStringColour(beacons[cellId].name),
+                    });
+                }
+
                 // If character is on this location
                 if (this.props.character.location.x == x && this.props.character.location.y == y) {
                     classes.push('c');
@@ -53,7 +99,7 @@ class Map extends React.Component {
                     });
                 }
 
-                cells.push(<div key={cellId} className={classnames(classes)} style={styles} />);
+                cells.push(<div key={cellId} className={classnames(classes)} style={styles} title={title} />);
             }
             grid.push(<div key={y} className="y">{cells}</div>);
         }
@@ -69,6 +115,10 @@ class Map extends React.Component {
                         N {this.props.character.location.y} : E {this.props.character.location.x}
                     </div>
                     {this.props.maps[this.props.character.location.map].name}
+                    {
+                        this.props.map.district &&
+                        <span> - {this.props.map.district.name} <small className="text-muted">(danger {this.props.map.district.danger})</small></span>
+                    }
                 </CardHeader>
                 <div id="map">
                     {this.renderGrid()}
@@ -7,14 +7,17 @@ import {
     CHARACTER_LOGOUT,
     CHARACTER_REMOTE_LOGOUT,
     ITEM_GROUND_ITEMS,
+    MAP_BEACONS,
 } from 'shared/actionTypes';
 
 const defaultState = {
     description: '',
+    district: null,
     players: [],
     items: [],
     npcs: [],
     structures: [],
+    beacons: [],
 };
 
 export default function(state = defaultState, action) {
@@ -26,6 +29,14 @@ export default function(state = defaultState, action) {
         case MAP_GRID_DETAILS:
             return {
                 ...action.payload,
+                beacons: state.beacons,
+            };
+
+        // when the distress beacons of faction members change
+        case MAP_BEACONS:
+            return {
+                ...state,
+                beacons: action.payload,
             };
 
         // when another character joins the players grid
@@ -3,7 +3,7 @@ import {connect} from 'react-redux';
 import {bindActionCreators} from 'redux';
 
 // UI
-import {Table, Button} from 'reactstrap';
+import {Table, Button, Badge} from 'reactstrap';
 
 // Redux
 import {togglePlayersMenu} from './actions';
@@ -21,6 +21,36 @@ class Players extends React.Component {
         this.props.sendCommand(command);
     }
 
+    hasFactionPermission(permission) {
+        const {faction} = this.props.character;
+        const userId = this.props.character.user_id;
+
+        if (!faction) {
+            return false;
+        }
+
+        // the leader has every permission
+        if (faction.leader_id === userId) {
+            return true;
+        }
+
+        const ranks = faction.ranks || [];
+        const rankIndex = faction.member_ranks && faction.member_ranks[userId];
+        const rank = ranks[typeof rankIndex === 'number' ? rankIndex : ranks.length - 1];
+
+        return rank ? rank.permissions.includes(permission) : false;
+    }
+
+    isAllied(player) {
+        const {faction} = this.props.character;
+
+        if (!faction || !player.faction || !faction.allies) {
+            return false;
+        }
+
+        return faction.allies.some((ally) => ally.faction_id === player.faction.faction_id);
+    }
+
     render() {
         return (
             <Table striped size="sm">
@@ -43,17 +73,19 @@ class Players extends React.Component {
                                             {player.name}
                                         </div>
                                     </td>
-                                    <td>{player.faction && `[${player.faction.tag}] ${player.faction.name}` || ''}</td>
+                                    <td>
+                                        {player.faction && `[${player.faction.tag}] ${player.faction.name}` || ''}
+                                        {' '}
+                                        {this.isAllied(player) && <Badge color="success">Ally</Badge>}
+                                    </td>
                                     <td></td>
                                     <td className="text-right">
                                         <Button color="primary" size="sm" onClick={() => this.doAction(`/whisper ${player.name} `, true)}>Whisper</Button>
                                         {
                                             // Player is not in a faction
                                             !player.faction &&
-                                            // Character is in a faction
-                                            this.props.character.faction &&
-                                            // Character is the faction leader
-                                            this.props.character.faction.leader_id === this.props.character.user_id &&
+                                            // Character's faction rank allows them to invite
+                                            this.hasFactionPermission('invite') &&
                                             <Button color="primary" size="sm" onClick={() => this.doAction(`/factioninvite ${player.name}`)}>Faction Invite</Button>
                                         }
                                         {
@@ -65,11 +97,22 @@ class Players extends React.Component {
                                             this.props.character.faction &&
                                             // Player and Character is in the same faction
                                             this.props.character.faction.faction_id === player.faction.faction_id &&
-                                            // Character is the faction leader
-                                            this.props.character.faction.leader_id === this.props.character.user_id &&
                                             <React.Fragment>
-                                                <Button color="primary" size="sm" onClick={() => this.doAction(`/factionkick ${player.name}`)}>Faction Kick</Button>
-                                                <Button color="primary" size="sm" onClick={() => this.doAction(`/factionpromote ${player.name}`)}>Faction Promote</Button>
+                                                {
+                                                    // Character's faction rank allows them to kick
+                                                    this.hasFactionPermission('kick') &&
+                                                    <Button color="primary" size="sm" onClick={() => this.doAction(`/factionkick ${player.name}`)}>Faction Kick</Button>
+                                                }
+                                                {
+                                                    // Character's faction rank allows them to change ranks
+                                                    this.hasFactionPermission('promote') &&
+                                                    <Button color="primary" size="sm" onClick={() => this.doAction(`/factionrank ${player.name} `, true)}>Faction Rank</Button>
+                                                }
+                                                {
+                                                    // Character is the faction leader
+                                                    this.props.character.faction.leader_id === this.props.character.user_id &&
+                                                    <Button color="primary" size="sm" onClick={() => this.doAction(`/factionpromote ${player.name}`)}>Faction Promote</Button>
+                                                }
                                             </React.Fragment>
                                         }
                                     </td>
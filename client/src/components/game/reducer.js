@@ -4,6 +4,7 @@ import {
     CHARACTER_LOGIN,
     COMMAND_CHAT_MESSAGE,
     MAP_LIST,
+    MAP_TURF,
     USER_AUTHENTICATE_SUCCESS,
     CHARACTER_LOGOUT,
     CHARACTER_REMOTE_LOGOUT,
@@ -16,6 +17,10 @@ const defaultState = {
     items: {},
     commands: {},
     levels: [],
+    heat: {
+        max: 100,
+        wanted: 20,
+    },
 };
 export default function(state = defaultState, action) {
     let players;
@@ -27,6 +32,23 @@ export default function(state = defaultState, action) {
                 maps: action.payload,
             };
 
+        // when the turf claimed by factions on a map changes
+        case MAP_TURF:
+            if (!state.maps[action.payload.map]) {
+                return state;
+            }
+
+            return {
+                ...state,
+                maps: {
+                    ...state.maps,
+                    [action.payload.map]: {
+                        ...state.maps[action.payload.map],
+                        turf: action.payload.turf,
+                    },
+                },
+            };
+
         case CHARACTER_LOGIN:
         case USER_AUTHENTICATE_SUCCESS:
             return {
@@ -0,0 +1,29 @@
+import {TRADE_HIDE} from './types';
+import {newCommand} from '../actions';
+
+export function tradeHide() {
+    return {
+        type: TRADE_HIDE,
+        payload: null,
+    };
+}
+
+export function tradeOffer(itemName, amount) {
+    return newCommand(`/tradeoffer "${itemName}" ${amount}`);
+}
+
+export function tradeRemove(itemName) {
+    return newCommand(`/traderemove "${itemName}"`);
+}
+
+export function tradeCash(amount) {
+    return newCommand(`/tradecash ${amount}`);
+}
+
+export function tradeConfirm() {
+    return newCommand('/tradeconfirm');
+}
+
+export function tradeCancel() {
+    return newCommand('/tradecancel');
+}
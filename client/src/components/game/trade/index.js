@@ -0,0 +1,165 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {bindActionCreators} from 'redux';
+import {
+    Row,
+    Col,
+    Modal,
+    ModalHeader,
+    ModalBody,
+    ModalFooter,
+    Input,
+    InputGroup,
+    InputGroupAddon,
+    Button,
+    Badge,
+} from 'reactstrap';
+
+// actions
+import {
+    tradeHide,
+    tradeOffer,
+    tradeRemove,
+    tradeCash,
+    tradeConfirm,
+    tradeCancel,
+} from './actions';
+
+class Trade extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            item: '',
+            amount: 1,
+            cash: 0,
+        };
+    }
+
+    renderOffer(offer, isOwn) {
+        return (
+            <React.Fragment>
+                <h5>
+                    {isOwn ? 'Your Offer' : `${offer.name}'s Offer`}
+                    {' '}
+                    {offer.confirmed && <Badge color="success">Confirmed</Badge>}
+                </h5>
+                <p><strong>Cash:</strong> {offer.cash}</p>
+                {
+                    !offer.items.length && <p>No items</p>
+                }
+                {
+                    offer.items.map((item, index) =>
+                        <p key={index}>
+                            {item.amount > 1 ? `${item.amount}x ` : ''}{item.name}
+                            {
+                                isOwn &&
+                                <Button size="sm" color="link" onClick={() => this.props.tradeRemove(item.name)}>Remove</Button>
+                            }
+                        </p>
+                    )
+                }
+            </React.Fragment>
+        );
+    }
+
+    render() {
+        const {trade, inventory} = this.props;
+
+        if (!trade) {
+            return null;
+        }
+
+        // only unequipped items can be traded
+        const tradeable = inventory
+            .filter((item) => item.inventorySlot.indexOf('inv-') === 0)
+            .reduce((names, item) => names.includes(item.name) ? names : [...names, item.name], []);
+
+        return (
+            <Modal isOpen={trade.open} toggle={this.props.tradeHide} size="lg">
+                <ModalHeader toggle={this.props.tradeHide}>Trading with {trade.partner.name}</ModalHeader>
+                <ModalBody>
+                    <Row>
+                        <Col xs="6">
+                            {this.renderOffer(trade.offer, true)}
+                        </Col>
+                        <Col xs="6">
+                            {this.renderOffer(trade.partner, false)}
+                        </Col>
+                        <Col xs="12">
+                            <hr />
+                        </Col>
+                        <Col xs="6">
+                            <InputGroup>
+                                <Input
+                                    type="select"
+                                    value={this.state.item}
+                                    onChange={(e) => this.setState({item: e.target.value})}
+                                >
+                                    <option value="" defaultValue hidden>Item</option>
+                                    {
+                                        tradeable.map((name) => (
+                                            <option key={name} value={name}>{name}</option>
+                                        ))
+                                    }
+                                </Input>
+                                <Input
+                                    type="number"
+                                    min="1"
+                                    value={this.state.amount}
+                                    onChange={(e) => this.setState({amount: e.target.value})}
+                                />
+                                <InputGroupAddon addonType="append">
+                                    <Button
+                                        color="primary"
+                                        disabled={!this.state.item}
+                                        onClick={() => this.props.tradeOffer(this.state.item, this.state.amount)}
+                                    >
+                                        Offer
+                                    </Button>
+                                </InputGroupAddon>
+                            </InputGroup>
+                        </Col>
+                        <Col xs="6">
+                            <InputGroup>
+                                <Input
+                                    type="number"
+                                    min="0"
+                                    value={this.state.cash}
+                                    onChange={(e) => this.setState({cash: e.target.value})}
+                                />
+                                <InputGroupAddon addonType="append">
+                                    <Button color="primary" onClick={() => this.props.tradeCash(this.state.cash)}>Set Cash</Button>
+                                </InputGroupAddon>
+                            </InputGroup>
+                        </Col>
+                    </Row>
+                </ModalBody>
+                <ModalFooter>
+                    <Button color="success" disabled={trade.offer.confirmed} onClick={this.props.tradeConfirm}>Confirm</Button>
+                    <Button color="danger" onClick={this.props.tradeCancel}>Cancel Trade</Button>
+                </ModalFooter>
+            </Modal>
+        );
+    }
+}
+
+function mapDispatchToProps(dispatch) {
+    return bindActionCreators({
+        tradeHide,
+        tradeOffer,
+        tradeRemove,
+        tradeCash,
+        tradeConfirm,
+        tradeCancel,
+    }, dispatch);
+}
+
+function mapStateToProps(state) {
+    return {
+        trade: state.trade,
+        inventory: state.character.selected ? state.character.selected.inventory : [],
+    };
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(Trade);
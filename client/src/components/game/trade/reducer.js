@@ -0,0 +1,37 @@
+import {
+    CHARACTER_REMOTE_LOGOUT,
+    CHARACTER_LOGOUT,
+    TRADE_UPDATE,
+    TRADE_CLOSE,
+} from 'shared/actionTypes';
+import {TRADE_HIDE} from './types';
+
+export default function(state = null, action) {
+    switch (action.type) {
+        case TRADE_UPDATE:
+            return {
+                ...action.payload,
+                open: true,
+            };
+
+        case TRADE_HIDE:
+            return {
+                ...state,
+                open: false,
+            };
+
+        case TRADE_CLOSE:
+            // ignore if it is not the trade we are viewing
+            if (!state || state.id !== action.payload) {
+                return state;
+            }
+
+            return null;
+
+        case CHARACTER_REMOTE_LOGOUT:
+        case CHARACTER_LOGOUT:
+            return null;
+    }
+
+    return state;
+}
@@ -0,0 +1 @@
+export const TRADE_HIDE = 'TRADE_HIDE';
@@ -9,6 +9,7 @@ import GameReducer from './components/game/reducer';
 import EventsReducer from './components/game/events/reducer';
 import MapReducer from './components/game/map/reducer';
 import ShopReducer from './components/game/shop/reducer';
+import TradeReducer from './components/game/trade/reducer';
 
 // refactored reducers
 import InventoryReducer from './components/game/inventory-menu/reducer';
@@ -25,6 +26,7 @@ const rootReducer = combineReducers({
     events: EventsReducer,
     map: MapReducer,
     shop: ShopReducer,
+    trade: TradeReducer,
     router: routerReducer,
 });
 
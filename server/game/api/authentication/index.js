@@ -1,7 +1,6 @@
 import passport from 'passport';
 import config from '../../../config.json';
-import UserModel from '../models/user';
-import IdentityModel from '../models/identity';
+import repositories from '../../components/repository';
 import jwt from 'jsonwebtoken';
 
 // authentication strategies
@@ -86,7 +85,7 @@ export function activateUser(req, res) {
         });
     }
 
-    UserModel.findOne({_id: escape(req.params.userId), activationToken: escape(req.query.token)}, (err, user) => {
+    repositories.users.findOne({_id: escape(req.params.userId), activationToken: escape(req.query.token)}).asCallback((err, user) => {
         if (err) {
             return output(req, res, {
                 status: 500,
@@ -105,7 +104,7 @@ export function activateUser(req, res) {
         user.activationToken = '';
         user.activated = true;
 
-        user.save((err) => {
+        repositories.users.save(user).asCallback((err) => {
             if (err) {
                 return output(req, res, {
                     status: 500,
@@ -128,11 +127,11 @@ export function activateUser(req, res) {
  * @param  {Identity} identity
  */
 function linkNewUser(req, res, identity) {
-    const newUser = new UserModel({
+    const newUser = repositories.users.create({
         activated: true,
     });
 
-    newUser.save((err) => {
+    repositories.users.save(newUser).asCallback((err) => {
         if (err) {
             return output(req, res, {
                 status: 500,
@@ -142,7 +141,7 @@ function linkNewUser(req, res, identity) {
 
         identity.userId = newUser._id.toString();
 
-        identity.save((err) => {
+        repositories.identities.save(identity).asCallback((err) => {
             if (err) {
                 return output(req, res, {
                     status: 500,
@@ -175,7 +174,7 @@ function authenticateProvider(req, res) {
             });
         }
 
-        IdentityModel.findOne({_id: decoded.identity}, (err, identity) => {
+        repositories.identities.findOne({_id: decoded.identity}).asCallback((err, identity) => {
             if (err) {
                 return output(req, res, {
                     status: 500,
@@ -199,7 +198,7 @@ function authenticateProvider(req, res) {
             identity = identity.toObject();
 
             // fetch the user details, and send back a user-jwt token
-            UserModel.findOne({_id: identity.userId}, (err, user) => {
+            repositories.users.findOne({_id: identity.userId}).asCallback((err, user) => {
                 if (err) {
                     return output(req, res, {
                         status: 500,
@@ -353,9 +352,10 @@ export function isAuthenticated(req, res, next) {
             }
         }
 
-        UserModel.findOne(
+        repositories.users.findOne(
             {_id: decoded._id, session_token: decoded.session_token},
-            {_id: 1, email: 1, session_token: 1, activated: 1, date_added: 1, password: 1},
+            {_id: 1, email: 1, session_token: 1, activated: 1, date_added: 1, password: 1}
+        ).asCallback(
             (err, user) => {
                 if (err || !user) {
                     return output(req, res, {
@@ -405,7 +405,7 @@ export function linkProvider(req, res) {
                 });
             }
 
-            IdentityModel.findOne({_id: decoded.identity}, (err, identity) => {
+            repositories.identities.findOne({_id: decoded.identity}).asCallback((err, identity) => {
                 if (err) {
                     return output(req, res, {
                         status: 500,
@@ -422,7 +422,7 @@ export function linkProvider(req, res) {
 
                 identity.userId = authTokenDecoded._id;
 
-                identity.save((err) => {
+                repositories.identities.save(identity).asCallback((err) => {
                     if (err) {
                         return output(req, res, {
                             status: 500,
@@ -453,7 +453,7 @@ export function unlinkProvider(req, res) {
         });
     }
 
-    IdentityModel.findOne({provider: req.body.provider, userId: req.user._id}, (err, identity) => {
+    repositories.identities.findOne({provider: req.body.provider, userId: req.user._id}).asCallback((err, identity) => {
         if (err) {
             return output(req, res, {
                 status: 500,
@@ -468,7 +468,7 @@ export function unlinkProvider(req, res) {
             });
         }
 
-        identity.remove((err) => {
+        repositories.identities.delete({_id: identity._id}).asCallback((err) => {
             if (err) {
                 return output(req, res, {
                     status: 500,
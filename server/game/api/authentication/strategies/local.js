@@ -1,5 +1,5 @@
 import LocalStrategy from 'passport-local';
-import UserModel from '../../models/user';
+import repositories from '../../../components/repository';
 import passwordResetEmail from '../../../data/emails/passwordReset.js';
 import newPasswordEmail from '../../../data/emails/passwordNew.js';
 import uuid from 'uuid/v4';
@@ -30,9 +30,10 @@ export function setup(passport, loggerObj) {
  * @param {Function} done
  */
 function Auth(email, password, done) {
-    UserModel.findOne(
+    repositories.users.findOne(
         {email: escape(email)},
-        {email: 1, password: 1, activated: 1, session_token: 1},
+        {email: 1, password: 1, activated: 1, session_token: 1}
+    ).asCallback(
         async (err, user) => {
             if (err) {
                 logger.error(err);
@@ -82,7 +83,7 @@ export function resetConfirm(req, res) {
         });
     }
 
-    UserModel.findOne({_id: escape(req.params.userId)}, (err, user) => {
+    repositories.users.findOne({_id: escape(req.params.userId)}).asCallback((err, user) => {
         if (err) {
             logger.error(err);
             return res.status(500).json({
@@ -123,7 +124,7 @@ export function resetConfirm(req, res) {
         // if they clicked the reset link, they would essentially have confirmed the email is reachable
         user.activated = true;
 
-        user.save((err) => {
+        repositories.users.save(user).asCallback((err) => {
             if (err) {
                 logger.error(err);
                 return res.status(500).json({
@@ -170,8 +171,9 @@ export function passwordReset(req, res) {
         });
     }
 
-    UserModel.findOne(
-        {email: escape(req.body.email)},
+    repositories.users.findOne(
+        {email: escape(req.body.email)}
+    ).asCallback(
         async (err, user) => {
             if (err) {
                 logger.error(err);
@@ -207,7 +209,7 @@ export function passwordReset(req, res) {
             };
 
             user.passwordReset = resetObject;
-            user.save((err) => {
+            repositories.users.save(user).asCallback((err) => {
                 const mailer = req.app.get('mailer');
                 const link = `http${req.secure ? 's' : ''}//${req.headers.host}/api/auth/reset/${user._id.toString()}?token=${resetObject.token}`;
 
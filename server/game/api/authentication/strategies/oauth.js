@@ -1,5 +1,4 @@
-import UserModel from '../../models/user';
-import IdentityModel from '../../models/identity';
+import repositories from '../../../components/repository';
 
 let logger;
 
@@ -30,7 +29,7 @@ export default function setup(passport, details, loggerObj) {
  * Handles authentication requests
  */
 function Auth(accessToken, refreshToken, profile, cb) {
-    IdentityModel.findOne({provider: escape(profile.provider), providerId: escape(profile.id)}, async (err, identity) => {
+    repositories.identities.findOne({provider: escape(profile.provider), providerId: escape(profile.id)}).asCallback(async (err, identity) => {
         if (err) {
             logger.error(err);
             return cb('Something went wrong, please try again in a moment.');
@@ -53,7 +52,7 @@ function Auth(accessToken, refreshToken, profile, cb) {
         }
 
         // load the user data, associated with the identity
-        UserModel.findOne({_id: escape(identity.userId)}, {_id: 1, session_token: 1}, async (err, user) => {
+        repositories.users.findOne({_id: escape(identity.userId)}, {_id: 1, session_token: 1}).asCallback(async (err, user) => {
             if (err) {
                 logger.error(err);
                 return cb('Something went wrong, please try again in a moment.');
@@ -81,10 +80,10 @@ function Auth(accessToken, refreshToken, profile, cb) {
  * @param  {MongoDB Object} identity The identity up update
  */
 async function createNewUser(identity) {
-    const newUser = new UserModel({
+    const newUser = repositories.users.create({
         activated: true,
     });
-    await newUser.saveAsync();
+    await repositories.users.save(newUser);
 
     if (!newUser) {
         return null;
@@ -94,7 +93,7 @@ async function createNewUser(identity) {
 
     try {
         // update the identity with the new user id
-        await identity.saveAsync();
+        await repositories.identities.save(identity);
     } catch (err) {
         logger.error(err);
         return null;
@@ -109,11 +108,11 @@ async function createNewUser(identity) {
  * @param  {Express Response} res
  */
 async function createIdentity(provider, providerId, userId) {
-    const newIdentity = new IdentityModel({
+    const newIdentity = repositories.identities.create({
         provider,
         providerId,
         userId: userId || null,
     });
-    await newIdentity.save();
+    await repositories.identities.save(newIdentity);
     return newIdentity;
 }
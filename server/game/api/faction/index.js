@@ -0,0 +1,42 @@
+import repositories from '../../components/repository';
+
+/**
+ * Handles faction activity log fetch. Only members of the faction can see its log.
+ * @param  {Express Request} req
+ * @param  {Express Response} res
+ */
+export async function getFactionLog(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    try {
+        const member = await repositories.characters.findOne({
+            user_id: req.user._id.toString(),
+            faction_id: req.params.factionId,
+        });
+
+        if (!member) {
+            return res.status(403).json({
+                status: 403,
+                error: 'You do not have a character in that faction.',
+            });
+        }
+
+        const entries = await repositories.factionLogs.find(
+            {faction_id: req.params.factionId},
+            {_id: 0, user_id: 1, name: 1, action: 1, target: 1, details: 1, date_added: 1},
+            {sort: {$natural: -1}, limit}
+        );
+
+        res.json({
+            status: 200,
+            log: entries,
+        });
+    } catch (err) {
+        req.app.get('logger').error(err);
+
+        return res.status(500).json({
+            status: 500,
+            error: 'Something went wrong. Please try again in a moment.',
+        });
+    }
+}
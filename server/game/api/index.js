@@ -30,6 +30,10 @@ import {
     verifyEmail,
 } from './user';
 
+import {
+    getFactionLog,
+} from './faction';
+
 /**
  * Setup the API endpoints
  * @param  {HTTP/S}  webserver The HTTP/s webserver
@@ -91,6 +95,10 @@ export default function(app, config) {
     routes.route('/users/:userId/verify')
         .get(verifyEmail);
 
+    // Faction Routes
+    routes.route('/factions/:factionId/log')
+        .get(isAuthenticated, getFactionLog);
+
     // Authentication Routes
     // user/password authentication
     routes.route('/auth')
@@ -29,6 +29,22 @@ const UserSchema = new mongoose.Schema({
     passwordReset: {
         type: {},
     },
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user',
+    },
+    banned_until: {
+        type: Number,
+        default: 0,
+    },
+    ban_reason: {
+        type: String,
+    },
+    muted_until: {
+        type: Number,
+        default: 0,
+    },
     date_added: String,
     date_updated: String,
 });
@@ -1,10 +1,6 @@
 import activationEmail from '../../data/emails/activation.js';
 import verificationEmail from '../../data/emails/verification.js';
-import IdentityModel from '../models/identity';
-import UserModel from '../models/user';
-import CharacterModel from '../../components/character/model';
-import ItemModel from '../../components/item/model';
-import FactionModel from '../../components/faction/model';
+import repositories from '../../components/repository';
 import uuid from 'uuid/v4';
 import crypto from 'crypto';
 
@@ -15,7 +11,7 @@ import crypto from 'crypto';
  */
 async function checkEmailExists(email, logger) {
     try {
-        const user = await UserModel.findOneAsync({email: escape(email)});
+        const user = await repositories.users.findOne({email: escape(email)});
         return user ? true : false;
     } catch (err) {
         logger.error(err);
@@ -29,7 +25,7 @@ async function checkEmailExists(email, logger) {
  * @param  {Express Response} res
  */
 export function updateUser(req, res) {
-    UserModel.findOne({_id: req.user._id}, async (err, user) => {
+    repositories.users.findOne({_id: req.user._id}).asCallback(async (err, user) => {
         if (err) {
             return res.status(500).json({
                 status: 500,
@@ -112,7 +108,7 @@ export function updateUser(req, res) {
             user.password = req.body.password;
         }
 
-        user.save((err) => {
+        repositories.users.save(user).asCallback((err) => {
             if (err) {
                 return res.status(500).json({
                     status: 500,
@@ -165,7 +161,7 @@ export function updateUser(req, res) {
  */
 export async function deleteUser(req, res) {
     try {
-        const user = await UserModel.findOneAsync({ _id: req.user._id });
+        const user = await repositories.users.findOne({ _id: req.user._id });
 
         if (!user) {
             return res.status(401).json({
@@ -174,14 +170,14 @@ export async function deleteUser(req, res) {
             });
         }
 
-        const characters = await CharacterModel.findAsync({user_id: user._id.toString()});
+        const characters = await repositories.characters.find({user_id: user._id.toString()});
 
         if (characters) {
             const characterIDs = characters.map((obj) => {
                 return obj._id.toString();
             });
 
-            const factions = await FactionModel.findAsync({leader_id: {$in: characterIDs}});
+            const factions = await repositories.factions.find({leader_id: {$in: characterIDs}});
 
             if (factions && factions.length > 0) {
                 return res.status(400).json({
@@ -190,12 +186,12 @@ export async function deleteUser(req, res) {
                 });
             }
 
-            await ItemModel.deleteManyAsync({ character_id: { $in: characterIDs } });
-            await Promise.all(characters.map((obj) => obj.removeAsync()));
+            await repositories.items.delete({ character_id: { $in: characterIDs } });
+            await repositories.characters.delete({user_id: user._id.toString()});
         }
 
-        await IdentityModel.deleteManyAsync({ userId: user._id });
-        await user.removeAsync();
+        await repositories.identities.delete({ userId: user._id });
+        await repositories.users.delete({_id: user._id});
 
         return res.json({
             status: 200,
@@ -217,7 +213,7 @@ export async function deleteUser(req, res) {
  */
 export async function getUser(req, res) {
     try {
-        const identities = await IdentityModel.findAsync(
+        const identities = await repositories.identities.find(
             {userId: req.user._id},
             { _id: 0, provider: 1, providerId: 1, date_added: 1}
         );
@@ -284,7 +280,7 @@ export function createUser(req, res) {
         });
     }
 
-    UserModel.findOne({email: escape(req.body.email)}, (err, user) => {
+    repositories.users.findOne({email: escape(req.body.email)}).asCallback((err, user) => {
         if (err) {
             req.app.get('logger').error(err);
             return res.status(500).json({
@@ -313,13 +309,13 @@ export function createUser(req, res) {
             token.update(uuid());
         }
 
-        newUser = new UserModel({
+        newUser = repositories.users.create({
             email: req.body.email,
             password: req.body.password,
             activationToken: requireActivation ? token.digest('hex') : '',
         });
 
-        newUser.save((err) => {
+        repositories.users.save(newUser).asCallback((err) => {
             if (err) {
                 req.app.get('logger').error(err);
                 return res.status(500).json({
@@ -378,7 +374,7 @@ export function verifyEmail(req, res) {
         return res.redirect(`${redirectUrl}?error=Invalid verification token`);
     }
 
-    UserModel.findOne({_id: escape(req.params.userId), activationToken: escape(req.query.token)}, async (err, user) => {
+    repositories.users.findOne({_id: escape(req.params.userId), activationToken: escape(req.query.token)}).asCallback(async (err, user) => {
         if (err) {
             return res.redirect(`${redirectUrl}?error=Something went wrong. Please try again in a moment`);
         }
@@ -404,7 +400,7 @@ export function verifyEmail(req, res) {
         user.email = user.newEmail;
         user.newEmail = null;
 
-        user.save((err) => {
+        repositories.users.save(user).asCallback((err) => {
             if (err) {
                 return res.redirect(`${redirectUrl}?error=Sometihng went wrong. Please try again in a moment`);
             }
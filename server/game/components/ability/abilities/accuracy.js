@@ -18,11 +18,13 @@ export default class AbilityAccuracy {
 
     /**
      * Will make an accuracy check
-     * @return {Boolean} True on success
+     * @param  {Number}   bonus  Temporary accuracy bonus, eg. from status effects
+     * @param  {Function} random Returns a number from 0 to 1 (exclusive), eg. a stream of the RandomManager
+     * @return {Boolean}         True on success
      */
-    use() {
+    use(bonus = 0, random = Math.random) {
         // round to 1 decimal point
-        const hit = (Math.round((Math.random() * 100) * 10) / 10) <= this.value;
+        const hit = (Math.round((random() * 100) * 10) / 10) <= this.value + bonus;
 
         // if they hit, increase their accuracy
         if (hit) {
@@ -0,0 +1,519 @@
+import moment from 'moment';
+
+/**
+ * Stats which can be edited with /setstat
+ * @type {Array}
+ */
+const EDITABLE_STATS = ['health', 'health_max', 'money', 'bank', 'exp', 'inventorySize'];
+
+/**
+ * Finds a character by name, online or offline
+ * @param  {String} characterName The name of the character
+ * @param  {Game}   Game          The main Game object
+ * @return {Promise}              Plain object with the character details, or null
+ */
+async function findCharacter(characterName, Game) {
+    const character = Game.characterManager.getByName(characterName);
+
+    if (character) {
+        return {
+            user_id: character.user_id,
+            name: character.name,
+        };
+    }
+
+    return await Game.characterManager.dbGetByName(characterName);
+}
+
+/**
+ * Kick command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdKick(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const reason = params[1] || '';
+
+    try {
+        if (!await Game.adminManager.outranks(socket.user.role, target.user_id)) {
+            return Game.eventToSocket(socket, 'error', `You cannot kick ${target.name}, their role is equal to or higher than yours.`);
+        }
+
+        await Game.adminManager.kick(target.user_id, `You have been kicked from the game${reason ? `. Reason: ${reason}` : ''}`);
+        await Game.adminManager.log(character, 'kick', target.name, {reason});
+
+        Game.eventToSocket(socket, 'success', `${target.name} was kicked from the game.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Ban command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdBan(socket, character, command, params, cmdObject, Game) {
+    const duration = params[1];
+    const reason = params[2] || '';
+
+    try {
+        const target = await findCharacter(params[0], Game);
+
+        if (!target) {
+            return Game.eventToSocket(socket, 'error', 'There are no characters by that name.');
+        }
+
+        if (!await Game.adminManager.outranks(socket.user.role, target.user_id)) {
+            return Game.eventToSocket(socket, 'error', `You cannot ban ${target.name}, their role is equal to or higher than yours.`);
+        }
+
+        const bannedUntil = await Game.adminManager.ban(target.user_id, duration, reason);
+        await Game.adminManager.log(character, 'ban', target.name, {duration, reason});
+
+        Game.eventToSocket(socket, 'success', `The account of ${target.name} is banned until ${moment(bannedUntil).format('ddd, D MMM YYYY H:mm')}.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Unban command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdUnban(socket, character, command, params, cmdObject, Game) {
+    try {
+        const target = await findCharacter(params[0], Game);
+
+        if (!target) {
+            return Game.eventToSocket(socket, 'error', 'There are no characters by that name.');
+        }
+
+        if (!await Game.adminManager.outranks(socket.user.role, target.user_id)) {
+            return Game.eventToSocket(socket, 'error', `You cannot unban ${target.name}, their role is equal to or higher than yours.`);
+        }
+
+        await Game.adminManager.unban(target.user_id);
+        await Game.adminManager.log(character, 'unban', target.name);
+
+        Game.eventToSocket(socket, 'success', `The account of ${target.name} is no longer banned.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Mute command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdMute(socket, character, command, params, cmdObject, Game) {
+    const duration = params[1];
+    const reason = params[2] || '';
+
+    try {
+        const target = await findCharacter(params[0], Game);
+
+        if (!target) {
+            return Game.eventToSocket(socket, 'error', 'There are no characters by that name.');
+        }
+
+        if (!await Game.adminManager.outranks(socket.user.role, target.user_id)) {
+            return Game.eventToSocket(socket, 'error', `You cannot mute ${target.name}, their role is equal to or higher than yours.`);
+        }
+
+        const mutedUntil = await Game.adminManager.mute(target.user_id, duration);
+        await Game.adminManager.log(character, 'mute', target.name, {duration, reason});
+
+        Game.eventToUser(target.user_id, 'warning', `You have been muted until ${moment(mutedUntil).format('ddd, D MMM YYYY H:mm')}${reason ? `. Reason: ${reason}` : ''}`);
+        Game.eventToSocket(socket, 'success', `${target.name} is muted until ${moment(mutedUntil).format('ddd, D MMM YYYY H:mm')}.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Unmute command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdUnmute(socket, character, command, params, cmdObject, Game) {
+    try {
+        const target = await findCharacter(params[0], Game);
+
+        if (!target) {
+            return Game.eventToSocket(socket, 'error', 'There are no characters by that name.');
+        }
+
+        if (!await Game.adminManager.outranks(socket.user.role, target.user_id)) {
+            return Game.eventToSocket(socket, 'error', `You cannot unmute ${target.name}, their role is equal to or higher than yours.`);
+        }
+
+        await Game.adminManager.mute(target.user_id, 0);
+        await Game.adminManager.log(character, 'unmute', target.name);
+
+        Game.eventToUser(target.user_id, 'info', 'You are no longer muted.');
+        Game.eventToSocket(socket, 'success', `${target.name} is no longer muted.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Teleport command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTeleport(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const gameMap = params[3] || Game.mapManager.get(target.location.map);
+    const newLocation = Game.mapManager.isValidLocation(gameMap.id, params[1], params[2]);
+
+    if (!newLocation) {
+        return Game.eventToSocket(socket, 'error', `The location is outside the boundaries of ${gameMap.name}.`);
+    }
+
+    const oldLocation = {...target.location};
+
+    Game.characterManager.relocate(target, newLocation, {
+        leave: `${target.name} vanishes into thin air.`,
+        join: `${target.name} appears out of thin air.`,
+    });
+    Game.adminManager.log(character, 'teleport', target.name, {from: oldLocation, to: newLocation});
+
+    Game.eventToUser(target.user_id, 'info', `You have been teleported to ${gameMap.name}.`);
+    Game.eventToSocket(socket, 'success', `${target.name} was teleported to ${gameMap.name} (N${newLocation.y}, E${newLocation.x}).`);
+}
+
+/**
+ * Spawn item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSpawnItem(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const amount = params[2] || 1;
+    const item = Game.itemManager.add(params[1].id);
+
+    // make sure the character has room
+    if (!target.hasRoomForItem(item, amount)) {
+        return Game.eventToSocket(socket, 'error', `${target.name} does not have enough inventory space for ${amount}x of that item.`);
+    }
+
+    target.giveItem(item, amount);
+    Game.characterManager.updateClient(target.user_id, 'inventory');
+    Game.adminManager.log(character, 'spawnitem', target.name, {item: item.id, amount});
+
+    Game.eventToUser(target.user_id, 'info', `You received ${amount}x ${item.name}`);
+    Game.eventToSocket(socket, 'success', `${target.name} received ${amount}x ${item.name}`);
+}
+
+/**
+ * Set stat command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSetStat(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const stat = EDITABLE_STATS.find((name) => name.toLowerCase() === params[1].toLowerCase());
+    const value = params[2];
+
+    if (!stat) {
+        return Game.eventToSocket(socket, 'error', `Invalid stat. Valid stats are: ${EDITABLE_STATS.join(', ')}`);
+    }
+
+    const oldValue = target.stats[stat];
+    target.stats[stat] = value;
+
+    // make sure the health stays within the max health
+    if (target.stats.health > target.stats.health_max) {
+        target.stats.health = target.stats.health_max;
+    }
+
+    Game.characterManager.updateClient(target.user_id);
+    Game.adminManager.log(character, 'setstat', target.name, {stat, from: oldValue, to: value});
+
+    Game.eventToSocket(socket, 'success', `${target.name}'s ${stat} was changed from ${oldValue} to ${value}.`);
+}
+
+/**
+ * Ticks command logic, shows the game loop statistics, and pauses, resumes or fast-forwards the world
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTicks(socket, character, command, params, cmdObject, Game) {
+    const action = (params[0] || '').toLowerCase();
+
+    switch (action) {
+        case '':
+            break;
+
+        case 'pause':
+            Game.tickManager.pause();
+            Game.adminManager.log(character, 'ticks', 'world', {action});
+            return Game.eventToSocket(socket, 'success', 'The game world is paused. Use /ticks resume to resume it.');
+
+        case 'resume':
+            Game.tickManager.resume();
+            Game.adminManager.log(character, 'ticks', 'world', {action});
+            return Game.eventToSocket(socket, 'success', 'The game world is resumed.');
+
+        case 'advance': {
+            const ticks = params[1] || 1;
+
+            Game.tickManager.advance(ticks);
+            Game.adminManager.log(character, 'ticks', 'world', {action, ticks});
+            return Game.eventToSocket(socket, 'success', `The game world was advanced by ${ticks} tick(s).`);
+        }
+
+        default:
+            return Game.eventToSocket(socket, 'error', 'Invalid action. Valid actions are: pause, resume, advance');
+    }
+
+    const stats = Game.tickManager.getStats();
+    const tab = '    ';
+
+    Game.eventToSocket(socket, 'multiline', [
+        'Game loop:',
+        `${tab}Tick: ${stats.tick} (${stats.tickLength}ms per tick)`,
+        `${tab}Status: ${stats.paused ? 'paused' : (stats.running ? 'running' : 'stopped')}`,
+        `${tab}Scheduled tasks: ${stats.pending}`,
+        `${tab}Tasks run: ${stats.tasksRun} (last tick: ${stats.lastTasks})`,
+        `${tab}Tick duration: last ${stats.lastDuration}ms, average ${stats.averageDuration}ms, max ${stats.maxDuration}ms`,
+        `${tab}Overruns: ${stats.overruns}`,
+        `${tab}Errors: ${stats.errors}`,
+    ]);
+}
+
+module.exports = [
+    {
+        command: '/kick',
+        aliases: [],
+        role: 'moderator',
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player to kick.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Reason',
+                desc: 'The reason for the kick, shown to the player.',
+                rules: 'maxlen:200',
+            },
+        ],
+        description: 'Disconnects a player from the game.',
+        method: cmdKick,
+    },
+    {
+        command: '/ban',
+        aliases: [],
+        role: 'admin',
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of a character belonging to the account to ban.',
+                rules: 'required',
+            },
+            {
+                name: 'Duration',
+                desc: 'The duration of the ban, eg. 30m, 12h or 7d.',
+                rules: 'required|duration',
+            },
+            {
+                name: 'Reason',
+                desc: 'The reason for the ban, shown to the player.',
+                rules: 'maxlen:200',
+            },
+        ],
+        description: 'Bans an account from the game, for a duration.',
+        method: cmdBan,
+    },
+    {
+        command: '/unban',
+        aliases: [],
+        role: 'admin',
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of a character belonging to the account to unban.',
+                rules: 'required',
+            },
+        ],
+        description: 'Lifts the ban of an account.',
+        method: cmdUnban,
+    },
+    {
+        command: '/mute',
+        aliases: [],
+        role: 'moderator',
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of a character belonging to the account to mute.',
+                rules: 'required',
+            },
+            {
+                name: 'Duration',
+                desc: 'The duration of the mute, eg. 30m, 12h or 7d.',
+                rules: 'required|duration',
+            },
+            {
+                name: 'Reason',
+                desc: 'The reason for the mute, shown to the player.',
+                rules: 'maxlen:200',
+            },
+        ],
+        description: 'Prevents an account from chatting, for a duration.',
+        method: cmdMute,
+    },
+    {
+        command: '/unmute',
+        aliases: [],
+        role: 'moderator',
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of a character belonging to the account to unmute.',
+                rules: 'required',
+            },
+        ],
+        description: 'Lifts the mute of an account.',
+        method: cmdUnmute,
+    },
+    {
+        command: '/teleport',
+        aliases: [
+            '/tp',
+        ],
+        role: 'admin',
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player to teleport.',
+                rules: 'required|player',
+            },
+            {
+                name: 'East',
+                desc: 'The east (x) coordinate to teleport to.',
+                rules: 'required|integer|min:0',
+            },
+            {
+                name: 'North',
+                desc: 'The north (y) coordinate to teleport to.',
+                rules: 'required|integer|min:0',
+            },
+            {
+                name: 'City',
+                desc: 'The city to teleport to. Defaults to the player\'s current city.',
+                rules: 'gamemap',
+            },
+        ],
+        description: 'Teleports a player to a location.',
+        method: cmdTeleport,
+    },
+    {
+        command: '/spawnitem',
+        aliases: [],
+        role: 'admin',
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player who should receive the item.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Item ID',
+                desc: 'The item ID of the item to spawn.',
+                rules: 'required|item:id',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of the item to spawn.',
+                rules: 'integer|min:1',
+            },
+        ],
+        description: 'Spawns an item in a player\'s inventory.',
+        method: cmdSpawnItem,
+    },
+    {
+        command: '/setstat',
+        aliases: [],
+        role: 'admin',
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player whose stat to change.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Stat',
+                desc: `The stat to change: ${EDITABLE_STATS.join(', ')}.`,
+                rules: 'required',
+            },
+            {
+                name: 'Value',
+                desc: 'The new value of the stat.',
+                rules: 'required|integer|min:0',
+            },
+        ],
+        description: 'Changes a stat of a player.',
+        method: cmdSetStat,
+    },
+    {
+        command: '/ticks',
+        aliases: [],
+        role: 'admin',
+        params: [
+            {
+                name: 'Action',
+                desc: 'Leave out to see the game loop statistics, or: pause, resume or advance.',
+                rules: '',
+            },
+            {
+                name: 'Ticks',
+                desc: 'The number of ticks to advance the game world by.',
+                rules: 'integer|min:1|max:36000',
+            },
+        ],
+        description: 'Shows the game loop statistics, and pauses, resumes or fast-forwards the game world.',
+        method: cmdTicks,
+    },
+];
@@ -0,0 +1,145 @@
+import moment from 'moment';
+import {CHARACTER_REMOTE_LOGOUT} from 'shared/actionTypes';
+import repositories from '../repository';
+import adminCommands from './commands';
+
+/**
+ * Admin Manager
+ */
+export default class AdminManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        // log manager progress
+        this.Game.logger.debug('AdminManager::constructor Loaded');
+    }
+
+    /**
+     * Register all the admin commands
+     */
+    init() {
+        this.Game.commandManager.registerManager(adminCommands);
+        console.log('ADMIN MANAGER LOADED');
+    }
+
+    /**
+     * Writes an admin action to the audit log
+     * @param  {Character} character The character of the admin performing the action
+     * @param  {String}    action    The action performed, eg. ban
+     * @param  {String}    target    The name of the target of the action
+     * @param  {Object}    details   Any additional details about the action
+     * @return {Promise}
+     */
+    async log(character, action, target, details = {}) {
+        this.Game.logger.info(`Admin action: ${character.name} used ${action} on ${target}`, details);
+
+        try {
+            const entry = repositories.adminLogs.create({
+                user_id: character.user_id,
+                name: character.name,
+                action,
+                target,
+                details,
+            });
+
+            await repositories.adminLogs.save(entry);
+        } catch (err) {
+            this.Game.onError(err);
+        }
+    }
+
+    /**
+     * Checks if a role outranks the role of an account, which is required to take moderation actions against it
+     * @param  {String} role    The role of the moderator or admin taking the action
+     * @param  {String} user_id The user ID of the target account
+     * @return {Promise}        Resolves to true if the role outranks the account
+     */
+    async outranks(role, user_id) {
+        const user = await repositories.users.findOne({_id: user_id}, {role: 1});
+        const targetRole = user && user.role ? user.role : 'user';
+
+        return !this.Game.commandManager.hasPermission(targetRole, role);
+    }
+
+    /**
+     * Forcefully logs out and disconnects a user's socket
+     * @param  {String} user_id The user ID of the account to kick
+     * @param  {String} message The message shown to the user before disconnecting
+     * @return {Promise}
+     */
+    async kick(user_id, message) {
+        let socket;
+
+        try {
+            socket = this.Game.socketManager.get(user_id);
+        } catch (err) {
+            return false;
+        }
+
+        this.Game.eventToSocket(socket, 'error', message);
+
+        await this.Game.socketManager.onDisconnect(socket, true, true);
+        this.Game.socketManager.dispatchToSocket(socket, {
+            type: CHARACTER_REMOTE_LOGOUT,
+            payload: {},
+        });
+        this.Game.socketManager.remove(user_id);
+        socket.disconnect(true);
+
+        return true;
+    }
+
+    /**
+     * Bans an account for the given duration, kicking them if online
+     * @param  {String} user_id  The user ID of the account to ban
+     * @param  {Number} duration The duration of the ban, in milliseconds
+     * @param  {String} reason   The reason for the ban
+     * @return {Promise}
+     */
+    async ban(user_id, duration, reason = '') {
+        const banned_until = Date.now() + duration;
+
+        await repositories.users.update({_id: user_id}, {$set: {banned_until, ban_reason: reason}});
+        await this.kick(user_id, `You have been banned until ${moment(banned_until).format('ddd, D MMM YYYY H:mm')}${reason ? `. Reason: ${reason}` : ''}`);
+
+        return banned_until;
+    }
+
+    /**
+     * Lifts the ban of an account
+     * @param  {String} user_id The user ID of the account to unban
+     * @return {Promise}
+     */
+    unban(user_id) {
+        return repositories.users.update({_id: user_id}, {$set: {banned_until: 0, ban_reason: ''}});
+    }
+
+    /**
+     * Mutes an account for the given duration (0 to unmute)
+     * @param  {String} user_id  The user ID of the account to mute
+     * @param  {Number} duration The duration of the mute, in milliseconds
+     * @return {Promise}
+     */
+    async mute(user_id, duration) {
+        const muted_until = duration ? Date.now() + duration : 0;
+
+        await repositories.users.update({_id: user_id}, {$set: {muted_until}});
+
+        // update the active session, if the user is online
+        try {
+            const socket = this.Game.socketManager.get(user_id);
+
+            if (socket.user) {
+                socket.user.muted_until = muted_until;
+            }
+        } catch (err) {
+            // the user is not online, nothing to update
+        }
+
+        return muted_until;
+    }
+}
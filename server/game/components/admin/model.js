@@ -0,0 +1,39 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const AdminLogSchema = new mongoose.Schema({
+    user_id: {
+        type: String,
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+    },
+    action: {
+        type: String,
+        required: true,
+    },
+    target: {
+        type: String,
+    },
+    details: {
+        type: {},
+    },
+    date_added: String,
+});
+
+// Execute before each user.save() call
+AdminLogSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('AdminLog', AdminLogSchema);
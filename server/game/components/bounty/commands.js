@@ -0,0 +1,86 @@
+/**
+ * Place bounty command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdBounty(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const amount = params[1];
+
+    if (target.user_id === character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You cannot place a bounty on yourself.');
+    }
+
+    if (amount < Game.config.game.bounty.min) {
+        return Game.eventToSocket(socket, 'error', `The minimum bounty is ${Game.config.game.bounty.min}.`);
+    }
+
+    // check if they have enough money (in cash)
+    if (character.stats.money < amount) {
+        return Game.eventToSocket(socket, 'error', 'You do not have enough money on you, to place a bounty that high.');
+    }
+
+    try {
+        await Game.bountyManager.place(character, target, amount);
+
+        Game.eventToSocket(socket, 'success', `You placed a bounty of ${amount} on ${target.name}.`);
+        Game.characterManager.updateClient(character.user_id, 'stats');
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Bounty board command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBounties(socket, character, command, params, cmdObject, Game) {
+    const list = Game.bountyManager.getList();
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        [
+            'OUTSTANDING BOUNTIES',
+            '--------------------',
+            ...(list.length ? list : ['There are no outstanding bounties.']),
+        ],
+    );
+}
+
+module.exports = [
+    {
+        command: '/bounty',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to place a bounty on.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of cash you want to put on their head.',
+                rules: 'required|integer|min:1',
+            },
+        ],
+        description: 'Place a cash bounty on another player. The bounty is paid to whoever kills them, or refunded to your bank if it expires.',
+        method: cmdBounty,
+    },
+    {
+        command: '/bounties',
+        aliases: [],
+        allowInJail: true,
+        description: 'Shows the bounty board, with all outstanding bounties.',
+        method: cmdBounties,
+    },
+];
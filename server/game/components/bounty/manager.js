@@ -0,0 +1,184 @@
+import uuid from 'uuid/v4';
+import {addNews} from '../../actions';
+import repositories from '../repository';
+import bountyCommands from './commands';
+
+/**
+ * Bounty Manager
+ */
+export default class BountyManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // list of all outstanding bounties (populated at runtime)
+        this.bounties = [];
+
+        // log manager progress
+        this.Game.logger.debug('BountyManager::constructor Loaded');
+    }
+
+    /**
+     * Load all outstanding bounties, and register commands
+     * @return {Promise}
+     */
+    async init() {
+        this.Game.commandManager.registerManager(bountyCommands);
+
+        const bounties = await repositories.bounties.find({});
+
+        if (bounties) {
+            this.bounties = bounties.map((bounty) => bounty.toObject());
+        }
+
+        console.log('BOUNTY MANAGER LOADED');
+    }
+
+    /**
+     * Get all outstanding bounties on a character
+     * @param  {String} targetName The name of the character
+     * @return {Array}
+     */
+    getByTarget(targetName) {
+        targetName = targetName.toLowerCase();
+        return this.bounties.filter((bounty) => bounty.target_name.toLowerCase() === targetName);
+    }
+
+    /**
+     * Get the total bounty on a character
+     * @param  {String} targetName The name of the character
+     * @return {Number}
+     */
+    getTotal(targetName) {
+        return this.getByTarget(targetName).reduce((total, bounty) => total + bounty.amount, 0);
+    }
+
+    /**
+     * Places a bounty on a character, holding the money in escrow until it is claimed or expires
+     * @param  {Character} character The character placing the bounty
+     * @param  {Character} target    The character to place the bounty on
+     * @param  {Number}    amount    The amount of cash
+     * @return {Promise}
+     */
+    async place(character, target, amount) {
+        const bounty = {
+            bounty_id: uuid(),
+            target_name: target.name,
+            placer_id: character.user_id,
+            placer_name: character.name,
+            amount,
+            expires: Date.now() + (this.Game.config.game.bounty.duration * 1000),
+        };
+
+        // take the money before anything is saved, so it cannot be spent twice
+        character.updateCash(amount * -1);
+
+        try {
+            await repositories.bounties.save(repositories.bounties.create(bounty));
+        } catch (err) {
+            character.updateCash(amount);
+            throw err;
+        }
+
+        this.bounties.push(bounty);
+
+        this.Game.socketManager.dispatchToRoom('game', addNews(`A bounty of ${amount} has been placed on ${target.name}. Total bounty: ${this.getTotal(target.name)}.`));
+    }
+
+    /**
+     * Pays out all bounties on a killed character, split between the players who had them gridlocked
+     * @param  {Character} character  The killed character
+     * @param  {Array}     targetedBy The gridlock list of the character, at the time of death
+     * @return {Promise}
+     */
+    async claim(character, targetedBy) {
+        const bounties = this.getByTarget(character.name);
+        // NPCs cannot claim bounties, and you cannot claim your own.
+        const hunters = targetedBy
+            .filter((obj) => obj.user_id && obj.user_id !== character.user_id)
+            .map((obj) => this.Game.characterManager.get(obj.user_id))
+            .filter((obj) => obj);
+
+        if (!bounties.length || !hunters.length) {
+            return;
+        }
+
+        const total = bounties.reduce((sum, bounty) => sum + bounty.amount, 0);
+        const reward = Math.floor(total / hunters.length);
+
+        this.bounties = this.bounties.filter((bounty) => !bounties.includes(bounty));
+
+        hunters.forEach((hunter) => {
+            hunter.updateCash(reward);
+            this.Game.characterManager.updateClient(hunter.user_id, 'stats');
+            this.Game.eventToUser(hunter.user_id, 'success', `You collected a bounty of ${reward} for killing ${character.name}.`);
+        });
+
+        this.Game.socketManager.dispatchToRoom('game', addNews(`The bounty of ${total} on ${character.name} was collected by ${hunters.map((obj) => obj.name).join(', ')}.`));
+
+        try {
+            await repositories.bounties.delete({bounty_id: {$in: bounties.map((bounty) => bounty.bounty_id)}});
+        } catch (err) {
+            this.Game.onError(err);
+        }
+    }
+
+    /**
+     * Refunds all expired bounties to the bank of the character who placed them, run on the bounty timer
+     * @return {Promise}
+     */
+    async expireAll() {
+        const now = Date.now();
+        const expired = this.bounties.filter((bounty) => bounty.expires <= now);
+
+        if (!expired.length) {
+            return;
+        }
+
+        this.bounties = this.bounties.filter((bounty) => !expired.includes(bounty));
+
+        await Promise.all(expired.map(async (bounty) => {
+            try {
+                await this.refund(bounty);
+                await repositories.bounties.delete({bounty_id: bounty.bounty_id});
+            } catch (err) {
+                this.Game.onError(err);
+            }
+        }));
+    }
+
+    /**
+     * Refunds a bounty to the bank of the character who placed it, whether they are online or not
+     * @param  {Object} bounty The expired bounty
+     * @return {Promise}
+     */
+    async refund(bounty) {
+        const placer = this.Game.characterManager.getByName(bounty.placer_name);
+
+        if (!placer) {
+            return repositories.characters.update({name_lowercase: bounty.placer_name.toLowerCase()}, {$inc: {'stats.bank': bounty.amount}});
+        }
+
+        placer.updateBank(bounty.amount);
+        this.Game.characterManager.updateClient(placer.user_id, 'stats');
+        this.Game.eventToUser(placer.user_id, 'info', `Your bounty on ${bounty.target_name} expired, and ${bounty.amount} was refunded to your bank account.`);
+    }
+
+    /**
+     * Generates the bounty board listing, with the total bounty of each character
+     * @return {Array} List of lines
+     */
+    getList() {
+        const totals = {};
+
+        this.bounties.forEach((bounty) => {
+            totals[bounty.target_name] = (totals[bounty.target_name] || 0) + bounty.amount;
+        });
+
+        return Object.keys(totals)
+            .sort((a, b) => totals[b] - totals[a])
+            .map((name) => `${name}: ${totals[name]}`);
+    }
+}
@@ -0,0 +1,45 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const BountySchema = new mongoose.Schema({
+    bounty_id: {
+        type: String,
+        unique: true,
+    },
+    target_name: {
+        type: String,
+        required: true,
+    },
+    placer_id: {
+        type: String,
+        required: true,
+    },
+    placer_name: {
+        type: String,
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    expires: {
+        type: Number,
+        required: true,
+    },
+    date_added: String,
+});
+
+// Execute before each user.save() call
+BountySchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Bounty', BountySchema);
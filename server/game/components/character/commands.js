@@ -11,6 +11,13 @@ import {
  * @param  {Function} callback     Callback function
  */
 function checkAttackCooldown(character, Game, callback) {
+    // check if a status effect, like being stunned, prevents the character from attacking
+    const restriction = Game.effectManager.hasFlag(character, 'noattack');
+
+    if (restriction) {
+        return Game.eventToUser(character.user_id, 'error', `You cannot attack while ${restriction.name.toLowerCase()}.`);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
     const ticksLeft = Game.cooldownManager.ticksLeft(character, 'attack');
 
@@ -37,15 +44,32 @@ function checkAttackCooldown(character, Game, callback) {
 function cmdAim(socket, character, command, params, cmdObject, Game) {
     const target = params[0];
 
+    // check if a status effect, like being stunned, prevents the character from taking aim
+    const restriction = Game.effectManager.hasFlag(character, 'noaim');
+
+    if (restriction) {
+        return Game.eventToSocket(socket, 'error', `You cannot take aim while ${restriction.name.toLowerCase()}.`);
+    }
+
+    // characters serving a sentence are under the protection of the jail guards
+    if (Game.jailManager.isJailed(target)) {
+        return Game.eventToSocket(socket, 'error', `${target.name} is in jail, and out of your reach.`);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
-    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'action_aim');
+    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'aim');
 
     if (ticksLeft) {
         return Game.eventToUser(character.user_id, 'error', `You cannot change target so quickly. You must wait another ${(ticksLeft / 10)} seconds.`);
     }
 
-    // add the search cooldown to the character
-    const newCooldown = Game.cooldownManager.add(character, 'aim');
+    // warn them if they are about to shoot a member of an allied faction
+    if (character.faction && target.faction && character.faction.isAlliedWith(target.faction.faction_id)) {
+        Game.eventToSocket(socket, 'warning', `Friendly fire! ${target.name} is a member of ${target.faction.name}, an ally of your faction.`);
+    }
+
+    // add the aim cooldown to the character, starting it straight away
+    Game.cooldownManager.add(character, 'aim', null, true);
 
     // set the new target, releasing the old target's gridlock, and gridlocking the new target.
     character.setTarget(target);
@@ -55,9 +79,6 @@ function cmdAim(socket, character, command, params, cmdObject, Game) {
     // let the character know they have a target
     Game.eventToSocket(socket, 'info', `You take aim at ${target.name}. You can release your aim with /release`);
     Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} take aim at ${target.name}.`, [target.user_id, character.user_id]);
-
-    // start the cooldown
-    newCooldown.start();
 }
 
 /**
@@ -339,8 +360,11 @@ function cmdStrike(socket, character, command, params, cmdObject, Game) {
             Game.eventToUser(target.user_id, 'info', `${character.name} strikes you with a ${weapon}, dealing ${attack.damageDealt} damage.`);
         }
 
+        // melee strikes leave the target bleeding
+        Game.effectManager.addStatus(target, 'bleeding');
+
         // send event to the attacker
-        Game.eventToSocket(socket, 'info', `You strike ${target.name} with your ${weapon}, dealing ${attack.damageDealt} damage.`);
+        Game.eventToSocket(socket, 'info', `You strike ${target.name} with your ${weapon}, dealing ${attack.damageDealt} damage, leaving them bleeding.`);
         // send event to the bystanders
         Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} strike ${target.name} with a ${weapon}.`, [character.user_id, target.user_id]);
     });
@@ -405,7 +429,7 @@ async function cmdCharacterSelect(socket, character, command, params, cmdObject,
             type: CHARACTER_LOGIN,
             payload: {
                 character: characterToLoad.exportToClient(),
-                gameData: Game.characterManager.getGameData(),
+                gameData: Game.characterManager.getGameData(socket.user.role),
             },
         });
 
@@ -481,6 +505,7 @@ module.exports = [
     {
         command: '/characterselect',
         aliases: [],
+        allowInJail: true,
         params: [
             {
                 name: 'Character Name',
@@ -495,6 +520,7 @@ module.exports = [
     {
         command: '/charactercreate',
         aliases: [],
+        allowInJail: true,
         params: [
             {
                 name: 'Name',
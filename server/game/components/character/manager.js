@@ -15,7 +15,7 @@ import {
     ITEM_GROUND_ITEMS,
 } from 'shared/actionTypes';
 import Character from './object';
-import CharacterModel from './model';
+import repositories from '../repository';
 import characterCommands from './commands';
 import {joinedGrid} from './actions';
 import Levels from '../../data/levels.json';
@@ -206,7 +206,7 @@ export default class CharacterManager {
      */
     async getCharacterList(socket, action) {
         try {
-            const characters = await CharacterModel.findAsync({user_id: socket.user.user_id});
+            const characters = await repositories.characters.find({user_id: socket.user.user_id});
 
             this.Game.socketManager.dispatchToSocket(socket, {
                 type: CHARACTERS_LIST,
@@ -292,12 +292,18 @@ export default class CharacterManager {
             return;
         }
 
+        // cancel any ongoing trade
+        this.Game.tradeManager.cancel(character, 'left the game');
+
         try {
             await this.save(character.user_id);
         } catch (err) {
             this.Game.onError(err);
         }
 
+        // stop the status effect timers, now they are saved
+        this.Game.effectManager.clearStatuses(character);
+
         // dispatch join event to grid
         this.Game.eventToRoom(character.getLocationId(), 'info', `${character.name} disappears into a nearby building`, [character.user_id]);
 
@@ -329,9 +335,15 @@ export default class CharacterManager {
             return null;
         }
 
-        const newCharacter = new Character(this.Game, character.toObject());
+        const {cooldowns, statuses, ...characterData} = character.toObject();
+        const newCharacter = new Character(this.Game, characterData);
         newCharacter.profile_image = '';
 
+        // restore the cooldowns which were active when the character was saved
+        this.Game.cooldownManager.load(newCharacter, cooldowns);
+        // restore the status effects which were active when the character was saved
+        this.Game.effectManager.loadStatuses(newCharacter, statuses);
+
         const items = await this.Game.itemManager.loadCharacterInventory(newCharacter);
 
         if (items) {
@@ -371,7 +383,7 @@ export default class CharacterManager {
      * @param  {Function} callback       Returns async function
      */
     dbLoad(user_id, characterName) {
-        return CharacterModel.findOneAsync({name_lowercase: characterName.toLowerCase(), user_id: user_id});
+        return repositories.characters.findOne({name_lowercase: characterName.toLowerCase(), user_id: user_id});
     }
 
     /**
@@ -397,7 +409,7 @@ export default class CharacterManager {
      * @param  {String}   city           ID of city to start in
      */
     async dbCreate(user_id, character_name, city) {
-        const newCharacter = new CharacterModel({
+        const newCharacter = repositories.characters.create({
             user_id: user_id,
             name: character_name,
             location: {
@@ -406,7 +418,7 @@ export default class CharacterManager {
             stats: {...this.Game.config.game.defaultStats},
         });
 
-        await newCharacter.saveAsync();
+        await repositories.characters.save(newCharacter);
         return newCharacter;
     }
 
@@ -455,17 +467,20 @@ export default class CharacterManager {
      * @return {Promise}
      */
     async dbSave(character) {
-        const dbCharacter = await CharacterModel.findOneAsync({user_id: character.user_id});
+        const dbCharacter = await repositories.characters.findOne({user_id: character.user_id});
 
         // update the character db object, and save the changes
         // NOTE: add any information you want to save here.
         dbCharacter.stats = {...character.stats};
         dbCharacter.abilities = character.exportAbilities();
         dbCharacter.skills = character.exportSkills();
+        dbCharacter.cooldowns = character.exportCooldowns();
+        dbCharacter.statuses = character.exportStatuses();
+        dbCharacter.quests = [...character.quests];
         dbCharacter.location = {...character.location};
         dbCharacter.faction_id = character.faction ? character.faction.faction_id : '';
 
-        await dbCharacter.saveAsync();
+        await repositories.characters.save(dbCharacter);
         return dbCharacter;
     }
 
@@ -475,7 +490,7 @@ export default class CharacterManager {
      * @return {Object}               Plain object of character.
      */
     async dbGetByName(targetName) {
-        const character = await CharacterModel.findOneAsync({name_lowercase: targetName.toLowerCase()});
+        const character = await repositories.characters.findOne({name_lowercase: targetName.toLowerCase()});
         return character ? character.toObject() : null;
     }
 
@@ -617,6 +632,11 @@ export default class CharacterManager {
             return this.Game.eventToSocket(socket, 'warning', `You can't move as the following players are aiming at you: ${list}`);
         }
 
+        // check if the character is in jail
+        if (this.Game.jailManager.isJailed(character)) {
+            return this.Game.eventToSocket(socket, 'warning', 'You can\'t move while you are in jail. Use /bail to pay your way out.');
+        }
+
         // check if the player is hidden
         if (character.hidden) {
             return this.Game.eventToSocket(socket, 'warning', 'You can\'t move as long as you are hidden. type /unhide to come out of hiding.');
@@ -638,6 +658,14 @@ export default class CharacterManager {
             return;
         }
 
+        // make sure the terrain can be entered
+        const gameMap = this.Game.mapManager.get(newLocation.map);
+
+        if (!gameMap.isPassable(newLocation.x, newLocation.y)) {
+            const terrain = gameMap.getTerrain(newLocation.x, newLocation.y);
+            return this.Game.eventToSocket(socket, 'warning', terrain.blocked || 'You can\'t go that way.');
+        }
+
         // set the cooldown of the move action
         const newCooldown = this.Game.cooldownManager.add(character, cooldownAction);
 
@@ -667,6 +695,9 @@ export default class CharacterManager {
             // remove aim from current target, if set
             character.releaseTarget();
 
+            // you cannot trade with someone who is not there
+            this.Game.tradeManager.cancel(character, 'left the area');
+
             // leave the old grid room
             socket.leave(character.getLocationId());
 
@@ -699,6 +730,11 @@ export default class CharacterManager {
             // send the new grid details to the client
             this.Game.mapManager.updateClient(character.user_id);
 
+            // update the location of the character's distress beacon, for their faction
+            if (character.faction && this.Game.effectManager.getStatus(character, 'beacon')) {
+                character.faction.updateBeacons();
+            }
+
             // start the cooldown timer
             newCooldown.start();
         } catch (err) {
@@ -706,6 +742,61 @@ export default class CharacterManager {
         }
     }
 
+    /**
+     * Moves a character directly to a location, ignoring movement rules and cooldowns
+     * @param  {Character} character   The character to relocate
+     * @param  {Object}    newLocation {map, x, y}
+     * @param  {Object}    messages    (optional) {leave, join} messages for the old and new grid
+     */
+    relocate(character, newLocation, messages = {}) {
+        // remove aim from current target, and reset the gridlock
+        character.releaseTarget();
+        character.targetedBy = [];
+
+        // you cannot trade with someone who is not there
+        this.Game.tradeManager.cancel(character, 'left the area');
+
+        // leave the old grid room
+        this.Game.socketManager.userLeaveRoom(character.user_id, character.getLocationId());
+
+        if (messages.leave) {
+            this.Game.eventToRoom(character.getLocationId(), 'info', messages.leave, [character.user_id]);
+        }
+
+        // remove player from the grid list of players
+        this.Game.socketManager.dispatchToRoom(character.getLocationId(), {
+            type: CHARACTER_LEFT_GRID,
+            payload: character.user_id,
+        });
+
+        // update character location
+        character.updateLocation(newLocation.map, newLocation.x, newLocation.y);
+
+        if (messages.join) {
+            this.Game.eventToRoom(character.getLocationId(), 'info', messages.join, [character.user_id]);
+        }
+
+        // add player from the grid list of players
+        this.Game.socketManager.dispatchToRoom(
+            character.getLocationId(),
+            this.joinedGrid(character)
+        );
+
+        // update the socket room
+        this.Game.socketManager.userJoinRoom(character.user_id, character.getLocationId());
+
+        // update client/socket character and location information
+        this.updateClient(character.user_id);
+
+        // send the new grid details to the client
+        this.Game.mapManager.updateClient(character.user_id);
+
+        // update the location of the character's distress beacon, for their faction
+        if (character.faction && this.Game.effectManager.getStatus(character, 'beacon')) {
+            character.faction.updateBeacons();
+        }
+    }
+
     /**
      * Kills a character, drops their loot, and respawns them at the map respawn location
      * @param  {String} user_id   The user ID of the character to kill
@@ -717,16 +808,19 @@ export default class CharacterManager {
         const character = this.get(user_id);
         // get the map so we know where to respawn the player
         const gameMap = this.Game.mapManager.get(character.location.map);
+        // players killed by another player lose reputation, unless it is a kill in a war between their factions
+        const loseExp = !!killer && !!killer.user_id && !this.Game.warManager.getBetween(character, killer);
         // kill the character
-        const droppedLoot = character.die();
+        const droppedLoot = character.die(loseExp);
         // save the old location before it is overwritten by the die() method on the character
         const oldLocationId = character.getLocationId();
         // save the old location
         const oldLocation = {...character.location};
-        // the respawn location
+        // the respawn location, characters serving a sentence are patched up in the jail instead
+        const jail = this.Game.jailManager.isJailed(character) ? this.Game.structureManager.getByCommand(gameMap.id, '/bail') : null;
         const newLocation = {
             map: gameMap.id,
-            ...gameMap.respawn,
+            ...(jail ? jail.location : gameMap.respawn),
         };
 
         // leave the old grid room
@@ -748,21 +842,25 @@ export default class CharacterManager {
 
         // TODO: Test if this works! Need more players to test.
         const cashReward = Math.floor(droppedLoot.cash / droppedLoot.targetedBy.length);
-        const expReward = Math.floor(droppedLoot.exp / droppedLoot.targetedBy.length);
         droppedLoot.targetedBy.forEach((char) => {
             // get the character/npc
             const character = char.npc_id ? this.Game.npcManager.get(char.id) : this.get(char.user_id);
 
-            // give them an equal amount of cash and exp, from the dropped loot
+            // give them an equal amount of cash, from the dropped loot. The lost reputation is not passed on.
             character.updateCash(cashReward);
 
             // make sure its a player
             if (char.user_id) {
-                character.updateExp(expReward);
                 this.updateClient(character.user_id);
             }
         });
 
+        // pay out any bounties on the character, to the players who killed them
+        this.Game.bountyManager.claim(character, droppedLoot.targetedBy);
+
+        // score the kill, if their factions are at war
+        this.Game.warManager.onKill(character, killer);
+
         // Let the killer know how much money they received, if its not an NPC
         if (killer.user_id) {
             this.Game.eventToUser(killer.user_id, 'info', `You find ${droppedLoot.cash} money on ${character.name} body.`);
@@ -794,16 +892,21 @@ export default class CharacterManager {
 
     /**
      * Compiles an object containing all relevant game data for the client
+     * @param  {String} role The account role of the user, used for the command list
      * @return {[type]} [description]
      */
-    getGameData() {
+    getGameData(role) {
         // game data we will send to the client, with the autentication success
         return {
             maps: this.Game.mapManager.getList(),
             items: this.Game.itemManager.getTemplates(),
             players: this.getOnline(),
-            commands: this.Game.commandManager.getList(),
+            commands: this.Game.commandManager.getList(role),
             levels: Levels,
+            heat: {
+                max: this.Game.config.game.heat.max,
+                wanted: this.Game.config.game.heat.wanted,
+            },
         };
     }
 }
@@ -28,6 +28,18 @@ const CharacterSchema = new mongoose.Schema({
     skills: {
         type: {},
     },
+    cooldowns: {
+        type: Array,
+        default: [],
+    },
+    statuses: {
+        type: Array,
+        default: [],
+    },
+    quests: {
+        type: Array,
+        default: [],
+    },
     faction_id: {
         type: String,
     },
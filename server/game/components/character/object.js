@@ -33,6 +33,10 @@ export default class Character {
         this.inventory = [];
         // list of all active cooldowns for the character
         this.cooldowns = [];
+        // list of all active timed status effects for the character
+        this.statuses = [];
+        // progress of the character's accepted and completed quests
+        this.quests = [];
         // if the character is new, they won't have stats, set the default here.
         this.stats = {
             health: 100,
@@ -40,10 +44,9 @@ export default class Character {
             money: 0,
             bank: 200,
             exp: 0,
+            heat: 0,
             inventorySize: 30,
         };
-        // keeps track of all timers
-        this.timers = [];
 
         // assign all the character modifiers, and deep-copy the stats
         Object.assign(this, {
@@ -56,31 +59,15 @@ export default class Character {
 
         // if the location does not have an X or Y coordinate, set the location to the
         // map spawn location
-        if (!this.location.x || !this.location.y) {
+        if (isNaN(parseInt(this.location.x, 10)) || isNaN(parseInt(this.location.y, 10))) {
             const spawn = this.Game.mapManager.getSpawn(this.location.map);
             this.location.x = spawn.x;
             this.location.y = spawn.y;
         }
 
-        // only start timers for players
-        if (this.user_id) {
-            this.initTimers();
-        }
-
         this.gridLock = this.gridLock.bind(this);
     }
 
-    /**
-     * Setup timers related to the character
-     */
-    initTimers() {
-        // run the "garbage collection" every N seconds
-        this.timers.push({
-            name: 'cooldownGc',
-            timer: setInterval(this.Game.cooldownManager.cleanup, 1000, this),
-        });
-    }
-
     /**
      * Exports all abilities to a plain object
      * @param  {Boolean} toClient If true, includes the name of the ability as well
@@ -128,6 +115,60 @@ export default class Character {
         return exportedSkills;
     }
 
+    /**
+     * Exports all active cooldowns to a plain object
+     * @param  {Boolean} toClient If true, includes the time left instead of the expiry timestamp
+     * @return {Array}            List of cooldowns
+     */
+    exportCooldowns(toClient = false) {
+        const now = Date.now();
+
+        return this.cooldowns
+            .filter((cooldown) => !cooldown.remove && cooldown.ticksLeft() > 0)
+            .map((cooldown) => {
+                const exported = {
+                    action: cooldown.action,
+                    duration: cooldown.duration,
+                };
+
+                if (toClient) {
+                    exported.timeLeft = cooldown.timeLeft();
+                } else {
+                    exported.expires = now + cooldown.timeLeft();
+                }
+
+                return exported;
+            });
+    }
+
+    /**
+     * Exports all active status effects to a plain object
+     * @param  {Boolean} toClient If true, includes the name and time left instead of the expiry timestamp
+     * @return {Array}            List of statuses
+     */
+    exportStatuses(toClient = false) {
+        return this.statuses.map((status) => {
+            if (toClient) {
+                return {
+                    id: status.id,
+                    name: status.name,
+                    description: status.description,
+                    stacks: status.stacks,
+                    duration: status.duration,
+                    timeLeft: status.timeLeft(),
+                };
+            }
+
+            return {
+                id: status.id,
+                stacks: status.stacks,
+                duration: status.duration,
+                modifiers: status.modifiers,
+                expires: Date.now() + status.timeLeft(),
+            };
+        });
+    }
+
     /**
      * Get the current target, if available
      * @return {NPC|Character}
@@ -204,6 +245,9 @@ export default class Character {
             abilities: this.exportAbilities(true),
             faction: this.faction ? this.faction.toObject(true) : null,
             skills: this.exportSkills(true),
+            cooldowns: this.exportCooldowns(true),
+            statuses: this.exportStatuses(true),
+            quests: this.Game.questManager.toClient(this),
             location: this.location,
             target: this.getTargetDetails(),
         };
@@ -262,9 +306,9 @@ export default class Character {
         // release the gridlock of the current target, if set
         if (target) {
             target.gridRelease({
-                id: target.id,
-                npc_id: target.npc_id,
-                user_id: target.user_id,
+                id: this.id,
+                npc_id: this.npc_id,
+                user_id: this.user_id,
             });
         }
 
@@ -299,7 +343,7 @@ export default class Character {
 
     /**
      * Removes a player from the gridlock, from when they have used /aim
-     * @param  {Object} target Plain object with the id, npc_id and user_id of the target
+     * @param  {Object} target Plain object with the id, npc_id and user_id of the character releasing their aim
      */
     gridRelease(target) {
         const characterIndex = this.targetedBy.findIndex((obj) => obj.id === target.id);
@@ -323,11 +367,16 @@ export default class Character {
 
     /**
      * Kills the character and updates the position to the map spawn position
-     * @return {object} Plain object with the items, and cash dropped
+     * @param  {Boolean} loseExp Whether the character loses some of their exp, eg. when killed by another player
+     * @return {object}          Plain object with the items, and cash dropped
      */
-    die() {
+    die(loseExp = false) {
         // release the target from the gridlock/aim
         this.releaseTarget();
+        // remove all status effects, a jail sentence has to be served even through death
+        this.Game.effectManager.clearStatuses(this, ['jailed']);
+        // cancel any ongoing trade
+        this.Game.tradeManager.cancel(this, 'died');
 
          // drop all items and cash
         const items = this.inventory.splice(0, this.inventory.length);
@@ -339,10 +388,10 @@ export default class Character {
         this.targetedBy = [];
         this.stats.health = this.stats.health_max;
 
-        const expLost = 0;
+        let expLost = 0;
         // if its a player, reduce their exp
-        if (this.user_id) {
-            this.stats.exp * 0.035;
+        if (this.user_id && loseExp) {
+            expLost = Math.floor(this.stats.exp * 0.035);
             this.updateExp(expLost * -1);
         }
 
@@ -440,7 +489,7 @@ export default class Character {
             bonusDamage = this.getAmmoDamage();
         }
 
-        return Math.floor(Math.random() * (equippedItem.stats.damage_max - equippedItem.stats.damage_min + 1)) + equippedItem.stats.damage_min + bonusDamage;
+        return Math.floor(this.Game.randomManager.get('combat').random() * (equippedItem.stats.damage_max - equippedItem.stats.damage_min + 1)) + equippedItem.stats.damage_min + bonusDamage;
     }
 
     /**
@@ -659,7 +708,7 @@ export default class Character {
         }
 
         // pick a random item
-        const item = this.inventory[Math.floor(Math.random() * this.inventory.length)];
+        const item = this.Game.randomManager.get('combat').pick(this.inventory);
 
         if (!item) {
             return null;
@@ -735,7 +784,7 @@ export default class Character {
 
         // if the character drop the item because of fleeing, random the amount, based on what they have
         if (isFleeing) {
-            amount = Math.floor(Math.random() * inventoryItem.stats.durability) + 1;
+            amount = Math.floor(this.Game.randomManager.get('combat').random() * inventoryItem.stats.durability) + 1;
         }
 
         // if there is not 0 items left, delete the item completely
@@ -825,7 +874,7 @@ export default class Character {
      */
     attackHit() {
         const acc = this.abilities.find((obj) => obj.id = 'acc');
-        return acc.use();
+        return acc.use(this.Game.effectManager.getModifier(this, 'acc'), this.Game.randomManager.get('combat').random);
     }
 
     /**
@@ -905,6 +954,12 @@ export default class Character {
      */
     updateExp(amount) {
         this.stats.exp = Math.max(0, Math.round(this.stats.exp + amount));
+
+        // a new rank might complete a quest objective
+        if (this.user_id && amount > 0) {
+            this.Game.questManager.checkProgress(this);
+        }
+
         return this.stats.exp;
     }
 
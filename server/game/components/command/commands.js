@@ -7,6 +7,12 @@ import {COMMAND_CHAT_MESSAGE} from 'shared/actionTypes';
  * @param  {Function}  callback  Callback function
  */
 function checkChatCooldown(character, Game, callback) {
+    const muteTimeLeft = Game.userManager.getMuteTimeLeft(character.user_id);
+
+    if (muteTimeLeft) {
+        return Game.eventToUser(character.user_id, 'error', `You are muted for another ${Math.ceil(muteTimeLeft / 60000)} minute(s).`);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
     const ticksLeft = Game.cooldownManager.ticksLeft(character, 'chat');
 
@@ -206,6 +212,7 @@ module.exports = [
             '/g',
             '/yell',
         ],
+        allowInJail: true,
         params: [
             {
                 name: 'Message',
@@ -221,6 +228,7 @@ module.exports = [
         aliases: [
             '/s',
         ],
+        allowInJail: true,
         params: [
             {
                 name: 'Message',
@@ -234,6 +242,7 @@ module.exports = [
     {
         command: '/help',
         aliases: [],
+        allowInJail: true,
         params: [
             {
                 name: 'Question',
@@ -247,6 +256,7 @@ module.exports = [
     {
         command: '/info',
         aliases: [],
+        allowInJail: true,
         params: [
             {
                 name: 'Object',
@@ -269,6 +279,7 @@ module.exports = [
             '/tell',
             '/pm',
         ],
+        allowInJail: true,
         params: [
             {
                 name: 'Target',
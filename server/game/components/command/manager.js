@@ -1,7 +1,13 @@
 import escapeStringRegex from 'escape-string-regexp';
 import {COMMAND_CHAT_COMMAND} from 'shared/actionTypes';
 import commandCommands from './commands';
-import {deepCopyObject} from '../../helper';
+import {deepCopyObject, parseDuration} from '../../helper';
+
+/**
+ * Account roles, in ascending order of privileges
+ * @type {Array}
+ */
+const ROLES = ['user', 'moderator', 'admin'];
 
 /**
  * Command class
@@ -106,7 +112,8 @@ export default class CommandManager {
         let params = this.parseParameters(payload);
         const command = params.shift().toLowerCase();
 
-        if (!this.commands[command]) {
+        // commands the user is not allowed to use, are treated as if they do not exist
+        if (!this.commands[command] || !this.hasPermission(socket.user.role, this.commands[command].role)) {
             return this.Game.eventToSocket(socket, 'error', `Command ${command} is not a valid command.`);
         }
 
@@ -118,6 +125,11 @@ export default class CommandManager {
             return;
         }
 
+        // jailed characters can only use staff commands, and those explicitly allowed in jail
+        if (character && !this.commands[command].role && !this.commands[command].allowInJail && this.Game.jailManager.isJailed(character)) {
+            return this.Game.eventToSocket(socket, 'error', 'You cannot do that while you are in jail. Use /bail to pay your way out.');
+        }
+
         try {
             const parsedParams = await this.validate(character, params, this.commands[command].params, socket);
 
@@ -143,15 +155,30 @@ export default class CommandManager {
         }
     }
 
+    /**
+     * Checks if an account role meets the role required by a command
+     * @param  {String}  role         The role of the account
+     * @param  {String}  requiredRole The role required, if any
+     * @return {Boolean}
+     */
+    hasPermission(role, requiredRole) {
+        if (!requiredRole) {
+            return true;
+        }
+
+        return ROLES.indexOf(role || 'user') >= ROLES.indexOf(requiredRole);
+    }
+
     /**
      * returns a list of all available commands in game
+     * @param  {String} role The account role of the user, restricted commands are excluded
      * @return {Object}
      */
-    getList() {
+    getList(role = 'user') {
         const listOfCommands = {};
 
         Object.keys(this.commands).forEach((command) => {
-            if (!this.commands[command].isAlias) {
+            if (!this.commands[command].isAlias && this.hasPermission(role, this.commands[command].role)) {
                 const data = {
                     description: this.commands[command].description || '',
                     aliases: this.commands[command].aliases || [],
@@ -278,6 +305,11 @@ export default class CommandManager {
      * @return {String}       The parameter with the "" encapsulation
      */
     stripEncapsulation(param) {
+        // optional parameters which were left out
+        if (!param) {
+            return param;
+        }
+
         if (param[0] === '"') {
             param = param.substring(1, param.length - 1);
         }
@@ -368,6 +400,14 @@ export default class CommandManager {
                             }
                             break;
 
+                        case 'duration':
+                            value = parseDuration(msgParam);
+
+                            if (!value) {
+                                return `${param.name} must be a duration, eg. 30m, 12h or 7d.`;
+                            }
+                            break;
+
                         case 'minlen':
                             if (msgParam.length < parseInt(rule[1], 10)) {
                                 return `${param.name} must be at least ${rule[1]} characters long.`;
@@ -10,7 +10,6 @@ export default class CooldownManager {
      */
     constructor(Game) {
         this.Game = Game;
-        this.cleanup = this.cleanup.bind(this);
     }
 
     /**
@@ -26,16 +25,47 @@ export default class CooldownManager {
             if (this.Game.config.game.cooldowns[action]) {
                 duration = this.Game.config.game.cooldowns[action];
             }
+
+            // apply any cooldown reduction from status effects, eg. adrenalin (percentage)
+            const modifier = this.Game.effectManager.getModifier(character, 'cooldown');
+
+            if (duration && modifier) {
+                duration = duration * Math.max(0, 100 + modifier) / 100;
+            }
         }
 
         // create the new cooldown
-        const newCooldown = new Cooldown(action, duration, autostart);
+        const newCooldown = new Cooldown(this.Game, character, action, duration, autostart);
         // add it to the characters cooldown list cooldowns
         character.cooldowns.push(newCooldown);
 
+        // cooldowns which are started manually, are sent along with the client update following the action
+        if (autostart) {
+            this.Game.characterManager.updateClient(character.user_id, 'cooldowns');
+        }
+
         return newCooldown;
     }
 
+    /**
+     * Restores saved cooldowns to a character, skipping any which have expired
+     * @param  {Character} character The character object to add the cooldowns to
+     * @param  {Array}     cooldowns List of saved cooldowns {action, duration, expires}
+     */
+    load(character, cooldowns = []) {
+        const now = Date.now();
+
+        cooldowns.forEach((obj) => {
+            if (!obj.expires || obj.expires <= now) {
+                return;
+            }
+
+            const cooldown = this.add(character, obj.action, obj.duration);
+            cooldown.ticks = Math.ceil((obj.expires - now) / 100);
+            cooldown.start();
+        });
+    }
+
     /**
      * Finds out how many ticks a cooldown has left, 0 if expired
      * @param  {Character} character The character whos cooldown to check
@@ -43,19 +73,14 @@ export default class CooldownManager {
      * @return {Number}              Number of ticks left in a cooldown
      */
     ticksLeft(character, action) {
-        const cooldown = character.cooldowns.find((cd) => cd.action === action && cd.ticks > 0);
+        const cooldown = character.cooldowns.find((cd) => cd.action === action && cd.ticksLeft() > 0);
 
         // if there are no timer set, return 0 to aviod locking character from certain actions
-        // TODO: Reinitiate timers on server reboot (if any)
         if (!cooldown) {
             return 0;
         }
 
-        if (cooldown.ticks) {
-            return Math.max(0, cooldown.ticks);
-        }
-
-        return 0;
+        return cooldown.ticksLeft();
     }
 
     /**
@@ -6,11 +6,15 @@ import uuid from 'uuid/v4';
 export default class Cooldown {
     /**
      * Class constructor
-     * @param  {String} action    The cooldown key
-     * @param  {Number} duration  How long the cooldown is
-     * @param  {Bool}   autostart Whether the timer starts when the object is created
+     * @param  {Game}      Game      The main Game object
+     * @param  {Character} character The character the cooldown belongs to
+     * @param  {String}    action    The cooldown key
+     * @param  {Number}    duration  How long the cooldown is
+     * @param  {Bool}      autostart Whether the timer starts when the object is created
      */
-    constructor(action, duration, autostart) {
+    constructor(Game, character, action, duration, autostart) {
+        this.Game = Game;
+        this.character = character;
         // create a new unique identifier
         this.id = uuid();
         // The action which is on cooldown (unique key/id per skill/action/etc)
@@ -19,7 +23,7 @@ export default class Cooldown {
         this.duration = duration || 0;
         // number of ticks the cooldown lasts
         this.ticks = (1000 * duration) / 100;
-        // hold the tick interval
+        // the scheduled expiry, once started
         this.timer = null;
         // whether the cooldown is waiting for the GC to clean up
         this.remove = false;
@@ -29,6 +33,26 @@ export default class Cooldown {
         }
     }
 
+    /**
+     * Get the number of milliseconds left of the cooldown
+     * @return {Number}
+     */
+    timeLeft() {
+        return this.ticksLeft() * 100;
+    }
+
+    /**
+     * Get the number of ticks left of the cooldown
+     * @return {Number}
+     */
+    ticksLeft() {
+        if (this.timer === null) {
+            return Math.max(0, this.ticks);
+        }
+
+        return this.Game.tickManager.ticksLeft(this.timer);
+    }
+
     /**
      * Starts the cooldown timer
      */
@@ -41,13 +65,10 @@ export default class Cooldown {
             return;
         }
 
-        this.timer = setInterval(() => {
-            this.ticks--;
-
-            if (this.ticks === 0) {
-                this.remove = true;
-                clearInterval(this.timer);
-            }
-        }, 100);
+        this.timer = this.Game.tickManager.schedule(this.ticks * 100, () => {
+            this.ticks = 0;
+            this.remove = true;
+            this.Game.cooldownManager.cleanup(this.character);
+        });
     }
 }
@@ -10,6 +10,8 @@ function drug(character, modifiers = {}, item, Game) {
     const effects = Object.assign({
         exp: 0,
         health: 0,
+        status: 'high',
+        heat: Game.config.game.heat.drug,
     }, modifiers);
 
     // check if the character has enough health to use the drug
@@ -18,8 +20,8 @@ function drug(character, modifiers = {}, item, Game) {
         return 'Unable to use drug, too lowe health.';
     }
 
-    // TODO: check if there are any NPCs nearby
-    // If there are any DEAs or Police officers, they should attack the player
+    // using drugs draws heat, and wanted characters are attacked by any nearby DEAs or Police officers
+    Game.heatManager.add(character, effects.heat);
 
     // give EXP and update health of player
     character.updateExp(effects.exp);
@@ -31,6 +33,11 @@ function drug(character, modifiers = {}, item, Game) {
     // return effect event
     Game.eventToUser(character.user_id, 'info', `You use the ${item.name}. You feel the effect on your body and mind (Health: ${effects.health}, Rep: ${effects.exp})`);
 
+    // apply the timed status effect of the drug, eg. the high
+    if (effects.status) {
+        Game.effectManager.addStatus(character, effects.status);
+    }
+
     return effects;
 }
 
@@ -123,14 +130,130 @@ function miscItemHeal(character, modifiers = {}, item, Game) {
     return effects;
 }
 
-/*
-    "miscAdrenalin"
-    "miscPepperSpray"
-    "miscBeacon"
-*/
+/**
+ * The adrenalin use effect
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              The use effect object
+ */
+function miscAdrenalin(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({
+        duration: 30,
+        health_max: 25,
+        cooldown: -50,
+    }, modifiers);
+
+    // the boost does not stack, so don't waste the item
+    if (Game.effectManager.getStatus(character, 'adrenalin')) {
+        Game.eventToUser(character.user_id, 'info', 'You are already pumped full of adrenalin.');
+        return 'Unable to use adrenalin, already active.';
+    }
+
+    Game.effectManager.addStatus(character, 'adrenalin', {
+        duration: effects.duration,
+        modifiers: {
+            health_max: effects.health_max,
+            cooldown: effects.cooldown,
+        },
+    });
+
+    // return effect event
+    Game.eventToUser(character.user_id, 'info', `You inject the ${item.name}. Your heart is racing (Max health: +${effects.health_max}, Cooldowns: ${effects.cooldown}%, for ${effects.duration} seconds)`);
+
+    return effects;
+}
+
+/**
+ * The pepper spray use effect. Sprays whoever is aiming at the user, or otherwise
+ * the user's own target, breaking their aim and stunning them.
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              The use effect object
+ */
+function miscPepperSpray(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({
+        duration: 5,
+    }, modifiers);
+
+    // prioritise the most recent character aiming at the user, over the user's own target
+    const aimedBy = character.targetedBy[character.targetedBy.length - 1];
+    let target;
+
+    if (aimedBy) {
+        target = aimedBy.npc_id ? Game.npcManager.get(aimedBy.id) : Game.characterManager.get(aimedBy.user_id);
+    } else {
+        target = character.currentTarget();
+    }
+
+    if (!target) {
+        Game.eventToUser(character.user_id, 'warning', 'There is no one to use the pepper spray on.');
+        return 'Unable to use pepper spray, no target.';
+    }
+
+    // break the target's aim, releasing the gridlock, and stun them
+    target.releaseTarget();
+    Game.effectManager.addStatus(target, 'stunned', {
+        duration: effects.duration,
+    });
+
+    // update the user's client, so the gridlock is removed
+    Game.characterManager.updateClient(character.user_id);
+
+    if (target.npc_id) {
+        Game.npcManager.updateGrid(target.location, target.getLocationId());
+    } else {
+        Game.characterManager.updateClient(target.user_id);
+        Game.eventToUser(target.user_id, 'warning', `${character.name} sprays you in the face with ${item.name}. You are stunned and unable to attack for ${effects.duration} seconds.`);
+    }
+
+    // return effect event
+    Game.eventToUser(character.user_id, 'info', `You spray ${target.name} in the face with your ${item.name}, stunning them for ${effects.duration} seconds.`);
+    Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} spray ${target.name} in the face with ${item.name}.`, [character.user_id, target.user_id]);
+
+    return effects;
+}
+
+/**
+ * The distress beacon use effect
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              The use effect object
+ */
+function miscBeacon(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({
+        duration: 120,
+    }, modifiers);
+
+    // the beacon is only visible to faction members
+    if (!character.faction) {
+        Game.eventToUser(character.user_id, 'warning', 'You are not in a faction, there is no one to receive your distress signal.');
+        return 'Unable to use beacon, not in a faction.';
+    }
+
+    Game.effectManager.addStatus(character, 'beacon', {
+        duration: effects.duration,
+    });
+
+    // let the faction know
+    Game.eventToRoom(character.faction.faction_id, 'warning', `${character.name} activated a distress beacon at N${character.location.y} / E${character.location.x}. Their location is shown on your map for ${effects.duration} seconds.`, [character.user_id]);
+
+    // return effect event
+    Game.eventToUser(character.user_id, 'info', `You activate the ${item.name}. Your faction can see your location for the next ${effects.duration} seconds.`);
+
+    return effects;
+}
 
 module.exports = {
     drug,
     miscPhone,
     miscItemHeal,
+    miscAdrenalin,
+    miscPepperSpray,
+    miscBeacon,
 };
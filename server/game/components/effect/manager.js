@@ -1,4 +1,6 @@
 import * as Effects from './effects';
+import StatusTemplates from './statuses';
+import StatusEffect from './status';
 
 /**
  * The Effect manager
@@ -37,4 +39,197 @@ export default class EffectManager {
 
         return output;
     }
+
+    /**
+     * Adds a timed status effect to a character, following the status' stacking rules
+     * @param  {Character} character The character (or NPC) to add the status to
+     * @param  {String}    statusId  The status template ID
+     * @param  {Object}    options   (optional) template overwrites {duration, modifiers}
+     * @return {StatusEffect}        The new or updated status, null if not applied
+     */
+    addStatus(character, statusId, options = {}) {
+        const template = StatusTemplates[statusId];
+
+        if (!template) {
+            this.Game.logger.error(`The status ID ${statusId}, did not match any status effects.`);
+            return null;
+        }
+
+        const existing = this.getStatus(character, statusId);
+
+        if (existing) {
+            switch (existing.stacking) {
+                case 'ignore':
+                    return null;
+
+                case 'extend':
+                    existing.expires = Date.now() + existing.timeLeft() + ((options.duration || existing.duration) * 1000);
+                    break;
+
+                case 'stack':
+                    existing.stacks = Math.min(existing.maxStacks, existing.stacks + 1);
+                    existing.expires = Date.now() + ((options.duration || existing.duration) * 1000);
+                    break;
+
+                default:
+                    existing.expires = Date.now() + ((options.duration || existing.duration) * 1000);
+                    break;
+            }
+
+            this.startStatus(character, existing);
+            this.updateClient(character);
+            return existing;
+        }
+
+        const status = new StatusEffect(this.Game, statusId, template, options);
+
+        character.statuses.push(status);
+        this.startStatus(character, status);
+
+        if (status.onApply) {
+            status.onApply(character, status, this.Game);
+        }
+
+        this.updateClient(character);
+
+        return status;
+    }
+
+    /**
+     * Starts, or restarts, the expire and tick timers of a status
+     * @param  {Character}    character The character with the status
+     * @param  {StatusEffect} status    The status object
+     */
+    startStatus(character, status) {
+        // unschedule the current expiry, so the time left is read from the (possibly updated) expiry timestamp
+        this.Game.tickManager.cancel(status.timers.expire);
+        status.timers.expire = null;
+        status.timers.expire = this.Game.tickManager.schedule(status.timeLeft(), () => {
+            this.removeStatus(character, status.id, true);
+        });
+
+        if (status.tick && status.interval && !status.timers.tick) {
+            status.timers.tick = this.Game.tickManager.schedule(status.interval * 1000, () => {
+                status.tick(character, status, this.Game);
+            }, true);
+        }
+    }
+
+    /**
+     * Removes a status effect from a character
+     * @param  {Character} character The character with the status
+     * @param  {String}    statusId  The status template ID
+     * @param  {Boolean}   expired   Whether the status expired, if so the expire message is sent
+     */
+    removeStatus(character, statusId, expired = false) {
+        const status = this.getStatus(character, statusId);
+
+        if (!status) {
+            return;
+        }
+
+        status.stop();
+        character.statuses = character.statuses.filter((obj) => obj.id !== statusId);
+
+        if (status.onRemove) {
+            status.onRemove(character, status, this.Game);
+        }
+
+        if (expired && status.expireMessage && character.user_id) {
+            this.Game.eventToUser(character.user_id, 'info', status.expireMessage);
+        }
+
+        this.updateClient(character);
+    }
+
+    /**
+     * Removes all status effects from a character, without sending the expire messages
+     * @param  {Character} character The character to clear
+     * @param  {Array}     keep      The IDs of any statuses to leave on the character
+     */
+    clearStatuses(character, keep = []) {
+        const statuses = character.statuses.filter((status) => !keep.includes(status.id));
+        character.statuses = character.statuses.filter((status) => keep.includes(status.id));
+
+        statuses.forEach((status) => {
+            status.stop();
+
+            if (status.onRemove) {
+                status.onRemove(character, status, this.Game);
+            }
+        });
+    }
+
+    /**
+     * Restores saved status effects to a character, skipping any which have expired
+     * @param  {Character} character The character object to add the statuses to
+     * @param  {Array}     statuses  List of saved statuses {id, stacks, modifiers, expires}
+     */
+    loadStatuses(character, statuses = []) {
+        const now = Date.now();
+
+        statuses.forEach((obj) => {
+            const template = StatusTemplates[obj.id];
+
+            if (!template) {
+                return;
+            }
+
+            const status = new StatusEffect(this.Game, obj.id, template, obj);
+
+            // if it expired while the character was offline, revert any changes it made to the character
+            if (!obj.expires || obj.expires <= now) {
+                if (status.onRemove) {
+                    status.onRemove(character, status, this.Game);
+                }
+
+                return;
+            }
+
+            character.statuses.push(status);
+            this.startStatus(character, status);
+        });
+    }
+
+    /**
+     * Get an active status on a character
+     * @param  {Character} character The character to check
+     * @param  {String}    statusId  The status template ID
+     * @return {StatusEffect}        The status, or null if not active
+     */
+    getStatus(character, statusId) {
+        return character.statuses.find((obj) => obj.id === statusId) || null;
+    }
+
+    /**
+     * Get the combined value of a modifier, from all active statuses
+     * @param  {Character} character The character to check
+     * @param  {String}    key       The modifier key, eg. acc
+     * @return {Number}
+     */
+    getModifier(character, key) {
+        return character.statuses.reduce((total, status) => total + status.getModifier(key), 0);
+    }
+
+    /**
+     * Finds an active status with the given flag
+     * @param  {Character} character The character to check
+     * @param  {String}    flag      The flag, eg. noattack
+     * @return {StatusEffect}        The first status with the flag, or null
+     */
+    hasFlag(character, flag) {
+        return character.statuses.find((status) => status.flags.includes(flag)) || null;
+    }
+
+    /**
+     * Sends the updated status list to the client, if the character is a player
+     * @param  {Character} character The character
+     */
+    updateClient(character) {
+        if (!character.user_id) {
+            return;
+        }
+
+        this.Game.characterManager.updateClient(character.user_id, 'statuses');
+    }
 }
@@ -0,0 +1,72 @@
+import {TICK_LENGTH} from '../tick/manager';
+
+/**
+ * Status Effect Object class
+ */
+export default class StatusEffect {
+    /**
+     * Class constructor
+     * @param  {Game}   Game     The main Game object
+     * @param  {String} id       The status template ID
+     * @param  {Object} template The status template
+     * @param  {Object} options  Overwrites for the template {duration, modifiers, stacks, expires}
+     */
+    constructor(Game, id, template, options = {}) {
+        this.Game = Game;
+        this.id = id;
+        this.name = template.name;
+        this.description = template.description;
+        this.stacking = template.stacking || 'refresh';
+        this.maxStacks = template.maxStacks || 1;
+        this.interval = template.interval || 0;
+        this.flags = template.flags || [];
+        this.expireMessage = template.expireMessage || null;
+        this.tick = template.tick || null;
+        this.onApply = template.onApply || null;
+        this.onRemove = template.onRemove || null;
+        // How long the status lasts, in seconds
+        this.duration = options.duration || template.duration;
+        // ability modifiers, per stack
+        this.modifiers = {...template.modifiers, ...options.modifiers};
+        this.stacks = options.stacks || 1;
+        // timestamp of when the status expires, until its expiry is scheduled on the game loop
+        this.expires = options.expires || Date.now() + (this.duration * 1000);
+        // holds the scheduled expire and tick tasks
+        this.timers = {
+            expire: null,
+            tick: null,
+        };
+    }
+
+    /**
+     * Get the number of milliseconds left of the status
+     * @return {Number}
+     */
+    timeLeft() {
+        if (this.timers.expire === null) {
+            return Math.max(0, this.expires - Date.now());
+        }
+
+        return this.Game.tickManager.ticksLeft(this.timers.expire) * TICK_LENGTH;
+    }
+
+    /**
+     * Get the total value of a modifier, accounting for stacks
+     * @param  {String} key The modifier key, eg. acc
+     * @return {Number}
+     */
+    getModifier(key) {
+        return (this.modifiers[key] || 0) * this.stacks;
+    }
+
+    /**
+     * Stops the status timers
+     */
+    stop() {
+        this.Game.tickManager.cancel(this.timers.expire);
+        this.Game.tickManager.cancel(this.timers.tick);
+
+        this.timers.expire = null;
+        this.timers.tick = null;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Timed status effect templates
+ *
+ * duration:  How long the status lasts, in seconds
+ * interval:  How often the tick method runs, in seconds (0 for no ticks)
+ * stacking:  What happens when the status is applied while active:
+ *            refresh (reset the duration), extend (add to the duration),
+ *            stack (add a stack, up to maxStacks, and reset the duration) or ignore.
+ * modifiers: Ability modifiers while active, per stack. eg. {acc: 10}
+ * flags:     Restrictions while active, eg. noattack, noaim
+ * tick:      (optional) method called every interval
+ * onApply:   (optional) method called when the status is first applied
+ * onRemove:  (optional) method called when the status expires or is removed
+ */
+
+/**
+ * Bleeding tick, deals damage per stack but will never kill the character
+ * @param  {Character}    character The character with the status
+ * @param  {StatusEffect} status    The status object
+ * @param  {Game}         Game      The main Game object
+ */
+function bleedingTick(character, status, Game) {
+    const damage = Math.min(status.stacks, character.stats.health - 1);
+
+    if (damage <= 0) {
+        return;
+    }
+
+    character.updateHealth(damage * -1);
+
+    if (character.npc_id) {
+        return Game.npcManager.updateGrid(character.location, character.getLocationId());
+    }
+
+    Game.characterManager.updateClient(character.user_id, 'stats');
+    Game.eventToUser(character.user_id, 'warning', `You are bleeding, losing ${damage} health.`);
+}
+
+/**
+ * Adrenalin apply, raises the characters max health (and health) by the modifier
+ * @param  {Character}    character The character with the status
+ * @param  {StatusEffect} status    The status object
+ * @param  {Game}         Game      The main Game object
+ */
+function adrenalinApply(character, status, Game) {
+    const bonus = status.getModifier('health_max');
+
+    character.stats.health_max = character.stats.health_max + bonus;
+    character.updateHealth(bonus);
+    Game.characterManager.updateClient(character.user_id, 'stats');
+}
+
+/**
+ * Adrenalin remove, reverts the max health bonus
+ * @param  {Character}    character The character with the status
+ * @param  {StatusEffect} status    The status object
+ * @param  {Game}         Game      The main Game object
+ */
+function adrenalinRemove(character, status, Game) {
+    character.stats.health_max = character.stats.health_max - status.getModifier('health_max');
+    character.stats.health = Math.max(1, Math.min(character.stats.health, character.stats.health_max));
+    Game.characterManager.updateClient(character.user_id, 'stats');
+}
+
+/**
+ * Beacon apply/remove, sends the updated beacon locations to the faction
+ * @param  {Character}    character The character with the status
+ * @param  {StatusEffect} status    The status object
+ * @param  {Game}         Game      The main Game object
+ */
+function beaconUpdate(character, status, Game) {
+    if (!character.faction) {
+        return;
+    }
+
+    character.faction.updateBeacons();
+}
+
+module.exports = {
+    high: {
+        name: 'High',
+        description: 'Increased accuracy.',
+        duration: 60,
+        interval: 0,
+        stacking: 'refresh',
+        modifiers: {
+            acc: 10,
+        },
+        flags: [],
+        expireMessage: 'The high wears off.',
+    },
+    bleeding: {
+        name: 'Bleeding',
+        description: 'Losing health over time.',
+        duration: 15,
+        interval: 5,
+        stacking: 'stack',
+        maxStacks: 3,
+        modifiers: {},
+        flags: [],
+        expireMessage: 'Your wounds stop bleeding.',
+        tick: bleedingTick,
+    },
+    stunned: {
+        name: 'Stunned',
+        description: 'Unable to attack.',
+        duration: 5,
+        interval: 0,
+        stacking: 'refresh',
+        modifiers: {},
+        flags: ['noattack', 'noaim'],
+        expireMessage: 'You are no longer stunned.',
+    },
+    adrenalin: {
+        name: 'Adrenalin',
+        description: 'Increased max health and shorter cooldowns.',
+        duration: 30,
+        interval: 0,
+        stacking: 'refresh',
+        modifiers: {
+            health_max: 25,
+            cooldown: -50,
+        },
+        flags: [],
+        expireMessage: 'The adrenalin rush fades.',
+        onApply: adrenalinApply,
+        onRemove: adrenalinRemove,
+    },
+    beacon: {
+        name: 'Beacon',
+        description: 'Your faction can see your location.',
+        duration: 120,
+        interval: 0,
+        stacking: 'refresh',
+        modifiers: {},
+        flags: [],
+        expireMessage: 'Your distress beacon runs out of battery.',
+        onApply: beaconUpdate,
+        onRemove: beaconUpdate,
+    },
+    jailed: {
+        name: 'Jailed',
+        description: 'Serving a jail sentence. Use /bail to pay your way out.',
+        duration: 60,
+        interval: 0,
+        stacking: 'extend',
+        modifiers: {},
+        flags: ['jailed', 'noattack', 'noaim'],
+        expireMessage: 'You have served your sentence, and are released from jail.',
+    },
+};
@@ -1,4 +1,6 @@
 import {COMMAND_CHAT_MESSAGE} from 'shared/actionTypes';
+import {addNews} from '../../actions';
+import {permissions} from './ranks';
 
 /**
  * Faction create command logic
@@ -69,6 +71,7 @@ async function cmdFactionDisband(socket, character, command, params, cmdObject,
     }
 
     try {
+        Game.factionManager.log(character.faction, character, 'disband');
         // remove all members from the faction and delete it
         await Game.factionManager.delete(character.faction.faction_id);
         Game.eventToSocket(socket, 'success', 'Your faction was disbanded.');
@@ -92,9 +95,9 @@ function cmdFactionInvite(socket, character, command, params, cmdObject, Game) {
         return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
     }
 
-    // make sure they are the leader
-    if (character.faction.leader_id !== character.user_id) {
-        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    // make sure their rank allows them to invite
+    if (!character.faction.hasPermission(character, 'invite')) {
+        return Game.eventToSocket(socket, 'error', 'Your faction rank does not allow you to invite players.');
     }
 
     const targetCharacter = params[0];
@@ -105,7 +108,7 @@ function cmdFactionInvite(socket, character, command, params, cmdObject, Game) {
     }
 
     // check if the character has an existing cooldown for this action, if they are trying to hide
-    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'action_faction_invite');
+    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'faction_invite');
 
     if (ticksLeft) {
         return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another invite.`);
@@ -116,6 +119,7 @@ function cmdFactionInvite(socket, character, command, params, cmdObject, Game) {
 
     // Create the invite
     character.faction.inviteMember(targetCharacter);
+    Game.factionManager.log(character.faction, character, 'invite', targetCharacter.name);
 
     // let the leader know the invite succeeded.
     Game.eventToSocket(socket, 'success', `${targetCharacter.name} has been invited to your faction!`);
@@ -142,6 +146,7 @@ async function cmdFactionAcceptInvite(socket, character, command, params, cmdObj
 
     try {
         await faction.addMember(character);
+        Game.factionManager.log(faction, character, 'join');
 
         // let the faction know, a new memeber joined
         Game.socketManager.dispatchToRoom(character.faction.faction_id, {
@@ -175,8 +180,19 @@ function cmdFactionSay(socket, character, command, params, cmdObject, Game) {
         return Game.eventToSocket(socket, 'error', 'You are not a member of a faction.');
     }
 
+    // make sure their rank allows them to speak
+    if (!character.faction.hasPermission(character, 'chat')) {
+        return Game.eventToSocket(socket, 'error', 'Your faction rank does not allow you to speak in the faction chat.');
+    }
+
+    const muteTimeLeft = Game.userManager.getMuteTimeLeft(character.user_id);
+
+    if (muteTimeLeft) {
+        return Game.eventToSocket(socket, 'error', `You are muted for another ${Math.ceil(muteTimeLeft / 60000)} minute(s).`);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
-    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'action_chat');
+    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'chat');
 
     if (ticksLeft) {
         return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another message.`);
@@ -211,9 +227,9 @@ async function cmdFactionKick(socket, character, command, params, cmdObject, Gam
         return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
     }
 
-    // make sure they are the leader
-    if (character.faction.leader_id !== character.user_id) {
-        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    // make sure their rank allows them to kick
+    if (!character.faction.hasPermission(character, 'kick')) {
+        return Game.eventToSocket(socket, 'error', 'Your faction rank does not allow you to kick members.');
     }
 
     const targetCharacter = params[0];
@@ -223,6 +239,11 @@ async function cmdFactionKick(socket, character, command, params, cmdObject, Gam
         return Game.eventToSocket(socket, 'error', 'You cannot kick yourself.');
     }
 
+    // you can only kick members of a lower rank
+    if (!character.faction.outranks(character.user_id, targetCharacter.user_id)) {
+        return Game.eventToSocket(socket, 'error', 'You can only kick members of a lower rank than your own.');
+    }
+
     // if they are online, run them through the faction.removeMember()
     await character.faction.removeMember(targetCharacter);
     // let the member know they where removed from the faction
@@ -247,6 +268,7 @@ async function cmdFactionKick(socket, character, command, params, cmdObject, Gam
 
     // remove them from the faction
     await Game.factionManager.dbCharacterRemove(dbCharacter.user_id);
+    Game.factionManager.log(character.faction, character, 'kick', dbCharacter.name);
 
     // let the faction know, a member was removed
     Game.socketManager.dispatchToRoom(character.faction.faction_id, {
@@ -288,6 +310,7 @@ async function cmdFactionMakeLeader(socket, character, command, params, cmdObjec
 
     // promote the new player
     await character.faction.makeLeader(targetCharacter);
+    Game.factionManager.log(character.faction, character, 'leader', targetCharacter.name);
     // let the faction know a new leader was assigned
     Game.socketManager.dispatchToRoom(character.faction.faction_id, {
         type: COMMAND_CHAT_MESSAGE,
@@ -299,62 +322,776 @@ async function cmdFactionMakeLeader(socket, character, command, params, cmdObjec
     });
 }
 
-module.exports = [
-    {
-        command: '/factioncreate',
-        aliases: [],
-        params: [
-            {
-                name: 'Faction Name',
-                desc: 'The name of the faction you wish to create (case sensitive)',
-                rules: 'required|alphanum|minlen:2|maxlen:25',
-            },
-            {
-                name: 'Faction Tag',
-                desc: 'The faction\'s TAG',
-                rules: 'required|alphanum|minlen:1|maxlen:5',
-            },
-        ],
-        description: 'Create a new faction. Name and Tag is case sensitive.',
-        method: cmdFactionCreate,
-    },
-    {
-        command: '/factiondisband',
-        aliases: [],
-        params: [
-            {
-                name: 'Faction Name',
-                desc: 'The name of your faction to disband',
-                rules: 'required|faction',
-            },
-        ],
-        description: 'Disband your faction permanently and immediately.',
-        method: cmdFactionDisband,
-    },
-    {
-        command: '/factioninvite',
-        aliases: [],
-        params: [
-            {
-                name: 'Player',
-                desc: 'The name of the player you want to give cash to',
-                rules: 'required|player',
-            },
-        ],
-        description: 'Send an invite to another player, to join your faction.',
-        method: cmdFactionInvite,
-    },
-    {
-        command: '/factionjoin',
-        aliases: [],
-        params: [
-            {
-                name: 'Faction Name',
-                desc: 'The name of the faction, whose invite you wish to accept.',
-                rules: 'required|faction',
+/**
+ * Faction ranks list command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdFactionRanks(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    const faction = character.faction;
+    const tab = '    ';
+    let message = [
+        `${faction.name.toUpperCase()} RANKS`,
+        '--------------------',
+    ];
+
+    faction.ranks.forEach((rank, index) => {
+        const members = faction.onlineMembers
+            .filter((member) => faction.getRankIndex(member.user_id) === index)
+            .map((member) => member.name);
+
+        message.push(`${index + 1}. ${rank.name}: ${rank.permissions.join(', ') || 'no permissions'} (withdrawal limit: ${rank.withdrawLimit === -1 ? 'unlimited' : rank.withdrawLimit})`);
+
+        if (members.length) {
+            message.push(`${tab}Online: ${members.join(', ')}`);
+        }
+    });
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        message,
+    );
+}
+
+/**
+ * Faction set member rank command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionRank(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    const faction = character.faction;
+    const targetCharacter = params[0];
+    const rankIndex = faction.findRank(params[1]);
+
+    // make sure their rank allows them to promote
+    if (!faction.hasPermission(character, 'promote')) {
+        return Game.eventToSocket(socket, 'error', 'Your faction rank does not allow you to change the rank of members.');
+    }
+
+    if (!targetCharacter.faction || targetCharacter.faction.faction_id !== faction.faction_id) {
+        return Game.eventToSocket(socket, 'error', 'That player is not a member of your faction.');
+    }
+
+    if (rankIndex === -1) {
+        return Game.eventToSocket(socket, 'error', 'There is no rank by that name in your faction. Type /factionranks to see the list of ranks.');
+    }
+
+    // you can only change the rank of members below you, to a rank below your own
+    if (!faction.outranks(character.user_id, targetCharacter.user_id) || rankIndex <= faction.getRankIndex(character.user_id)) {
+        return Game.eventToSocket(socket, 'error', 'You can only assign members of a lower rank, to a rank lower than your own.');
+    }
+
+    try {
+        await faction.setRank(targetCharacter.user_id, rankIndex);
+        Game.factionManager.log(faction, character, 'rank', targetCharacter.name, {rank: faction.ranks[rankIndex].name});
+
+        Game.socketManager.dispatchToRoom(faction.faction_id, {
+            type: COMMAND_CHAT_MESSAGE,
+            payload: {
+                name: null,
+                message: `${targetCharacter.name} is now a ${faction.ranks[rankIndex].name} of ${faction.name}.`,
+                type: 'faction',
             },
+        });
+
+        Game.characterManager.updateClient(targetCharacter.user_id, 'faction');
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction rank rename command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionRankRename(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const faction = character.faction;
+    const rankIndex = faction.findRank(params[0]);
+
+    if (rankIndex === -1) {
+        return Game.eventToSocket(socket, 'error', 'There is no rank by that name in your faction. Type /factionranks to see the list of ranks.');
+    }
+
+    if (faction.findRank(params[1]) !== -1) {
+        return Game.eventToSocket(socket, 'error', 'Your faction already has a rank by that name.');
+    }
+
+    try {
+        await faction.renameRank(rankIndex, params[1]);
+        Game.eventToSocket(socket, 'success', `The rank was renamed to ${params[1]}.`);
+
+        // update the faction details of the online members
+        faction.onlineMembers.forEach((member) => Game.characterManager.updateClient(member.user_id, 'faction'));
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction rank permission command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionRankPermission(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const faction = character.faction;
+    const rankIndex = faction.findRank(params[0]);
+    const permission = params[1].toLowerCase();
+    const toggle = params[2].toLowerCase();
+
+    if (rankIndex === -1) {
+        return Game.eventToSocket(socket, 'error', 'There is no rank by that name in your faction. Type /factionranks to see the list of ranks.');
+    }
+
+    // the leader's rank always has every permission
+    if (rankIndex === 0) {
+        return Game.eventToSocket(socket, 'error', `The ${faction.ranks[0].name} rank always has every permission.`);
+    }
+
+    if (!permissions.includes(permission)) {
+        return Game.eventToSocket(socket, 'error', `Invalid permission. Valid permissions are: ${permissions.join(', ')}`);
+    }
+
+    if (!['on', 'off'].includes(toggle)) {
+        return Game.eventToSocket(socket, 'error', 'The permission must be turned either on or off.');
+    }
+
+    try {
+        await faction.setPermission(rankIndex, permission, toggle === 'on');
+        Game.eventToSocket(socket, 'success', `The ${faction.ranks[rankIndex].name} rank ${toggle === 'on' ? 'now has' : 'no longer has'} the ${permission} permission.`);
+
+        // update the faction details of the online members
+        faction.onlineMembers.forEach((member) => Game.characterManager.updateClient(member.user_id, 'faction'));
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Checks the character is in a faction, and at a structure which allows the faction treasury command
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {Character}        character The character using the command
+ * @param  {String}           command   The command used
+ * @param  {Game}             Game      The main Game object
+ * @return {Faction|null}               The faction of the character, or null if the command cannot be used
+ */
+function getTreasuryFaction(socket, character, command, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+        return null;
+    }
+
+    // get the structures list at the character location
+    const structures = Game.structureManager.getWithCommand(
+        character.location.map,
+        character.location.x,
+        character.location.y,
+        command
+    );
+
+    if (!structures) {
+        Game.eventToSocket(socket, 'error', 'There are no structures around which allows you to use that command.');
+        return null;
+    }
+
+    return character.faction;
+}
+
+/**
+ * Faction deposit command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionDeposit(socket, character, command, params, cmdObject, Game) {
+    const faction = getTreasuryFaction(socket, character, command, Game);
+    const amount = params[0];
+
+    if (!faction) {
+        return;
+    }
+
+    // make sure they have that much money on them
+    if (character.stats.money < amount) {
+        return Game.eventToSocket(socket, 'error', `You do not have that much cash on you. You currently have ${character.stats.money} cash on you.`);
+    }
+
+    try {
+        await faction.deposit(character, amount);
+
+        Game.characterManager.updateClient(character.user_id, 'stats');
+        Game.eventToSocket(socket, 'success', `You deposit ${amount} into the faction bank. The faction bank is now at ${faction.bank}.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction withdraw command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionWithdraw(socket, character, command, params, cmdObject, Game) {
+    const faction = getTreasuryFaction(socket, character, command, Game);
+    const amount = params[0];
+
+    if (!faction) {
+        return;
+    }
+
+    const error = faction.canWithdraw(character, amount);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+
+    if (faction.bank < amount) {
+        return Game.eventToSocket(socket, 'error', `The faction bank does not have that much money. The faction bank is at ${faction.bank}.`);
+    }
+
+    try {
+        await faction.withdraw(character, amount);
+
+        Game.characterManager.updateClient(character.user_id, 'stats');
+        Game.eventToSocket(socket, 'success', `You withdraw ${amount} from the faction bank. The faction bank is now at ${faction.bank}.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction stash list command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdFactionStash(socket, character, command, params, cmdObject, Game) {
+    const faction = getTreasuryFaction(socket, character, command, Game);
+
+    if (!faction) {
+        return;
+    }
+
+    const limitLeft = faction.getWithdrawLimitLeft(character);
+    const items = faction.stash.map((stashed) => {
+        const template = Game.itemManager.getTemplate(stashed.item_id);
+        return template.stats.stackable ? `${stashed.modifiers.durability}x ${template.name}` : template.name;
+    });
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        [
+            `${faction.name.toUpperCase()} TREASURY`,
+            '--------------------',
+            `Bank: ${faction.bank}`,
+            `Your withdrawal limit: ${limitLeft === -1 ? 'unlimited' : limitLeft}`,
+            'Stash:',
+            ...(items.length ? items : ['The stash is empty.']),
         ],
-        description: 'If you where invited to join a faction.',
+    );
+}
+
+/**
+ * Faction stash item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionStashPut(socket, character, command, params, cmdObject, Game) {
+    const faction = getTreasuryFaction(socket, character, command, Game);
+    const template = params[0];
+    const amount = params[1] || 1;
+
+    if (!faction) {
+        return;
+    }
+
+    const item = character.dropItem(template.name, amount);
+
+    if (!item) {
+        return Game.eventToSocket(socket, 'error', `You do not have ${amount > 1 ? `${amount}x` : 'any'} unequipped ${template.name} in your inventory.`);
+    }
+
+    try {
+        await faction.stashItem(character, item);
+
+        Game.characterManager.updateClient(character.user_id, 'inventory');
+        Game.eventToSocket(socket, 'success', `You put ${item.stats.stackable ? `${item.stats.durability}x` : 'a'} ${item.name} in the faction stash.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction stash take item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionStashTake(socket, character, command, params, cmdObject, Game) {
+    const faction = getTreasuryFaction(socket, character, command, Game);
+    const template = params[0];
+    let amount = params[1] || 1;
+
+    if (!faction) {
+        return;
+    }
+
+    const index = faction.findStashItem(template);
+
+    if (index === -1) {
+        return Game.eventToSocket(socket, 'error', `There is no ${template.name} in the faction stash.`);
+    }
+
+    const stashed = faction.stash[index];
+
+    if (template.stats.stackable) {
+        amount = Math.min(amount, stashed.modifiers.durability);
+    } else {
+        amount = 1;
+    }
+
+    const error = faction.canWithdraw(character, template.stats.price * amount);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+
+    // items are always given in a new inventory slot
+    if (!character.findEmptyInventorySlot()) {
+        return Game.eventToSocket(socket, 'error', 'You do not have enough inventory space.');
+    }
+
+    try {
+        await faction.unstashItem(character, index, amount);
+
+        Game.characterManager.updateClient(character.user_id, 'inventory');
+        Game.eventToSocket(socket, 'success', `You took ${template.stats.stackable ? `${amount}x` : 'a'} ${template.name} from the faction stash.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction treasury history command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdFactionHistory(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const actions = {
+        deposit: 'deposited',
+        withdraw: 'withdrew',
+        stash: 'stashed',
+        unstash: 'took',
+    };
+    const history = character.faction.transactions.slice().reverse().map((entry) => {
+        const date = new Date(entry.date).toISOString().replace('T', ' ').substr(0, 16);
+        const what = entry.item ? `${entry.amount}x ${entry.item} (value ${entry.value})` : entry.amount;
+
+        return `${date} ${entry.name} ${actions[entry.type]} ${what}`;
+    });
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        [
+            'FACTION TREASURY HISTORY',
+            '--------------------',
+            ...(history.length ? history : ['There are no transactions.']),
+        ],
+    );
+}
+
+/**
+ * Faction rank withdrawal limit command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionRankLimit(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const faction = character.faction;
+    const rankIndex = faction.findRank(params[0]);
+    const limit = params[1];
+
+    if (rankIndex === -1) {
+        return Game.eventToSocket(socket, 'error', 'There is no rank by that name in your faction. Type /factionranks to see the list of ranks.');
+    }
+
+    // the leader's rank has no limit
+    if (rankIndex === 0) {
+        return Game.eventToSocket(socket, 'error', `The ${faction.ranks[0].name} rank has no withdrawal limit.`);
+    }
+
+    try {
+        await faction.setWithdrawLimit(rankIndex, limit);
+        Game.eventToSocket(socket, 'success', `The ${faction.ranks[rankIndex].name} rank can now withdraw a value of ${limit} per 24 hours.`);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction alliance proposal/accept command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionAlly(socket, character, command, params, cmdObject, Game) {
+    const ally = params[0];
+
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const faction = character.faction;
+
+    if (ally.faction_id === faction.faction_id) {
+        return Game.eventToSocket(socket, 'error', 'You cannot form an alliance with your own faction.');
+    }
+
+    if (faction.isAlliedWith(ally.faction_id)) {
+        return Game.eventToSocket(socket, 'error', `Your faction is already allied with ${ally.name}.`);
+    }
+
+    if (Game.warManager.get(faction.faction_id, ally.faction_id)) {
+        return Game.eventToSocket(socket, 'error', `Your faction is at war with ${ally.name}. Make peace first.`);
+    }
+
+    // if they did not propose an alliance to us yet, we propose one to them
+    if (!faction.allyInvites.includes(ally.faction_id)) {
+        ally.inviteAlly(faction);
+
+        Game.eventToSocket(socket, 'success', `You proposed an alliance to ${ally.name}. The alliance is formed once their leader accepts it.`);
+        return Game.eventToUser(ally.leader_id, 'info', `${faction.name} proposed an alliance with your faction. Type /factionally ${faction.name} to accept it.`);
+    }
+
+    try {
+        await Game.factionManager.formAlliance(faction, ally);
+
+        faction.notify(`Your faction is now allied with ${ally.name}.`);
+        ally.notify(`Your faction is now allied with ${faction.name}.`);
+        Game.socketManager.dispatchToRoom('game', addNews(`${faction.name} and ${ally.name} have formed an alliance.`));
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction break alliance command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionUnally(socket, character, command, params, cmdObject, Game) {
+    const ally = params[0];
+
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const faction = character.faction;
+
+    if (!faction.isAlliedWith(ally.faction_id)) {
+        return Game.eventToSocket(socket, 'error', `Your faction is not allied with ${ally.name}.`);
+    }
+
+    try {
+        await Game.factionManager.breakAlliance(faction, ally);
+
+        faction.notify(`Your faction is no longer allied with ${ally.name}.`);
+        ally.notify(`${faction.name} broke their alliance with your faction.`);
+        Game.socketManager.dispatchToRoom('game', addNews(`The alliance between ${faction.name} and ${ally.name} has been broken.`));
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction allies list command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdFactionAllies(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    const faction = character.faction;
+    const allies = faction.toObject(true).allies.map((ally) => `[${ally.tag}] ${ally.name}`);
+    const invites = faction.allyInvites
+        .map((factionId) => Game.factionManager.get(factionId))
+        .filter((obj) => obj)
+        .map((obj) => `[${obj.tag}] ${obj.name} (proposed, /factionally ${obj.name} to accept)`);
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        [
+            `${faction.name.toUpperCase()} ALLIES`,
+            '--------------------',
+            ...(allies.length || invites.length ? [...allies, ...invites] : ['Your faction has no allies.']),
+        ],
+    );
+}
+
+/**
+ * Allied chat command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdAllySay(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not a member of a faction.');
+    }
+
+    // make sure their rank allows them to speak
+    if (!character.faction.hasPermission(character, 'chat')) {
+        return Game.eventToSocket(socket, 'error', 'Your faction rank does not allow you to speak in the allied chat.');
+    }
+
+    if (!character.faction.allies.length) {
+        return Game.eventToSocket(socket, 'error', 'Your faction has no allies.');
+    }
+
+    const muteTimeLeft = Game.userManager.getMuteTimeLeft(character.user_id);
+
+    if (muteTimeLeft) {
+        return Game.eventToSocket(socket, 'error', `You are muted for another ${Math.ceil(muteTimeLeft / 60000)} minute(s).`);
+    }
+
+    // check if the character has an existing cooldown for this action
+    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'chat');
+
+    if (ticksLeft) {
+        return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another message.`);
+    }
+
+    // add the chat cooldown to the character
+    Game.cooldownManager.add(character, 'chat', null, true);
+
+    // the message is sent to their own faction, and every faction allied with it
+    [character.faction.faction_id, ...character.faction.allies].forEach((factionId) => {
+        Game.socketManager.dispatchToRoom(factionId, {
+            type: COMMAND_CHAT_MESSAGE,
+            payload: {
+                user_id: character.user_id,
+                name: character.name,
+                tag: character.faction.tag,
+                message: params[0],
+                type: 'allied',
+            },
+        });
+    });
+}
+
+/**
+ * Faction activity log command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionLog(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    try {
+        const entries = await Game.factionManager.getLog(character.faction.faction_id, params[0] || 20);
+
+        Game.eventToUser(
+            character.user_id,
+            'multiline',
+            [
+                `${character.faction.name.toUpperCase()} ACTIVITY LOG`,
+                '--------------------',
+                ...(entries.length ? entries.map((entry) => `${entry.date_added}: ${Game.factionManager.describeLogEntry(entry)}`) : ['Nothing has been logged yet.']),
+            ],
+        );
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+module.exports = [
+    {
+        command: '/factioncreate',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction you wish to create (case sensitive)',
+                rules: 'required|alphanum|minlen:2|maxlen:25',
+            },
+            {
+                name: 'Faction Tag',
+                desc: 'The faction\'s TAG',
+                rules: 'required|alphanum|minlen:1|maxlen:5',
+            },
+        ],
+        description: 'Create a new faction. Name and Tag is case sensitive.',
+        method: cmdFactionCreate,
+    },
+    {
+        command: '/factiondisband',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of your faction to disband',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Disband your faction permanently and immediately.',
+        method: cmdFactionDisband,
+    },
+    {
+        command: '/factioninvite',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to give cash to',
+                rules: 'required|player',
+            },
+        ],
+        description: 'Send an invite to another player, to join your faction.',
+        method: cmdFactionInvite,
+    },
+    {
+        command: '/factionjoin',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction, whose invite you wish to accept.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'If you where invited to join a faction.',
         method: cmdFactionAcceptInvite,
     },
     {
@@ -362,6 +1099,7 @@ module.exports = [
         aliases: [
             '/f',
         ],
+        allowInJail: true,
         params: [
             {
                 name: 'Message',
@@ -398,4 +1136,228 @@ module.exports = [
         description: 'Promote a member in your faction, to faction leader.',
         method: cmdFactionMakeLeader,
     },
+    {
+        command: '/factionranks',
+        aliases: [],
+        allowInJail: true,
+        description: 'List the ranks of your faction, their permissions, and the online members of each rank.',
+        method: cmdFactionRanks,
+    },
+    {
+        command: '/factionrank',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the member whos rank you want to change.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Rank',
+                desc: 'The name or number of the rank.',
+                rules: 'required',
+            },
+        ],
+        description: 'Change the rank of a member of your faction. You can only assign ranks lower than your own.',
+        method: cmdFactionRank,
+    },
+    {
+        command: '/factionrankrename',
+        aliases: [],
+        params: [
+            {
+                name: 'Rank',
+                desc: 'The name or number of the rank to rename.',
+                rules: 'required',
+            },
+            {
+                name: 'New Name',
+                desc: 'The new name of the rank.',
+                rules: 'required|alphanum|minlen:2|maxlen:25',
+            },
+        ],
+        description: 'Rename a rank of your faction.',
+        method: cmdFactionRankRename,
+    },
+    {
+        command: '/factionrankpermission',
+        aliases: [
+            '/factionrankperm',
+        ],
+        params: [
+            {
+                name: 'Rank',
+                desc: 'The name or number of the rank.',
+                rules: 'required',
+            },
+            {
+                name: 'Permission',
+                desc: 'The permission: invite, kick, promote, treasury or chat.',
+                rules: 'required',
+            },
+            {
+                name: 'On/Off',
+                desc: 'Whether to grant (on) or revoke (off) the permission.',
+                rules: 'required',
+            },
+        ],
+        description: 'Grant or revoke a permission of a rank in your faction.',
+        method: cmdFactionRankPermission,
+    },
+    {
+        command: '/factiondeposit',
+        aliases: [],
+        params: [
+            {
+                name: 'Amount',
+                desc: 'The amount of cash you want to deposit.',
+                rules: 'required|integer|min:1',
+            },
+        ],
+        description: 'Deposit cash into your faction\'s bank. Must be used at a bank.',
+        method: cmdFactionDeposit,
+    },
+    {
+        command: '/factionwithdraw',
+        aliases: [],
+        params: [
+            {
+                name: 'Amount',
+                desc: 'The amount of cash you want to withdraw.',
+                rules: 'required|integer|min:1',
+            },
+        ],
+        description: 'Withdraw cash from your faction\'s bank, within the withdrawal limit of your rank. Must be used at a bank.',
+        method: cmdFactionWithdraw,
+    },
+    {
+        command: '/factionstash',
+        aliases: [],
+        description: 'Shows your faction\'s bank balance and item stash. Must be used at a bank.',
+        method: cmdFactionStash,
+    },
+    {
+        command: '/factionstashput',
+        aliases: [],
+        params: [
+            {
+                name: 'Item Name',
+                desc: 'The name of the item you want to put in the stash.',
+                rules: 'required|item:name',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of the item (stackable items only).',
+                rules: 'integer|min:1',
+            },
+        ],
+        description: 'Put an item from your inventory in your faction\'s stash. Must be used at a bank.',
+        method: cmdFactionStashPut,
+    },
+    {
+        command: '/factionstashtake',
+        aliases: [],
+        params: [
+            {
+                name: 'Item Name',
+                desc: 'The name of the item you want to take from the stash.',
+                rules: 'required|item:name',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of the item (stackable items only).',
+                rules: 'integer|min:1',
+            },
+        ],
+        description: 'Take an item from your faction\'s stash, within the withdrawal limit of your rank. Must be used at a bank.',
+        method: cmdFactionStashTake,
+    },
+    {
+        command: '/factionhistory',
+        aliases: [],
+        allowInJail: true,
+        description: 'Shows the transaction history of your faction\'s bank and stash. Leader only.',
+        method: cmdFactionHistory,
+    },
+    {
+        command: '/factionranklimit',
+        aliases: [],
+        params: [
+            {
+                name: 'Rank',
+                desc: 'The name or number of the rank.',
+                rules: 'required',
+            },
+            {
+                name: 'Limit',
+                desc: 'The value of cash and items the rank may withdraw per 24 hours.',
+                rules: 'required|integer|min:0',
+            },
+        ],
+        description: 'Set how much a rank in your faction may withdraw from the faction treasury per 24 hours.',
+        method: cmdFactionRankLimit,
+    },
+    {
+        command: '/factionally',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction you want to ally with.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Propose an alliance to another faction, or accept their proposal. Leader only.',
+        method: cmdFactionAlly,
+    },
+    {
+        command: '/factionunally',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the allied faction.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Break the alliance with another faction. Leader only.',
+        method: cmdFactionUnally,
+    },
+    {
+        command: '/factionallies',
+        aliases: [],
+        allowInJail: true,
+        description: 'List the allies of your faction, and any alliance proposals.',
+        method: cmdFactionAllies,
+    },
+    {
+        command: '/allied',
+        aliases: [
+            '/a',
+        ],
+        allowInJail: true,
+        params: [
+            {
+                name: 'Message',
+                desc: 'The message you wish to send',
+                rules: 'required|maxlen:500',
+            },
+        ],
+        description: 'Speak in the allied chat. Will be visible to members of your faction, and of all factions allied with it.',
+        method: cmdAllySay,
+    },
+    {
+        command: '/factionlog',
+        aliases: [],
+        allowInJail: true,
+        params: [
+            {
+                name: 'Entries',
+                desc: 'The number of log entries to show (default 20).',
+                rules: 'integer|min:1|max:100',
+            },
+        ],
+        description: 'Shows the activity log of your faction, like invites, kicks, promotions and treasury moves.',
+        method: cmdFactionLog,
+    },
 ];
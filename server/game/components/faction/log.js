@@ -0,0 +1,48 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema. The collection is capped, so the oldest entries are
+// dropped automatically once it is full.
+const FactionLogSchema = new mongoose.Schema({
+    faction_id: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    user_id: {
+        type: String,
+    },
+    name: {
+        type: String,
+    },
+    action: {
+        type: String,
+        required: true,
+    },
+    target: {
+        type: String,
+    },
+    details: {
+        type: {},
+    },
+    date_added: String,
+}, {
+    capped: {
+        size: 10485760,
+        max: 50000,
+    },
+});
+
+// Execute before each user.save() call
+FactionLogSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('FactionLog', FactionLogSchema);
@@ -1,7 +1,6 @@
 import uuid from 'uuid/v4';
-import FactionModel from './model';
+import repositories from '../repository';
 import Faction from './object';
-import CharacterModel from '../character/model';
 import factionCommands from './commands';
 import {findObjectInArray} from '../../helper';
 
@@ -28,7 +27,7 @@ export default class FactionManager {
         this.Game.commandManager.registerManager(factionCommands);
 
         // load our factions
-        const factions = await FactionModel.findAsync({});
+        const factions = await repositories.factions.find({});
 
         if (!factions) {
             return;
@@ -49,7 +48,7 @@ export default class FactionManager {
      * @return {Promise}
      */
     characterAddTo(user_id, faction_id) {
-        return CharacterModel.update({_id: user_id}, {$set: {faction_id}});
+        return repositories.characters.update({_id: user_id}, {$set: {faction_id}});
     }
 
     /**
@@ -58,7 +57,7 @@ export default class FactionManager {
      * @return {Promise}
      */
     dbCharacterRemove(user_id) {
-        return CharacterModel.update({_id: user_id}, {$set: {faction_id: ''}});
+        return repositories.characters.update({_id: user_id}, {$set: {faction_id: ''}});
     }
 
     /**
@@ -139,7 +138,7 @@ export default class FactionManager {
      * @return {Promise}
      */
     async save(faction) {
-        const dbFaction = await FactionModel.findOneAsync({faction_id: faction.faction_id});
+        const dbFaction = await repositories.factions.findOne({faction_id: faction.faction_id});
 
         if (!dbFaction) {
             throw new Error('Faction was not saved, as it was not found in the databse');
@@ -148,8 +147,127 @@ export default class FactionManager {
         dbFaction.name = faction.name;
         dbFaction.tag = faction.tag;
         dbFaction.leader_id = faction.leader_id;
+        dbFaction.ranks = faction.ranks;
+        dbFaction.markModified('ranks');
+        dbFaction.member_ranks = {...faction.member_ranks};
+        dbFaction.markModified('member_ranks');
+        dbFaction.bank = faction.bank;
+        dbFaction.stash = faction.stash;
+        dbFaction.markModified('stash');
+        dbFaction.transactions = faction.transactions;
+        dbFaction.withdrawals = faction.withdrawals;
+        dbFaction.allies = faction.allies;
+
+        return repositories.factions.save(dbFaction);
+    }
 
-        return dbFaction.saveAsync();
+    /**
+     * Writes a faction event to the faction activity log
+     * @param  {Faction}   faction   The faction
+     * @param  {Character} character The character performing the action, if any
+     * @param  {String}    action    The action performed, eg. kick
+     * @param  {String}    target    The name of the target of the action, if any
+     * @param  {Object}    details   Any additional details about the action
+     * @return {Promise}
+     */
+    async log(faction, character, action, target = null, details = {}) {
+        try {
+            const entry = repositories.factionLogs.create({
+                faction_id: faction.faction_id,
+                user_id: character ? character.user_id : null,
+                name: character ? character.name : null,
+                action,
+                target,
+                details,
+            });
+
+            await repositories.factionLogs.save(entry);
+        } catch (err) {
+            this.Game.onError(err);
+        }
+    }
+
+    /**
+     * Get the most recent entries of a faction's activity log
+     * @param  {String} factionId The faction ID
+     * @param  {Number} limit     The max number of entries
+     * @return {Promise}          Resolves to a list of entries, newest first
+     */
+    getLog(factionId, limit) {
+        return repositories.factionLogs.find({faction_id: factionId}, null, {sort: {$natural: -1}, limit});
+    }
+
+    /**
+     * Generates the description of a faction activity log entry
+     * @param  {Object} entry The log entry
+     * @return {String}
+     */
+    describeLogEntry(entry) {
+        const details = entry.details || {};
+        const who = entry.name || 'Someone';
+
+        switch (entry.action) {
+            case 'create':
+                return `${who} created the faction`;
+            case 'invite':
+                return `${who} invited ${entry.target}`;
+            case 'join':
+                return `${who} joined the faction`;
+            case 'kick':
+                return `${who} kicked ${entry.target}`;
+            case 'leader':
+                return `${who} made ${entry.target} the leader`;
+            case 'rank':
+                return `${who} changed the rank of ${entry.target} to ${details.rank}`;
+            case 'disband':
+                return `${who} disbanded the faction`;
+            case 'deposit':
+                return `${who} deposited ${details.amount}`;
+            case 'withdraw':
+                return `${who} withdrew ${details.amount}`;
+            case 'stash':
+                return `${who} stashed ${details.amount}x ${details.item}`;
+            case 'unstash':
+                return `${who} took ${details.amount}x ${details.item} from the stash`;
+        }
+
+        return `${who} used ${entry.action}${entry.target ? ` on ${entry.target}` : ''}`;
+    }
+
+    /**
+     * Forms an alliance between two factions
+     * @param  {Faction} faction The first faction
+     * @param  {Faction} ally    The second faction
+     * @return {Promise}
+     */
+    async formAlliance(faction, ally) {
+        await faction.addAlly(ally.faction_id);
+        await ally.addAlly(faction.faction_id);
+
+        this.updateMembers(faction);
+        this.updateMembers(ally);
+    }
+
+    /**
+     * Breaks the alliance between two factions
+     * @param  {Faction} faction The first faction
+     * @param  {Faction} ally    The second faction
+     * @return {Promise}
+     */
+    async breakAlliance(faction, ally) {
+        await faction.removeAlly(ally.faction_id);
+        await ally.removeAlly(faction.faction_id);
+
+        this.updateMembers(faction);
+        this.updateMembers(ally);
+    }
+
+    /**
+     * Updates the faction details on the clients of all online members of a faction
+     * @param  {Faction} faction The faction
+     */
+    updateMembers(faction) {
+        faction.onlineMembers.forEach((member) => this.Game.characterManager.updateClient(member.user_id, 'faction'));
     }
 
     /**
@@ -163,7 +281,7 @@ export default class FactionManager {
         user_id = user_id.toString();
 
         const character = this.Game.characterManager.get(user_id);
-        const factions = FactionModel.findAsync({
+        const factions = repositories.factions.find({
             $or: [
                 {name_lowercase: factionName.toLowerCase()},
                 {tag_lowercase: factionTag.toLowerCase()},
@@ -188,14 +306,15 @@ export default class FactionManager {
             throw new Error('Error creating faction object');
         }
 
-        const dbFaction = new FactionModel({
+        const dbFaction = repositories.factions.create({
             ...newFaction.toObject(),
         });
 
-        await dbFaction.save();
+        await repositories.factions.save(dbFaction);
 
         // Add the faction object to the character
         await newFaction.addMember(character);
+        this.log(newFaction, character, 'create');
 
         // resolve back to caller
         return newFaction;
@@ -216,9 +335,18 @@ export default class FactionManager {
         // remove from managed list
         this.factions = this.factions.filter((obj) => !obj.remove);
 
+        // break any alliances with the faction
+        await Promise.all(this.factions
+            .filter((obj) => obj.isAlliedWith(factionId))
+            .map((obj) => obj.removeAlly(factionId)));
+
+        // release all turf claimed by the faction, and end its wars
+        await this.Game.turfManager.removeFaction(factionId);
+        await this.Game.warManager.removeFaction(factionId);
+
         // remove from databse
-        await FactionModel.remove({faction_id: factionId});
-        await CharacterModel.update({faction_id: factionId}, {$set: {faction_id: ''}}, {multi: true});
+        await repositories.factions.delete({faction_id: factionId});
+        await repositories.characters.update({faction_id: factionId}, {$set: {faction_id: ''}}, {multi: true});
 
         return factionId;
     }
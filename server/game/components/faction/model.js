@@ -22,6 +22,34 @@ const FactionSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    ranks: {
+        type: Array,
+        default: [],
+    },
+    member_ranks: {
+        type: {},
+        default: {},
+    },
+    bank: {
+        type: Number,
+        default: 0,
+    },
+    stash: {
+        type: Array,
+        default: [],
+    },
+    transactions: {
+        type: Array,
+        default: [],
+    },
+    withdrawals: {
+        type: Array,
+        default: [],
+    },
+    allies: {
+        type: Array,
+        default: [],
+    },
     date_added: String,
     date_updated: String,
 });
@@ -1,3 +1,6 @@
+import {MAP_BEACONS, COMMAND_CHAT_MESSAGE} from 'shared/actionTypes';
+import {ranks as defaultRanks} from './ranks';
+
 /**
  * Faction object class
  */
@@ -18,6 +21,330 @@ export default class Faction {
         // keeps tracks of all active faction invtes. The list will contain the user_id's
         // of anyone whos been invited.
         this.invites = [];
+        // factions created before ranks existed get the default ranks
+        if (!this.ranks || !this.ranks.length) {
+            this.ranks = defaultRanks.map((rank) => ({...rank, permissions: [...rank.permissions]}));
+        }
+        // ranks saved before withdrawal limits existed, get the limit of the default rank
+        this.ranks.forEach((rank, index) => {
+            if (typeof rank.withdrawLimit !== 'number') {
+                rank.withdrawLimit = defaultRanks[index] ? defaultRanks[index].withdrawLimit : 0;
+            }
+        });
+        // the rank (index) of each member, by user_id. The leader is always the highest rank.
+        this.member_ranks = {...this.member_ranks};
+        // the faction treasury; cash, the item stash and the transaction history
+        this.bank = this.bank || 0;
+        this.stash = this.stash || [];
+        this.transactions = this.transactions || [];
+        // the withdrawals of the last 24 hours, which the withdrawal limits are checked against.
+        // Kept apart from the transaction history, as that is trimmed by count.
+        this.withdrawals = this.withdrawals || [];
+        // the faction IDs of allied factions
+        this.allies = this.allies || [];
+        // the faction IDs of factions who proposed an alliance, waiting for the leader to accept.
+        this.allyInvites = [];
+    }
+
+    /**
+     * Get the rank index of a member, 0 being the highest
+     * @param  {String} user_id The user ID of the member
+     * @return {Number}
+     */
+    getRankIndex(user_id) {
+        if (user_id === this.leader_id) {
+            return 0;
+        }
+
+        const index = this.member_ranks[user_id];
+
+        // members without a (valid) rank are treated as the lowest rank
+        if (typeof index !== 'number' || index < 1 || index >= this.ranks.length) {
+            return this.ranks.length - 1;
+        }
+
+        return index;
+    }
+
+    /**
+     * Get the rank of a member
+     * @param  {String} user_id The user ID of the member
+     * @return {Object}         {name, permissions}
+     */
+    getRank(user_id) {
+        return this.ranks[this.getRankIndex(user_id)];
+    }
+
+    /**
+     * Find the index of a rank by its name, or its number (1 being the highest)
+     * @param  {String} rankName The name or number of the rank
+     * @return {Number}          The rank index, or -1 if not found
+     */
+    findRank(rankName) {
+        const number = parseInt(rankName, 10);
+
+        if (!isNaN(number)) {
+            return number >= 1 && number <= this.ranks.length ? number - 1 : -1;
+        }
+
+        return this.ranks.findIndex((rank) => rank.name.toLowerCase() === rankName.toLowerCase());
+    }
+
+    /**
+     * Check if a member's rank grants them a permission
+     * @param  {Character} character  The member to check
+     * @param  {String}    permission The permission, eg. invite
+     * @return {Boolean}
+     */
+    hasPermission(character, permission) {
+        if (character.user_id === this.leader_id) {
+            return true;
+        }
+
+        return this.getRank(character.user_id).permissions.includes(permission);
+    }
+
+    /**
+     * Check if a member is of a higher rank than another
+     * @param  {String} user_id       The user ID of the member
+     * @param  {String} targetUserId  The user ID of the other member
+     * @return {Boolean}
+     */
+    outranks(user_id, targetUserId) {
+        return this.getRankIndex(user_id) < this.getRankIndex(targetUserId);
+    }
+
+    /**
+     * Sets the rank of a member. The highest rank is reserved for the leader.
+     * @param  {String} user_id   The user ID of the member
+     * @param  {Number} rankIndex The index of the new rank
+     * @return {Promise}
+     */
+    setRank(user_id, rankIndex) {
+        this.member_ranks[user_id] = Math.max(1, Math.min(rankIndex, this.ranks.length - 1));
+        return this.Game.factionManager.save(this);
+    }
+
+    /**
+     * Renames a rank
+     * @param  {Number} rankIndex The index of the rank
+     * @param  {String} name      The new name
+     * @return {Promise}
+     */
+    renameRank(rankIndex, name) {
+        this.ranks[rankIndex].name = name;
+        return this.Game.factionManager.save(this);
+    }
+
+    /**
+     * Grants or revokes a permission of a rank
+     * @param  {Number}  rankIndex  The index of the rank
+     * @param  {String}  permission The permission
+     * @param  {Boolean} enabled    Whether the rank should have the permission
+     * @return {Promise}
+     */
+    setPermission(rankIndex, permission, enabled) {
+        const rank = this.ranks[rankIndex];
+
+        rank.permissions = rank.permissions.filter((obj) => obj !== permission);
+
+        if (enabled) {
+            rank.permissions.push(permission);
+        }
+
+        return this.Game.factionManager.save(this);
+    }
+
+    /**
+     * Sets the value a rank may withdraw from the treasury per 24 hours
+     * @param  {Number} rankIndex The index of the rank
+     * @param  {Number} limit     The value of cash and items
+     * @return {Promise}
+     */
+    setWithdrawLimit(rankIndex, limit) {
+        this.ranks[rankIndex].withdrawLimit = limit;
+
+        return this.Game.factionManager.save(this);
+    }
+
+    /**
+     * Adds an entry to the treasury transaction history, dropping the oldest entries
+     * @param  {Character} character The member making the transaction
+     * @param  {String}    type      deposit, withdraw, stash or unstash
+     * @param  {Number}    amount    The cash amount, or number of items
+     * @param  {Number}    value     The value of the transaction
+     * @param  {String}    item      (optional) The name of the item
+     */
+    addTransaction(character, type, amount, value, item = null) {
+        this.transactions.push({
+            user_id: character.user_id,
+            name: character.name,
+            type,
+            amount,
+            value,
+            item,
+            date: Date.now(),
+        });
+
+        this.transactions = this.transactions.slice(this.Game.config.game.faction.history * -1);
+        this.Game.factionManager.log(this, character, type, null, {amount, value, item});
+
+        if (['withdraw', 'unstash'].includes(type)) {
+            this.addWithdrawal(character, value);
+        }
+    }
+
+    /**
+     * Records a withdrawal towards the member's withdrawal limit, dropping withdrawals older than 24 hours
+     * @param  {Character} character The member withdrawing
+     * @param  {Number}    value     The value of the withdrawal
+     */
+    addWithdrawal(character, value) {
+        const since = Date.now() - 86400000;
+
+        this.withdrawals = this.withdrawals.filter((entry) => entry.date > since);
+        this.withdrawals.push({
+            user_id: character.user_id,
+            value,
+            date: Date.now(),
+        });
+    }
+
+    /**
+     * Get the value a member can still withdraw from the treasury, within the last 24 hours
+     * @param  {Character} character The member to check
+     * @return {Number}              The value left, or -1 if there is no limit
+     */
+    getWithdrawLimitLeft(character) {
+        const limit = character.user_id === this.leader_id ? -1 : this.getRank(character.user_id).withdrawLimit;
+
+        if (limit === -1) {
+            return -1;
+        }
+
+        const since = Date.now() - 86400000;
+        const withdrawn = this.withdrawals
+            .filter((entry) => entry.user_id === character.user_id && entry.date > since)
+            .reduce((total, entry) => total + entry.value, 0);
+
+        return Math.max(0, limit - withdrawn);
+    }
+
+    /**
+     * Checks whether a member may withdraw a given value from the treasury
+     * @param  {Character} character The member withdrawing
+     * @param  {Number}    value     The value of the withdrawal
+     * @return {String|null}         Error message, or null if allowed
+     */
+    canWithdraw(character, value) {
+        if (!this.hasPermission(character, 'treasury')) {
+            return 'Your faction rank does not allow you to use the faction treasury.';
+        }
+
+        const limitLeft = this.getWithdrawLimitLeft(character);
+
+        if (limitLeft !== -1 && value > limitLeft) {
+            return `That exceeds your withdrawal limit. You can withdraw a value of ${limitLeft} more within the next 24 hours.`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Deposits cash from the character into the faction bank
+     * @param  {Character} character The member depositing
+     * @param  {Number}    amount    The amount of cash
+     * @return {Promise}
+     */
+    deposit(character, amount) {
+        character.updateCash(amount * -1);
+        this.bank += amount;
+        this.addTransaction(character, 'deposit', amount, amount);
+
+        return this.saveTreasury(character);
+    }
+
+    /**
+     * Withdraws cash from the faction bank to the character
+     * @param  {Character} character The member withdrawing
+     * @param  {Number}    amount    The amount of cash
+     * @return {Promise}
+     */
+    withdraw(character, amount) {
+        this.bank -= amount;
+        character.updateCash(amount);
+        this.addTransaction(character, 'withdraw', amount, amount);
+
+        return this.saveTreasury(character);
+    }
+
+    /**
+     * Moves an item from the character's inventory into the faction stash
+     * @param  {Character} character The member stashing the item
+     * @param  {Item}      item      The item taken from the inventory, as returned by dropItem()
+     * @return {Promise}
+     */
+    stashItem(character, item) {
+        const amount = item.stats.stackable ? item.stats.durability : 1;
+        const stashed = this.stash.find((obj) => obj.item_id === item.id && item.stats.stackable);
+
+        if (stashed) {
+            stashed.modifiers.durability += amount;
+        } else {
+            this.stash.push({
+                item_id: item.id,
+                modifiers: item.getModifiers(),
+            });
+        }
+
+        this.addTransaction(character, 'stash', amount, item.stats.price * amount, item.name);
+
+        return this.saveTreasury(character);
+    }
+
+    /**
+     * Moves an item from the faction stash to the character's inventory
+     * @param  {Character} character The member taking the item
+     * @param  {Number}    index     The index of the item in the stash
+     * @param  {Number}    amount    The amount to take (stackable items only)
+     * @return {Promise}
+     */
+    unstashItem(character, index, amount) {
+        const stashed = this.stash[index];
+        const item = this.Game.itemManager.add(stashed.item_id, {...stashed.modifiers});
+
+        if (item.stats.stackable && amount < stashed.modifiers.durability) {
+            stashed.modifiers.durability -= amount;
+        } else {
+            this.stash.splice(index, 1);
+            amount = item.stats.stackable ? item.stats.durability : 1;
+        }
+
+        character.giveItem(item, item.stats.stackable ? amount : null);
+        this.addTransaction(character, 'unstash', amount, item.stats.price * amount, item.name);
+
+        return this.saveTreasury(character);
+    }
+
+    /**
+     * Saves the faction and the character after a treasury transaction, so neither can be duplicated on a crash
+     * @param  {Character} character The member who made the transaction
+     * @return {Promise}
+     */
+    saveTreasury(character) {
+        return Promise.all([
+            this.Game.factionManager.save(this),
+            this.Game.characterManager.save(character.user_id),
+        ]);
+    }
+
+    /**
+     * Find the index of an item in the stash, by item template
+     * @param  {Object} template The item template
+     * @return {Number}          The stash index, or -1
+     */
+    findStashItem(template) {
+        return this.stash.findIndex((obj) => obj.item_id === template.id);
     }
 
     /**
@@ -43,6 +370,51 @@ export default class Faction {
         }
     }
 
+    /**
+     * Checks if the faction is allied with another faction
+     * @param  {String}  factionId The faction ID of the other faction
+     * @return {Boolean}
+     */
+    isAlliedWith(factionId) {
+        return this.allies.includes(factionId);
+    }
+
+    /**
+     * Records an alliance proposal from another faction
+     * @param  {Faction} faction The proposing faction
+     */
+    inviteAlly(faction) {
+        if (!this.allyInvites.includes(faction.faction_id)) {
+            this.allyInvites.push(faction.faction_id);
+        }
+    }
+
+    /**
+     * Adds a faction to the list of allies
+     * @param  {String} factionId The faction ID of the ally
+     * @return {Promise}
+     */
+    addAlly(factionId) {
+        this.allyInvites = this.allyInvites.filter((id) => id !== factionId);
+
+        if (!this.allies.includes(factionId)) {
+            this.allies.push(factionId);
+        }
+
+        return this.Game.factionManager.save(this);
+    }
+
+    /**
+     * Removes a faction from the list of allies
+     * @param  {String} factionId The faction ID of the former ally
+     * @return {Promise}
+     */
+    removeAlly(factionId) {
+        this.allies = this.allies.filter((id) => id !== factionId);
+
+        return this.Game.factionManager.save(this);
+    }
+
     /**
      * Adds the Character to the faction online list and bind the factio obj to the character
      * @param  {Character Obj} character The Character to "link"
@@ -59,6 +431,12 @@ export default class Faction {
         // join the faction-only room
         const socket = this.Game.socketManager.get(character.user_id);
         socket.join(this.faction_id);
+
+        // send the active distress beacons of the faction
+        this.Game.socketManager.dispatchToUser(character.user_id, {
+            type: MAP_BEACONS,
+            payload: this.getBeacons(),
+        });
     }
 
     /**
@@ -96,6 +474,11 @@ export default class Faction {
             return null;
         }
 
+        // new members start at the lowest rank
+        if (character.user_id !== this.leader_id) {
+            await this.setRank(character.user_id, this.ranks.length - 1);
+        }
+
         this.linkCharacter(character);
         return character.user_id;
     }
@@ -117,6 +500,9 @@ export default class Faction {
 
         await this.Game.factionManager.dbCharacterRemove(character.user_id);
 
+        delete this.member_ranks[character.user_id];
+        await this.Game.factionManager.save(this);
+
         // remove member from faction online list
         this.onlineMembers = this.onlineMembers.filter((obj) => obj.user_id !== character.user_id);
 
@@ -124,6 +510,14 @@ export default class Faction {
         const socket = await this.Game.socketManager.get(character.user_id);
 
         socket.leave(this.faction_id);
+
+        // clear the beacons from the former member's map, and remove theirs from the faction
+        this.Game.socketManager.dispatchToUser(character.user_id, {
+            type: MAP_BEACONS,
+            payload: [],
+        });
+        this.updateBeacons();
+
         return character.user_id;
     }
 
@@ -143,6 +537,10 @@ export default class Faction {
             return reject('You are already the leader of this faction.');
         }
 
+        // the old leader steps down to the second highest rank
+        this.member_ranks[this.leader_id] = 1;
+        delete this.member_ranks[character.user_id];
+
         // set the leader to the new user ID
         this.leader_id = character.user_id;
         // save the changes to the faction
@@ -163,6 +561,55 @@ export default class Faction {
             // remove the faction tag from the name, in the online list
             this.Game.characterManager.dispatchUpdateCharacterList(member.user_id);
         });
+
+        // clear any distress beacons from the members' maps
+        this.Game.socketManager.dispatchToRoom(this.faction_id, {
+            type: MAP_BEACONS,
+            payload: [],
+        });
+    }
+
+    /**
+     * Sends a system message to the faction chat of all online members
+     * @param  {String} message The message
+     */
+    notify(message) {
+        this.Game.socketManager.dispatchToRoom(this.faction_id, {
+            type: COMMAND_CHAT_MESSAGE,
+            payload: {
+                name: null,
+                message,
+                type: 'faction',
+            },
+        });
+    }
+
+    /**
+     * Get the location of all online members with an active distress beacon
+     * @return {Array}
+     */
+    getBeacons() {
+        return this.onlineMembers
+            .filter((character) => this.Game.effectManager.getStatus(character, 'beacon'))
+            .map((character) => {
+                return {
+                    user_id: character.user_id,
+                    name: character.name,
+                    map: character.location.map,
+                    x: character.location.x,
+                    y: character.location.y,
+                };
+            });
+    }
+
+    /**
+     * Sends the list of active distress beacons to all online members
+     */
+    updateBeacons() {
+        this.Game.socketManager.dispatchToRoom(this.faction_id, {
+            type: MAP_BEACONS,
+            payload: this.getBeacons(),
+        });
     }
 
     /**
@@ -176,10 +623,23 @@ export default class Faction {
             leader_id: this.leader_id,
             name: this.name,
             tag: this.tag,
+            ranks: this.ranks,
+            member_ranks: this.member_ranks,
+            bank: this.bank,
+            allies: this.allies.map((factionId) => {
+                const ally = this.Game.factionManager.get(factionId);
+
+                return ally ? {
+                    faction_id: ally.faction_id,
+                    name: ally.name,
+                    tag: ally.tag,
+                } : null;
+            }).filter((ally) => ally),
             members: !ignoreMembers ? this.onlineMembers.map((character) => {
                 return {
                     user_id: character.user_id,
                     name: character.name,
+                    rank: this.getRank(character.user_id).name,
                 };
             }) : null,
         };
@@ -0,0 +1,51 @@
+/**
+ * Faction rank permissions
+ *
+ * invite:   Invite players to join the faction
+ * kick:     Kick members of a lower rank from the faction
+ * promote:  Change the rank of members of a lower rank
+ * treasury: Use the faction treasury
+ * chat:     Speak in the faction chat
+ */
+const permissions = [
+    'invite',
+    'kick',
+    'promote',
+    'treasury',
+    'chat',
+];
+
+/**
+ * The ranks of a new faction, from highest to lowest. The first rank is reserved for the
+ * faction leader, and new members join at the lowest rank.
+ *
+ * withdrawLimit: The value (cash, and the price of stash items) a member of the rank can
+ *                withdraw from the treasury per 24 hours. -1 for no limit.
+ */
+const ranks = [
+    {
+        name: 'Boss',
+        permissions: [...permissions],
+        withdrawLimit: -1,
+    },
+    {
+        name: 'Lieutenant',
+        permissions: ['invite', 'kick', 'promote', 'treasury', 'chat'],
+        withdrawLimit: 50000,
+    },
+    {
+        name: 'Soldier',
+        permissions: ['invite', 'chat'],
+        withdrawLimit: 5000,
+    },
+    {
+        name: 'Recruit',
+        permissions: ['chat'],
+        withdrawLimit: 0,
+    },
+];
+
+module.exports = {
+    permissions,
+    ranks,
+};
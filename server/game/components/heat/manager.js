@@ -0,0 +1,120 @@
+/**
+ * Heat (wanted level) Manager
+ */
+export default class HeatManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        // log manager progress
+        this.Game.logger.debug('HeatManager::constructor Loaded');
+    }
+
+    /**
+     * Get the current heat of a character
+     * @param  {Character} character The character to check
+     * @return {Number}
+     */
+    get(character) {
+        return character.stats.heat || 0;
+    }
+
+    /**
+     * Get the wanted level (0-5 stars) of a character, based on their heat
+     * @param  {Character} character The character to check
+     * @return {Number}
+     */
+    getWantedLevel(character) {
+        return Math.ceil((this.get(character) / this.Game.config.game.heat.max) * 5);
+    }
+
+    /**
+     * Whether law enforcement will attack the character on sight
+     * @param  {Character} character The character to check
+     * @return {Boolean}
+     */
+    isWanted(character) {
+        return this.get(character) >= this.Game.config.game.heat.wanted;
+    }
+
+    /**
+     * Get the heat gained from a crime at a location. The police keep away from dangerous
+     * districts, so crimes committed there draw less attention.
+     * @param  {Object} location {map, x, y}
+     * @param  {Number} amount   The base amount of heat
+     * @return {Number}
+     */
+    getAmountAt(location, amount) {
+        const danger = this.Game.mapManager.getDanger(location.map, location.x, location.y);
+        // configs from before districts had a danger level have no reduction set
+        const reduction = this.Game.config.game.heat.dangerReduction || 0;
+        const modifier = Math.max(0, 1 - (danger * reduction));
+
+        return Math.round(amount * modifier);
+    }
+
+    /**
+     * Increases the heat of a character, letting them know if they become wanted
+     * @param  {Character} character The character to add heat to
+     * @param  {Number}    amount    The base amount of heat to add, before the district danger
+     */
+    add(character, amount) {
+        // NPCs do not have a wanted level
+        if (!character.user_id || !amount) {
+            return;
+        }
+
+        amount = this.getAmountAt(character.location, amount);
+
+        if (!amount) {
+            return;
+        }
+
+        const wasWanted = this.isWanted(character);
+
+        character.stats.heat = Math.min(this.Game.config.game.heat.max, this.get(character) + amount);
+        this.Game.characterManager.updateClient(character.user_id, 'stats');
+
+        if (!wasWanted && this.isWanted(character)) {
+            this.Game.eventToUser(character.user_id, 'warning', 'You are now wanted by the police. Law enforcement will attack you on sight, until things cool down.');
+        }
+    }
+
+    /**
+     * Reduces the heat of all online characters, run on the heat timer
+     */
+    decayAll() {
+        this.Game.characterManager.characters.forEach((character) => {
+            const heat = this.get(character);
+
+            if (!heat) {
+                return;
+            }
+
+            const wasWanted = this.isWanted(character);
+
+            character.stats.heat = Math.max(0, heat - this.Game.config.game.heat.decay);
+            this.Game.characterManager.updateClient(character.user_id, 'stats');
+
+            if (wasWanted && !this.isWanted(character)) {
+                this.Game.eventToUser(character.user_id, 'info', 'Things have cooled down, the police are no longer looking for you.');
+            }
+        });
+    }
+
+    /**
+     * Get all wanted characters at a specific location, who are not hidden
+     * @param  {String} map Map ID
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Array}      List of characters
+     */
+    getWantedAt(map, x, y) {
+        return this.Game.characterManager
+            .getLocationList(map, x, y)
+            .filter((character) => !character.hidden && this.isWanted(character));
+    }
+}
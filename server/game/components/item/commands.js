@@ -298,6 +298,7 @@ module.exports = [
     {
         command: '/giveitem',
         aliases: [],
+        role: 'admin',
         params: [
             {
                 name: 'Item ID',
@@ -1,7 +1,7 @@
 import Promise from 'bluebird';
 
 // manager specific imports
-import ItemModel from './model';
+import repositories from '../repository';
 import ItemList from '../../data/items.json';
 import Item from './object';
 import ItemCommands from './commands';
@@ -29,7 +29,7 @@ export default class ItemManager {
      */
     init() {
         ItemList.map((itemData) => {
-            this.templates[itemData.id] = new Item(null, itemData);
+            this.templates[itemData.id] = new Item(this.Game, itemData);
         });
 
         // register the commands
@@ -210,8 +210,7 @@ export default class ItemManager {
         // if the item is in the DB, delete it.
         if (itemClone._id) {
             try {
-                const dbItem = await this.dbLoad(itemClone);
-                dbItem.remove();
+                await repositories.items.delete({_id: itemClone._id.toString()});
             } catch (err) {
                 this.Game.onError(err);
             }
@@ -293,7 +292,7 @@ export default class ItemManager {
      * @return {Promise}
      */
     async loadCharacterInventory(character) {
-        const items = await ItemModel.findAsync({character_id: character._id.toString()}, {_id: 1, item_id: 1, modifiers: 1, inventorySlot: 1});
+        const items = await repositories.items.find({character_id: character._id.toString()}, {_id: 1, item_id: 1, modifiers: 1, inventorySlot: 1});
 
         return items.map((item) => {
             let newItem = this.add(item.item_id, item.modifiers, item._id);
@@ -340,7 +339,7 @@ export default class ItemManager {
             }
         });
 
-        return ItemModel.deleteManyAsync({character_id: character._id.toString(), _id: {$nin: itemDbIds}});
+        return repositories.items.delete({character_id: character._id.toString(), _id: {$nin: itemDbIds}});
     }
 
     /**
@@ -351,14 +350,14 @@ export default class ItemManager {
      */
     async dbCreate(character_id, item) {
         // create a new item model
-        const newItem = new ItemModel({
+        const newItem = repositories.items.create({
             character_id,
             item_id: item.id,
             modifiers: item.getModifiers(),
             inventorySlot: item.inventorySlot,
         });
 
-        await newItem.saveAsync();
+        await repositories.items.save(newItem);
         // set the item's _id to the new DB entry.
         item._id = newItem._id;
 
@@ -386,7 +385,7 @@ export default class ItemManager {
         loadedItem.modifiers = item.getModifiers();
         loadedItem.inventorySlot = item.inventorySlot;
 
-        await loadedItem.saveAsync();
+        await repositories.items.save(loadedItem);
         return loadedItem;
     }
 
@@ -400,7 +399,7 @@ export default class ItemManager {
             return null;
         }
 
-        const dbItem = await ItemModel.findOneAsync({_id: item._id.toString()});
+        const dbItem = await repositories.items.findOne({_id: item._id.toString()});
 
         if (!dbItem) {
             throw new Error('Item not found');
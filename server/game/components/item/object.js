@@ -1,5 +1,4 @@
 import uuid from 'uuid/v4';
-import {dice} from '../../helper';
 
 /*{
     id: "",
@@ -124,22 +123,23 @@ export default class Item {
 
     /**
      * Use the item, if the item allows
+     * @return {Promise}
      */
-    use(character) {
+    async use(character) {
         // check if the item has an effect, if not, its not useable
         if (!this.stats.useEffect) {
             return;
         }
 
         // apply the item use effect
-        const effects = this.Game.effectManager.apply(character, this.stats.useEffect.id, this.stats.useEffect.modifiers, this);
+        const effects = await this.Game.effectManager.apply(character, this.stats.useEffect.id, this.stats.useEffect.modifiers, this);
 
         if (!effects) {
             return;
         }
 
         // check if the use effect, reduces item durability
-        if (this.stats.useEffect.modifiers.ignoreDurability) {
+        if (this.stats.useEffect.modifiers && this.stats.useEffect.modifiers.ignoreDurability) {
             return;
         }
 
@@ -164,7 +164,7 @@ export default class Item {
             return this.stats.price;
         }
 
-        this.stats.price = dice(this.stats.priceRange[1], this.stats.priceRange[2]);
+        this.stats.price = this.Game.randomManager.get('item').dice(this.stats.priceRange[1], this.stats.priceRange[2]);
         return this.stats.price;
     }
 }
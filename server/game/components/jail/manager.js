@@ -0,0 +1,117 @@
+import {addNews} from '../../actions';
+
+/**
+ * Jail Manager
+ */
+export default class JailManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        // log manager progress
+        this.Game.logger.debug('JailManager::constructor Loaded');
+    }
+
+    /**
+     * Whether the character is currently serving a sentence
+     * @param  {Character} character The character to check
+     * @return {Boolean}
+     */
+    isJailed(character) {
+        return this.Game.effectManager.getStatus(character, 'jailed') ? true : false;
+    }
+
+    /**
+     * Calculates the sentence (in seconds) for a character, based on their heat
+     * @param  {Character} character The character to sentence
+     * @return {Number}
+     */
+    getSentence(character) {
+        const config = this.Game.config.game.jail;
+        return config.sentence + (this.Game.heatManager.get(character) * config.heatSentence);
+    }
+
+    /**
+     * Calculates the bail for the remaining sentence of a character
+     * @param  {Character} character The jailed character
+     * @param  {Number}    cost      The bail cost per (started) minute of the sentence
+     * @return {Number}
+     */
+    getBail(character, cost) {
+        const status = this.Game.effectManager.getStatus(character, 'jailed');
+
+        if (!status) {
+            return 0;
+        }
+
+        return Math.ceil(status.timeLeft() / 60000) * cost;
+    }
+
+    /**
+     * Removes all contraband items from the character's inventory
+     * @param  {Character} character The character to search
+     * @return {Array}               List of the confiscated item names
+     */
+    confiscate(character) {
+        const contraband = this.Game.config.game.jail.contraband;
+        const items = character.inventory.filter((item) => contraband.includes(item.subtype));
+
+        items.forEach((item) => {
+            this.Game.itemManager.remove(character, item);
+        });
+
+        return items.map((item) => item.name);
+    }
+
+    /**
+     * Arrests a character, confiscating their contraband and moving them to the city jail
+     * @param  {Character} character The character to arrest
+     * @param  {NPC}       arrester  The NPC making the arrest
+     * @return {Boolean}             false if there is no jail in the city
+     */
+    arrest(character, arrester) {
+        const jail = this.Game.structureManager.getByCommand(character.location.map, '/bail');
+
+        if (!jail) {
+            return false;
+        }
+
+        const sentence = this.getSentence(character);
+        const confiscated = this.confiscate(character);
+
+        // the slate is wiped clean, and they are patched up by the jail's medic
+        character.stats.heat = 0;
+        character.stats.health = character.stats.health_max;
+
+        this.Game.characterManager.relocate(character, jail.location, {
+            leave: `${arrester.name} the ${arrester.type} cuffs ${character.name}, and takes them away.`,
+            join: `${character.name} is escorted into the ${jail.name}, in handcuffs.`,
+        });
+
+        this.Game.effectManager.addStatus(character, 'jailed', {
+            duration: sentence,
+        });
+
+        this.Game.characterManager.updateClient(character.user_id);
+        this.Game.eventToUser(character.user_id, 'warning', `You have been arrested by ${arrester.name} the ${arrester.type}, and sentenced to ${sentence} seconds in the ${jail.name}. You can pay your way out with /bail.`);
+
+        if (confiscated.length) {
+            this.Game.eventToUser(character.user_id, 'warning', `The following contraband was confiscated: ${confiscated.join(', ')}.`);
+        }
+
+        this.Game.socketManager.dispatchToRoom('game', addNews(`${character.name} was arrested by the police.`));
+
+        return true;
+    }
+
+    /**
+     * Releases a character from jail, before their sentence ends
+     * @param  {Character} character The jailed character
+     */
+    release(character) {
+        this.Game.effectManager.removeStatus(character, 'jailed');
+    }
+}
@@ -2,6 +2,7 @@ import {
     CHARACTER_LEFT_GRID,
     ITEM_GROUND_ITEMS,
 } from 'shared/actionTypes';
+import {getRoute} from './pathfinding';
 
 /**
  * Get the direction based on the movement action
@@ -38,8 +39,10 @@ function cmdFlee(socket, character, command, params, cmdObject, Game) {
     // get their location
     // if no direction is set, choose a random direction
     if (!direction) {
-        moveAction.grid = Math.floor(Math.random() * 2) ? 'y' : 'x';
-        moveAction.direction = Math.floor(Math.random() * 2) ? 1 : -1;
+        const rng = Game.randomManager.get('combat');
+
+        moveAction.grid = Math.floor(rng.random() * 2) ? 'y' : 'x';
+        moveAction.direction = Math.floor(rng.random() * 2) ? 1 : -1;
     } else {
         // grap the first letter  from the direction, so we dont need to check for
         // the fuld name or parts of it.
@@ -63,33 +66,43 @@ function cmdFlee(socket, character, command, params, cmdObject, Game) {
         }
     }
 
-    let newLocation = {...character.location};
-    // set the location we intend to move the character to
-    newLocation[moveAction.grid] = newLocation[moveAction.grid] + moveAction.direction;
-
     // get the map of the character location
     const gameMap = Game.mapManager.get(character.location.map);
 
     if (!gameMap) {
-        return Game.eventToUser(user, 'error', 'Something went wrong. Please try again in a moment.');
+        return Game.eventToSocket(socket, 'error', 'Something went wrong. Please try again in a moment.');
     }
 
-    // check if the move action is valid
-    if (!gameMap.isValidPostion(newLocation.x, newLocation.y)) {
-        // if not, flip the direction
-        moveAction.direction = (moveAction.direction === 1 ? -1 : 1);
-        // update the new location
-        newLocation = {
-            map: character.location.map,
-            [moveAction.grid]: (character.location[moveAction.grid] + moveAction.direction),
-        };
+    // if the way is blocked, try the opposite direction, then the remaining directions
+    const otherGrid = moveAction.grid === 'y' ? 'x' : 'y';
+    moveAction = [
+        moveAction,
+        {grid: moveAction.grid, direction: moveAction.direction * -1},
+        {grid: otherGrid, direction: 1},
+        {grid: otherGrid, direction: -1},
+    ].find((option) => {
+        const location = {...character.location};
+        location[option.grid] = location[option.grid] + option.direction;
+
+        return gameMap.isPassable(location.x, location.y);
+    });
+
+    if (!moveAction) {
+        return Game.eventToSocket(socket, 'warning', 'There is nowhere to flee to.');
     }
 
+    // set the location we intend to move the character to
+    const newLocation = {...character.location};
+    newLocation[moveAction.grid] = newLocation[moveAction.grid] + moveAction.direction;
+
+    // you cannot trade with someone who is not there, cancel it before any offered items are dropped
+    Game.tradeManager.cancel(character, 'left the area');
+
     let groundItems = [];
     // drop items if they have any
     if (character.inventory.length) {
         // drop between 1-3 items
-        const itemsToDrop = Math.floor(Math.random() * 3) + 1;
+        const itemsToDrop = Math.floor(Game.randomManager.get('combat').random() * 3) + 1;
 
         for (let i = itemsToDrop; i >= 0; i--) {
             let droppedItem = character.dropRandomItem();
@@ -157,6 +170,109 @@ function cmdFlee(socket, character, command, params, cmdObject, Game) {
     Game.mapManager.updateClient(character.user_id);
 }
 
+/**
+ * Finds the destination of a /goto or /directions command, on the character's map
+ * @param  {Character} character The character
+ * @param  {Array}     params    Either the x and y coordinates, or the structure name
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              {x, y, name} or null if not found
+ */
+function getDestination(character, params, Game) {
+    const [first, second] = params;
+
+    if (/^\d+$/.test(first) && /^\d+$/.test(second || '')) {
+        const location = Game.mapManager.isValidLocation(character.location.map, first, second);
+
+        return location ? {x: location.x, y: location.y, name: `N${location.y} E${location.x}`} : null;
+    }
+
+    const structure = Game.structureManager.getByName(character.location.map, params.join(' '));
+
+    if (!structure) {
+        return null;
+    }
+
+    return {
+        x: structure.location.x,
+        y: structure.location.y,
+        name: structure.name,
+    };
+}
+
+/**
+ * Goto command logic, walks the character to a location or structure
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdGoto(socket, character, command, params, cmdObject, Game) {
+    if (params[0].toLowerCase() === 'stop') {
+        return Game.mapManager.stopWalk(character.user_id, 'You stop walking.');
+    }
+
+    const destination = getDestination(character, params, Game);
+
+    if (!destination) {
+        return Game.eventToSocket(socket, 'error', 'There is no such location or building in this city.');
+    }
+
+    if (character.targetedBy.length) {
+        return Game.eventToSocket(socket, 'warning', 'You can\'t walk away while someone is aiming at you.');
+    }
+
+    const path = Game.mapManager.findPath(character.location.map, character.location, destination);
+
+    if (!path) {
+        return Game.eventToSocket(socket, 'warning', `There is no route to ${destination.name} from here.`);
+    }
+
+    if (!path.length) {
+        return Game.eventToSocket(socket, 'info', `You are already at ${destination.name}.`);
+    }
+
+    Game.eventToSocket(socket, 'info', `You start walking to ${destination.name}, ${path.length} grid(s) away. Type /goto stop to stop.`);
+    Game.mapManager.startWalk(character, destination);
+}
+
+/**
+ * Directions command logic, prints the route to a structure
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdDirections(socket, character, command, params, cmdObject, Game) {
+    const destination = getDestination(character, [params[0]], Game);
+
+    if (!destination) {
+        return Game.eventToSocket(socket, 'error', 'There is no building by that name in this city.');
+    }
+
+    const path = Game.mapManager.findPath(character.location.map, character.location, destination);
+
+    if (!path) {
+        return Game.eventToSocket(socket, 'warning', `There is no route to ${destination.name} from here.`);
+    }
+
+    if (!path.length) {
+        return Game.eventToSocket(socket, 'info', `You are already at ${destination.name}.`);
+    }
+
+    const tab = '    ';
+    let message = [
+        `Directions to ${destination.name} (N${destination.y} E${destination.x}), ${path.length} grid(s):`,
+    ];
+
+    message = message.concat(getRoute(path).map((leg) => `${tab}${leg.grids} ${leg.direction}`));
+
+    Game.eventToSocket(socket, 'multiline', message);
+}
+
 module.exports = [
     {
         command: '/flee',
@@ -171,4 +287,35 @@ module.exports = [
         description: 'Flee from a grid, if you are aimed at. You will lose items and reputation when doing so.',
         method: cmdFlee,
     },
+    {
+        command: '/goto',
+        aliases: [],
+        params: [
+            {
+                name: 'X or Building',
+                desc: 'The x (east) coordinate, or the name of the building, to walk to. Use "stop" to stop walking.',
+                rules: 'required',
+            },
+            {
+                name: 'Y',
+                desc: 'The y (north) coordinate to walk to, when walking to a coordinate.',
+                rules: '',
+            },
+        ],
+        description: 'Walk to a location or building in the city, one grid at a time. You stop if someone takes aim at you.',
+        method: cmdGoto,
+    },
+    {
+        command: '/directions',
+        aliases: [],
+        params: [
+            {
+                name: 'Building',
+                desc: 'The name of the building you want directions to.',
+                rules: 'required',
+            },
+        ],
+        description: 'Get the route to a building in the city.',
+        method: cmdDirections,
+    },
 ];
@@ -5,9 +5,11 @@ import {
     MAP_GRID_DETAILS,
     MAP_GET_LIST,
     MAP_LIST,
+    CHARACTER_MOVE,
 } from 'shared/actionTypes';
 
 import GameMap from './object';
+import {findPath} from './pathfinding';
 import descriptionList from '../../data/descriptions.json';
 import mapCommands from './commands';
 
@@ -23,6 +25,8 @@ export default class MapManager {
         this.Game = Game;
         // the list of maps to manage
         this.maps = {};
+        // the characters walking to a destination (/goto), by user_id
+        this.walks = {};
         // listen for dispatches from the socket manager
         this.Game.socketManager.on('dispatch', this.onDispatch.bind(this));
     }
@@ -59,6 +63,10 @@ export default class MapManager {
         switch (action.type) {
             case MAP_GET_LIST:
                 return this.sendMapList(socket, action);
+
+            case CHARACTER_MOVE:
+                // moving manually stops walking to a destination
+                return this.stopWalk(socket.user.user_id);
         }
 
         return null;
@@ -78,11 +86,70 @@ export default class MapManager {
     }
 
     /**
-     * Generate a "random" description from the list
+     * Generate a "random" description from the list, or the list of the district of the location
+     * @param  {Object} location {map, x, y}
      * @return {String} the generated description
      */
-    generateDescription() {
-        return descriptionList[Math.floor(Math.random() * descriptionList.length)];
+    generateDescription(location = null) {
+        const district = location ? this.getDistrict(location.map, location.x, location.y) : null;
+        const list = district && district.descriptions && district.descriptions.length ? district.descriptions : descriptionList;
+
+        return this.Game.randomManager.get('map').pick(list);
+    }
+
+    /**
+     * Get the district of a location
+     * @param  {String} map_id Map Id
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null} The district, null if the location is not in one
+     */
+    getDistrict(map_id, x, y) {
+        const gameMap = this.get(map_id);
+
+        if (!gameMap) {
+            return null;
+        }
+
+        return gameMap.getDistrict(x, y);
+    }
+
+    /**
+     * Get the danger level of a location, from its district
+     * @param  {String} map_id Map Id
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Number} The danger level, 0 if the location is not in a district
+     */
+    getDanger(map_id, x, y) {
+        const district = this.getDistrict(map_id, x, y);
+
+        if (!district) {
+            return 0;
+        }
+
+        return district.danger || 0;
+    }
+
+    /**
+     * Get the district information of a location, for the client
+     * @param  {String} map_id Map Id
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null} {id, name, danger}
+     */
+    getDistrictInfo(map_id, x, y) {
+        const district = this.getDistrict(map_id, x, y);
+
+        if (!district) {
+            return null;
+        }
+
+        return {
+            id: district.id,
+            name: district.name,
+            danger: this.getDanger(map_id, x, y),
+        };
     }
 
     /**
@@ -112,7 +179,8 @@ export default class MapManager {
                     x: character.location.x,
                     y: character.location.y,
                 },
-                description: this.generateDescription(),
+                description: this.generateDescription(character.location),
+                district: this.getDistrictInfo(...location),
                 players: this.Game.characterManager.getLocationList(...location, character.user_id, true),
                 npcs: this.Game.npcManager.getLocationList(...location, true),
                 items: this.Game.itemManager.getLocationList(...location, true),
@@ -165,7 +233,9 @@ export default class MapManager {
             list[mapId] = {
                 name: this.maps[mapId].name,
                 buildings: this.Game.structureManager.getMapData(mapId),
+                turf: this.Game.turfManager.getMapData(mapId),
                 gridSize: this.maps[mapId].gridSize,
+                terrain: this.maps[mapId].getTerrainData(),
             };
         });
 
@@ -231,6 +301,136 @@ export default class MapManager {
             `${tab}${mapObject.gridSize.y}x${mapObject.gridSize.x}`,
         ];
 
+        if (mapObject.districts.length) {
+            message.push('Districts:');
+            message = message.concat(mapObject.districts.map((district) => `${tab}${district.name} (danger ${district.danger || 0})`));
+        }
+
         return message;
     }
+
+    /**
+     * Finds the shortest path between two locations on a map
+     * @param  {String}   map_id    Map Id
+     * @param  {Object}   from      The start location {x, y}
+     * @param  {Object}   to        The destination {x, y}
+     * @param  {Function} canEnter  (x, y) => Boolean, defaults to the character movement rules
+     * @param  {Number}   maxLength Give up on paths longer than this
+     * @return {Array|null}         The steps [{grid, direction, x, y}], null if there is no path
+     */
+    findPath(map_id, from, to, canEnter = null, maxLength = Infinity) {
+        const gameMap = this.get(map_id);
+
+        if (!gameMap) {
+            return null;
+        }
+
+        return findPath(gameMap, from, to, canEnter, maxLength);
+    }
+
+    /**
+     * Makes a character walk to a destination on their map, one step at a time
+     * @param  {Character} character   The character
+     * @param  {Object}    destination {x, y, name}
+     */
+    startWalk(character, destination) {
+        this.stopWalk(character.user_id);
+
+        this.walks[character.user_id] = {
+            destination,
+            timer: null,
+        };
+
+        this.walkStep(character.user_id);
+    }
+
+    /**
+     * Stops a character walking to a destination
+     * @param  {String} user_id User Id
+     * @param  {String} message The reason to let the player know about, if any
+     * @param  {String} type    The event type of the message
+     */
+    stopWalk(user_id, message = null, type = 'info') {
+        const walk = this.walks[user_id];
+
+        if (!walk) {
+            return;
+        }
+
+        this.Game.tickManager.cancel(walk.timer);
+        delete this.walks[user_id];
+
+        if (message) {
+            this.Game.eventToUser(user_id, type, message);
+        }
+    }
+
+    /**
+     * Takes the next step towards the walk destination, once the move cooldown allows it
+     * @param  {String} user_id User Id
+     */
+    walkStep(user_id) {
+        const walk = this.walks[user_id];
+        const character = this.Game.characterManager.get(user_id);
+
+        if (!walk) {
+            return;
+        }
+
+        // the character logged out
+        if (!character) {
+            return this.stopWalk(user_id);
+        }
+
+        const {destination} = walk;
+
+        if (character.targetedBy.length) {
+            return this.stopWalk(user_id, `You stop walking to ${destination.name}, as someone is aiming at you.`, 'warning');
+        }
+
+        // wait for the move cooldown to run out
+        const ticksLeft = this.Game.cooldownManager.ticksLeft(character, 'move');
+
+        if (ticksLeft) {
+            walk.timer = this.Game.tickManager.schedule(ticksLeft * 100, () => this.walkStep(user_id));
+            return;
+        }
+
+        const path = this.findPath(character.location.map, character.location, destination);
+
+        if (!path) {
+            return this.stopWalk(user_id, `There is no route to ${destination.name} from here.`, 'warning');
+        }
+
+        if (!path.length) {
+            return this.stopWalk(user_id, `You have arrived at ${destination.name}.`, 'success');
+        }
+
+        let socket;
+
+        try {
+            socket = this.Game.socketManager.get(user_id);
+        } catch (err) {
+            return this.stopWalk(user_id);
+        }
+
+        const oldLocation = character.getLocationId();
+        this.Game.characterManager.move(socket, {
+            payload: {
+                grid: path[0].grid,
+                direction: path[0].direction,
+            },
+        });
+
+        // the move was refused, eg. in jail or hidden, the player was told why.
+        if (character.getLocationId() === oldLocation) {
+            return this.stopWalk(user_id);
+        }
+
+        if (path.length === 1) {
+            return this.stopWalk(user_id, `You have arrived at ${destination.name}.`, 'success');
+        }
+
+        walk.timer = this.Game.tickManager.schedule(this.Game.cooldownManager.ticksLeft(character, 'move') * 100, () => this.walkStep(user_id));
+    }
 }
@@ -1,3 +1,5 @@
+import terrainList from '../../data/terrain.json';
+
 /**
  * Game map object
  */
@@ -9,7 +11,47 @@ export default class GameMap {
      */
     constructor(Game, data) {
         this.Game = Game;
+        // the terrain tile rows, one string per y coordinate, one symbol (see terrain.json) per x coordinate
+        this.tiles = [];
+        // the named districts of the map
+        this.districts = [];
         Object.assign(this, data);
+
+        // the district of each grid, by "x_y", and the list of grids in each district
+        this.districtGrids = {};
+        this.districtPositions = {};
+        this.indexDistricts();
+    }
+
+    /**
+     * Maps the grids of each district. Districts are either a rectangular "area" or a list of "grids".
+     * If districts overlap, the first one in the list claims the grid.
+     */
+    indexDistricts() {
+        this.districts.forEach((district) => {
+            let positions = district.grids || [];
+
+            if (district.area) {
+                positions = [];
+
+                for (let y = district.area.y[0]; y <= district.area.y[1]; y++) {
+                    for (let x = district.area.x[0]; x <= district.area.x[1]; x++) {
+                        positions.push({x, y});
+                    }
+                }
+            }
+
+            this.districtPositions[district.id] = positions.filter((position) => {
+                const gridId = `${position.x}_${position.y}`;
+
+                if (this.districtGrids[gridId]) {
+                    return false;
+                }
+
+                this.districtGrids[gridId] = district;
+                return true;
+            });
+        });
     }
 
     /**
@@ -17,8 +59,16 @@ export default class GameMap {
      * @return {Promise}
      */
     loadNpcs() {
+        // the NPCs roaming the whole map, and the NPCs of each district
+        const spawnTable = [
+            ...this.npcs,
+            ...this.districts.reduce((list, district) => {
+                return list.concat((district.npcs || []).map((npc) => ({...npc, district: district.id})));
+            }, []),
+        ];
+
         // Load all NPCS for map
-        this.npcs.forEach((npc, index) => {
+        spawnTable.forEach((npc, index) => {
             let amount = npc.amount || 1;
 
             for (let i = amount; i > 0; i--) {
@@ -26,7 +76,7 @@ export default class GameMap {
             }
         });
 
-        return this.npcs.length;
+        return spawnTable.length;
     }
 
     /**
@@ -53,6 +103,32 @@ export default class GameMap {
 
         const structures = this.loadStructures();
         this.Game.logger.info(`Generated ${structures} structures in map "${this.id}"`);
+
+        this.validateTiles();
+    }
+
+    /**
+     * Warns about tile layer mistakes, like unknown symbols or structures placed on impassable tiles
+     */
+    validateTiles() {
+        this.tiles.forEach((row, y) => {
+            row.split('').forEach((symbol, x) => {
+                if (!terrainList[symbol]) {
+                    this.Game.logger.warn(`Unknown terrain "${symbol}" at ${x},${y} in map "${this.id}"`);
+                }
+            });
+        });
+
+        const locations = [
+            ...this.structures.map((structure) => ({...structure, name: structure.id})),
+            {...this.respawn, name: 'respawn'},
+        ];
+
+        locations.forEach((location) => {
+            if (!this.isPassable(location.x, location.y)) {
+                this.Game.logger.warn(`The ${location.name} at ${location.x},${location.y} in map "${this.id}" is on an impassable tile`);
+            }
+        });
     }
 
     /**
@@ -79,4 +155,95 @@ export default class GameMap {
 
         return true;
     }
+    /**
+     * Get the terrain of a grid. Grids without a tile are roads.
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object} The terrain type from terrain.json
+     */
+    getTerrain(x, y) {
+        const row = this.tiles[parseInt(y, 10)] || '';
+        const symbol = row.charAt(parseInt(x, 10));
+
+        return terrainList[symbol] || terrainList['.'];
+    }
+
+    /**
+     * Checks if a grid is within the map, and its terrain can be entered
+     * @param  {Number}  x
+     * @param  {Number}  y
+     * @param  {Boolean} isNpc Whether to check the movement rules for NPCs instead of characters
+     * @return {Boolean}
+     */
+    isPassable(x, y, isNpc = false) {
+        if (!this.isValidPostion(x, y)) {
+            return false;
+        }
+
+        const terrain = this.getTerrain(x, y);
+        return isNpc ? terrain.npcs : terrain.passable;
+    }
+
+    /**
+     * Get the district of a grid
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null} The district, null if the grid is not in one
+     */
+    getDistrict(x, y) {
+        return this.districtGrids[`${parseInt(x, 10)}_${parseInt(y, 10)}`] || null;
+    }
+
+    /**
+     * Picks a random grid NPCs can be placed on
+     * @param  {RandomStream} rng        The random stream to pick from
+     * @param  {String}       districtId Limit the pick to a district, if set
+     * @return {Object}                  {x, y}, the respawn location if none is found
+     */
+    getRandomPosition(rng, districtId = null) {
+        const positions = (this.districtPositions[districtId] || []).filter((position) => {
+            return this.isPassable(position.x, position.y, true);
+        });
+
+        if (positions.length) {
+            return {...rng.pick(positions)};
+        }
+
+        for (let i = 0; i < 100; i++) {
+            const position = {
+                x: Math.round(rng.random() * this.gridSize.x),
+                y: Math.round(rng.random() * this.gridSize.y),
+            };
+
+            if (this.isPassable(position.x, position.y, true)) {
+                return position;
+            }
+        }
+
+        return {
+            x: this.respawn.x,
+            y: this.respawn.y,
+        };
+    }
+
+    /**
+     * Get the tile layer for the client, with the terrain types used in the map
+     * @return {Object} {tiles: [rows], legend: {symbol: terrain}}
+     */
+    getTerrainData() {
+        const legend = {};
+
+        this.tiles.forEach((row) => {
+            row.split('').forEach((symbol) => {
+                if (terrainList[symbol]) {
+                    legend[symbol] = terrainList[symbol];
+                }
+            });
+        });
+
+        return {
+            tiles: this.tiles,
+            legend,
+        };
+    }
 }
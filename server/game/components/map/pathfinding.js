@@ -0,0 +1,127 @@
+/**
+ * The directions a character can move in, in the order they are searched
+ * @type {Array}
+ */
+const DIRECTIONS = [
+    {grid: 'y', direction: -1},
+    {grid: 'x', direction: 1},
+    {grid: 'y', direction: 1},
+    {grid: 'x', direction: -1},
+];
+
+/**
+ * Finds the shortest path between two grids of a map (breadth-first search)
+ * @param  {GameMap}  gameMap   The map to search
+ * @param  {Object}   from      The start grid {x, y}
+ * @param  {Object}   to        The destination grid {x, y}
+ * @param  {Function} canEnter  (x, y) => Boolean, whether a grid can be entered. Defaults to the character movement rules.
+ * @param  {Number}   maxLength Give up on paths longer than this
+ * @return {Array|null}         The steps [{grid, direction, x, y}], where x/y is the grid after the step. Null if there is no path.
+ */
+export function findPath(gameMap, from, to, canEnter = null, maxLength = Infinity) {
+    canEnter = canEnter || ((x, y) => gameMap.isPassable(x, y));
+
+    const start = `${from.x}_${from.y}`;
+    const goal = `${to.x}_${to.y}`;
+
+    if (start === goal) {
+        return [];
+    }
+
+    if (!canEnter(to.x, to.y)) {
+        return null;
+    }
+
+    // the step leading to each visited grid, by "x_y"
+    const visited = {[start]: null};
+    let queue = [{x: from.x, y: from.y, length: 0}];
+
+    while (queue.length) {
+        const next = [];
+
+        for (let grid of queue) {
+            if (grid.length >= maxLength) {
+                continue;
+            }
+
+            for (let move of DIRECTIONS) {
+                const x = grid.x + (move.grid === 'x' ? move.direction : 0);
+                const y = grid.y + (move.grid === 'y' ? move.direction : 0);
+                const gridId = `${x}_${y}`;
+
+                if (visited[gridId] !== undefined || !canEnter(x, y)) {
+                    continue;
+                }
+
+                visited[gridId] = {...move, x, y, previous: `${grid.x}_${grid.y}`};
+
+                if (gridId === goal) {
+                    return buildPath(visited, goal);
+                }
+
+                next.push({x, y, length: grid.length + 1});
+            }
+        }
+
+        queue = next;
+    }
+
+    return null;
+}
+
+/**
+ * Walks the visited grids back from the destination, to build the list of steps
+ * @param  {Object} visited The step leading to each visited grid
+ * @param  {String} goal    The destination grid ID
+ * @return {Array}
+ */
+function buildPath(visited, goal) {
+    const path = [];
+    let step = visited[goal];
+
+    while (step) {
+        path.unshift({
+            grid: step.grid,
+            direction: step.direction,
+            x: step.x,
+            y: step.y,
+        });
+
+        step = visited[step.previous];
+    }
+
+    return path;
+}
+
+/**
+ * Get the name of a step direction
+ * @param  {Object} step {grid, direction}
+ * @return {String}      north, east, south or west
+ */
+export function getDirectionName(step) {
+    if (step.grid === 'y') {
+        return step.direction === 1 ? 'south' : 'north';
+    }
+
+    return step.direction === 1 ? 'east' : 'west';
+}
+
+/**
+ * Groups the steps of a path into legs in the same direction
+ * @param  {Array} path The steps of the path
+ * @return {Array}      [{direction: "north", grids: 3}, ...]
+ */
+export function getRoute(path) {
+    return path.reduce((route, step) => {
+        const direction = getDirectionName(step);
+        const leg = route[route.length - 1];
+
+        if (leg && leg.direction === direction) {
+            leg.grids++;
+        } else {
+            route.push({direction, grids: 1});
+        }
+
+        return route;
+    }, []);
+}
@@ -55,23 +55,23 @@ export default class NPCManager {
 
         // get the NPC template
         const npcTemplate = deepCopyObject(NPCList[npcData.id]);
+        const rng = this.Game.randomManager.get('npc');
 
         // generate location is one of not set
         npcTemplate.location = npcData.location;
 
         if (!npcTemplate.location) {
-            npcTemplate.location = {
-                x: Math.round(Math.random() * map.gridSize.x),
-                y: Math.round(Math.random() * map.gridSize.y),
-            };
+            npcTemplate.location = map.getRandomPosition(rng, npcData.district);
         }
 
         // add the map id to the location
         npcTemplate.location.map = map.id;
+        // the district the NPC belongs to, if any
+        npcTemplate.district = npcData.district || null;
 
         // randomise gender, and pick a name
-        npcTemplate.gender = Math.round(Math.random() * 1) ? 'male' : 'female';
-        npcTemplate.name = namesList[npcTemplate.gender][Math.round(Math.random() * (namesList[npcTemplate.gender].length - 1))];
+        npcTemplate.gender = Math.round(rng.random() * 1) ? 'male' : 'female';
+        npcTemplate.name = namesList[npcTemplate.gender][Math.round(rng.random() * (namesList[npcTemplate.gender].length - 1))];
 
         const newNPC = new NPC(this.Game, npcTemplate, npcData.id);
 
@@ -83,7 +83,7 @@ export default class NPCManager {
 
         // load shops is available
         if (npcTemplate.shop) {
-            newNPC.shop = this.Game.shopManager.add(npcTemplate.shop);
+            newNPC.shop = this.Game.shopManager.add(npcTemplate.shop, newNPC);
         }
 
         const items = this.Game.itemManager.loadNPCInventory(newNPC);
@@ -129,18 +129,17 @@ export default class NPCManager {
 
         // get the NPC template
         const npcTemplate = deepCopyObject(NPCList[NPC.npc_id]);
+        const rng = this.Game.randomManager.get('npc');
 
         // generate location is one of not set
         NPC.location = npcTemplate.location;
 
         // reset all hostiles
         NPC.hostiles = [];
+        NPC.pursuit = null;
 
         if (!NPC.location) {
-            NPC.location = {
-                x: Math.round(Math.random() * gameMap.gridSize.x),
-                y: Math.round(Math.random() * gameMap.gridSize.y),
-            };
+            NPC.location = gameMap.getRandomPosition(rng, NPC.district);
         }
 
         // set the default inventory
@@ -153,8 +152,8 @@ export default class NPCManager {
         NPC.stats = {...npcTemplate.stats};
 
         // randomise gender, and pick a name
-        NPC.gender = Math.round(Math.random() * 1) ? 'male' : 'female';
-        NPC.name = namesList[NPC.gender][Math.round(Math.random() * (namesList[NPC.gender].length - 1))];
+        NPC.gender = Math.round(rng.random() * 1) ? 'male' : 'female';
+        NPC.name = namesList[NPC.gender][Math.round(rng.random() * (namesList[NPC.gender].length - 1))];
 
         const items = this.Game.itemManager.loadNPCInventory(NPC);
 
@@ -375,6 +374,16 @@ export default class NPCManager {
         killer.updateCash(droppedLoot.cash);
         killer.updateExp(droppedLoot.exp);
 
+        // count the kill towards the killer's quests
+        if (killer.user_id) {
+            this.Game.questManager.onKill(killer, NPC);
+        }
+
+        // killing some NPCs, like pedestrians or the police, will draw heat
+        if (NPC.logic.heat && NPC.logic.heat.kill) {
+            this.Game.heatManager.add(killer, NPC.logic.heat.kill);
+        }
+
         // Update the killers character stats
         this.Game.characterManager.updateClient(killer.user_id);
 
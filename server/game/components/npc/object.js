@@ -21,19 +21,27 @@ export default class NPC extends Character {
         this.ignoreQuantity = true;
         // Whether their skills and abilities should improve when used
         this.train = false;
-        // keeps track of the timers for the NPC
+        // keeps track of the scheduled tasks (game ticks) for the NPC
         this.timers = [];
         // Keeps track of whether or not the NPC is dead.
         this.dead = false;
         // Anyone who takes aim at the NPC, for the duration of its life, will be
         // added to the list, and attacked on sight.
         this.hostiles = [];
+        // The target the NPC is chasing after, if they left the grid. {user_id, location, started (game tick)}
+        this.pursuit = null;
         // Set the default timers, overwrite with NPC specific timers (in seconds)
         this.logic = {
             ...this.logic,
+            // how many grids away a hostile NPC will chase a target, and for how long (in seconds)
+            pursuit: Object.assign({
+                'range': 5,
+                'timeout': 60,
+            }, this.logic.pursuit),
             timers: Object.assign({
                 'move': [15, 60],
                 'attack': 2,
+                'pursue': 3,
             }, this.logic.timers),
         };
         // start the NPC logic
@@ -62,26 +70,15 @@ export default class NPC extends Character {
      * @return {Number}
      */
     getRandomTimerInterval(min, max) {
-        return Math.round(((Math.random() * (max - min)) + min) * 100) / 100;
+        return Math.round(((this.Game.randomManager.get('npc').random() * (max - min)) + min) * 100) / 100;
     }
 
     /**
      * Kills and removes all timers
      */
-    async clearTimers() {
+    clearTimers() {
         this.timers.forEach((timer) => {
-            if (timer.ref) {
-                try {
-                    if (timer.type === 'timeout') {
-                        clearTimeout(timer.ref);
-                    } else {
-                        clearInterval(timer.ref);
-                    }
-                } catch (err) {
-                    // supress errors caused by clearing a timer/interval
-                    // which is no longer active.
-                }
-            }
+            this.Game.tickManager.cancel(timer.ref);
         });
 
         this.timers = [];
@@ -101,7 +98,7 @@ export default class NPC extends Character {
                 return this.Game.logger.error(`No NPC method found for timer ${timerKey}`);
             }
 
-            // if the timer interval is an array, randomise each time, otherwise just create an Interval;
+            // if the timer interval is an array, randomise each time, otherwise just repeat the task;
             if (Array.isArray(timerValue)) {
                 const timer = {
                     key: timerKey,
@@ -118,7 +115,7 @@ export default class NPC extends Character {
                 this.timers.push({
                     key: timerKey,
                     type: 'interval',
-                    ref: setInterval(method.bind(this), timerValue * 1000),
+                    ref: this.Game.tickManager.schedule(timerValue * 1000, method.bind(this), true),
                 });
             }
         });
@@ -132,10 +129,10 @@ export default class NPC extends Character {
         const timer = this.timers.find((obj) => obj.key === timerKey);
         const nextAction = this.getRandomTimerInterval(...timer.range);
 
-        timer.ref = setTimeout(() => {
+        timer.ref = this.Game.tickManager.schedule(nextAction * 1000, () => {
             timer.method();
             this.updateTimer(timerKey);
-        }, nextAction * 1000);
+        });
     }
 
     /**
@@ -147,15 +144,15 @@ export default class NPC extends Character {
             return;
         }
 
-        const target = this.hasActiveTarget();
-
-        if (!target) {
+        // if the NPC is chasing or engaged with a target, dont wander off.
+        if (this.pursuit || this.hasActiveTarget()) {
             return;
         }
 
+        const rng = this.Game.randomManager.get('npc');
         const moveAction = {
-            grid: (Math.floor(Math.random() * 2) ? 'y' : 'x'),
-            direction: (Math.floor(Math.random() * 2) ? 1 : -1),
+            grid: (Math.floor(rng.random() * 2) ? 'y' : 'x'),
+            direction: (Math.floor(rng.random() * 2) ? 1 : -1),
         };
 
         // set the location we intend to move the NPC to
@@ -170,8 +167,8 @@ export default class NPC extends Character {
             return;
         }
 
-        // check if the move action is valid
-        if (!gameMap.isValidPostion(newLocation.x, newLocation.y)) {
+        // check if the move action is valid, and the terrain can be entered
+        if (!this.canMoveTo(gameMap, newLocation)) {
             // if not, flip the direction
             moveAction.direction = (moveAction.direction === 1 ? -1 : 1);
             // update the new location
@@ -181,8 +178,8 @@ export default class NPC extends Character {
             };
         }
 
-        // If the new location is out of bounds, just ignore the movement action this time.
-        if (!gameMap.isValidPostion(newLocation.x, newLocation.y)) {
+        // If the new location is out of bounds or blocked, just ignore the movement action this time.
+        if (!this.canMoveTo(gameMap, newLocation)) {
             return;
         }
 
@@ -190,6 +187,144 @@ export default class NPC extends Character {
         this.Game.npcManager.move(this, newLocation, moveAction);
     }
 
+    /**
+     * Checks if the NPC can move to a grid. NPCs spawned in a district stay within it.
+     * @param  {GameMap} gameMap  The map of the grid
+     * @param  {Object}  location {x, y}
+     * @return {Boolean}
+     */
+    canMoveTo(gameMap, location) {
+        if (!gameMap.isPassable(location.x, location.y, true)) {
+            return false;
+        }
+
+        if (!this.district) {
+            return true;
+        }
+
+        const district = gameMap.getDistrict(location.x, location.y);
+        return district !== null && district.id === this.district;
+    }
+
+    /**
+     * Whether the NPC can take aim at, or chase, a character. Characters serving a sentence are out of reach.
+     * @param  {Character} character The character
+     * @return {Boolean}
+     */
+    canTarget(character) {
+        return !!character && !this.Game.jailManager.isJailed(character);
+    }
+
+    /**
+     * Finds the path to a location on the NPC's map, within its pursuit range
+     * @param  {Object} location {map, x, y}
+     * @return {Array|null}      The path steps, null if out of range or unreachable
+     */
+    getPursuitPath(location) {
+        const gameMap = this.Game.mapManager.get(this.location.map);
+
+        if (!gameMap || location.map !== this.location.map) {
+            return null;
+        }
+
+        return this.Game.mapManager.findPath(
+            gameMap.id,
+            this.location,
+            location,
+            (x, y) => this.canMoveTo(gameMap, {x, y}),
+            this.logic.pursuit.range
+        );
+    }
+
+    /**
+     * Starts chasing a target who left the grid, if the NPC remains hostile and they are within range
+     * @param  {String}  user_id The user_id of the target
+     * @return {Boolean}         true if the NPC went after the target
+     */
+    startPursuit(user_id) {
+        if (!this.logic.remainHostile || this.dead) {
+            return false;
+        }
+
+        const target = this.Game.characterManager.get(user_id);
+
+        if (!this.canTarget(target) || !this.getPursuitPath(target.location)) {
+            return false;
+        }
+
+        this.pursuit = {
+            user_id,
+            location: {...target.location},
+            started: this.Game.tickManager.tick,
+        };
+
+        this.Game.eventToRoom(this.getLocationId(), 'info', `${this.name} the ${this.type} sets off after ${target.name}.`);
+        return true;
+    }
+
+    /**
+     * Stops the NPC chasing their target
+     * @param  {Boolean} giveUp Whether to let the grid know the NPC gave up the chase
+     */
+    stopPursuit(giveUp = false) {
+        if (!this.pursuit) {
+            return;
+        }
+
+        this.pursuit = null;
+
+        if (giveUp) {
+            this.Game.eventToRoom(this.getLocationId(), 'info', `${this.name} the ${this.type} gives up the chase.`);
+        }
+    }
+
+    /**
+     * Moves the NPC one grid towards the last known location of the target they are chasing,
+     * taking aim at the target once they catch up with them.
+     */
+    pursue() {
+        if (!this.pursuit || this.dead) {
+            return;
+        }
+
+        // if the NPC is being targeted, or a status effect prevents them from taking aim, they cannot give chase
+        if (this.targetedBy.length || this.Game.effectManager.hasFlag(this, 'noaim')) {
+            return;
+        }
+
+        const target = this.Game.characterManager.get(this.pursuit.user_id);
+
+        const chaseTicks = this.Game.tickManager.tick - this.pursuit.started;
+
+        if (!this.canTarget(target) || chaseTicks >= this.Game.tickManager.toTicks(this.logic.pursuit.timeout * 1000)) {
+            return this.stopPursuit(true);
+        }
+
+        // if they arrived where the target was last seen, pick up their trail
+        if (this.location.x === this.pursuit.location.x && this.location.y === this.pursuit.location.y) {
+            this.pursuit.location = {...target.location};
+        }
+
+        const path = this.getPursuitPath(this.pursuit.location);
+
+        // the target got away
+        if (!path) {
+            return this.stopPursuit(true);
+        }
+
+        if (path.length) {
+            const step = path[0];
+            this.Game.npcManager.move(this, {...this.location, x: step.x, y: step.y}, step);
+        }
+
+        const {map, x, y} = target.location;
+
+        // caught up with the target
+        if (map === this.location.map && x === this.location.x && y === this.location.y) {
+            this.setTarget(target.user_id);
+        }
+    }
+
     /**
      * Sets the target of the character, or NPC, and gridlocks the target (while clearing gridlock on previous target)
      * @param {String} user_id The user_id of their new target
@@ -198,8 +333,10 @@ export default class NPC extends Character {
         const target = this.Game.characterManager.get(user_id);
         // release the gridlock of the current target, if set
         this.releaseTarget();
+        // whoever they are aiming at now, they are no longer chasing anyone
+        this.pursuit = null;
 
-        if (!target) {
+        if (!this.canTarget(target)) {
             return;
         }
 
@@ -219,13 +356,30 @@ export default class NPC extends Character {
      */
     hasActiveTarget() {
         const {map, x, y} = this.location;
+        const lastTarget = this.target;
         const currentTarget = this.currentTarget();
         let newTarget;
 
         if (currentTarget) {
+            // if the target was jailed, they are out of reach
+            if (!this.canTarget(currentTarget)) {
+                this.releaseTarget();
+                return null;
+            }
+
             return currentTarget;
         }
 
+        // if their target left the grid, go after them
+        if (lastTarget && lastTarget.user_id && !this.pursuit) {
+            this.startPursuit(lastTarget.user_id);
+        }
+
+        // check if a status effect, like being stunned, prevents the NPC from taking aim
+        if (this.Game.effectManager.hasFlag(this, 'noaim')) {
+            return null;
+        }
+
         // if it has no target, check if we have any nearby who are hostile
         if (!this.target) {
             // check if its currently being aimed at, and prioritise those targets
@@ -233,7 +387,7 @@ export default class NPC extends Character {
                 const targets = this.targetedBy.filter((obj) => {
                     const character = this.Game.characterManager.get(obj.user_id);
 
-                    if (!character) {
+                    if (!this.canTarget(character)) {
                         return false;
                     }
 
@@ -244,7 +398,7 @@ export default class NPC extends Character {
                     return null;
                 }
 
-                newTarget = targets[Math.max(0, Math.round((Math.random() * targets.length) - 1))];
+                newTarget = targets[Math.max(0, Math.round((this.Game.randomManager.get('npc').random() * targets.length) - 1))];
                 this.setTarget(newTarget.user_id);
                 return this.target;
             }
@@ -254,7 +408,7 @@ export default class NPC extends Character {
                 const targets = this.hostiles.filter((user_id) => {
                     const character = this.Game.characterManager.get(user_id);
 
-                    if (!character) {
+                    if (!this.canTarget(character)) {
                         return false;
                     }
 
@@ -262,11 +416,22 @@ export default class NPC extends Character {
                 });
 
                 if (targets.length) {
-                    newTarget = targets[Math.max(0, Math.round((Math.random() * targets.length) - 1))];
+                    newTarget = targets[Math.max(0, Math.round((this.Game.randomManager.get('npc').random() * targets.length) - 1))];
                     this.setTarget(newTarget);
                     return this.target;
                 }
             }
+
+            // law enforcement will take aim at any wanted characters nearby
+            if (this.logic.lawEnforcement) {
+                const targets = this.Game.heatManager.getWantedAt(map, x, y).filter((character) => this.canTarget(character));
+
+                if (targets.length) {
+                    newTarget = targets[Math.max(0, Math.round((this.Game.randomManager.get('npc').random() * targets.length) - 1))];
+                    this.setTarget(newTarget.user_id);
+                    return this.target;
+                }
+            }
         }
 
         this.target = null;
@@ -281,6 +446,10 @@ export default class NPC extends Character {
         Character.prototype.gridLock.call(this, character);
         // Make the NPC hostile towards the player, for the duration of its life.
         this.hostiles.push(character.user_id);
+        // taking aim at some NPCs, like the police, will draw heat
+        if (this.logic.heat && this.logic.heat.attack) {
+            this.Game.heatManager.add(character, this.logic.heat.attack);
+        }
         // make the NPC immediately aim at the player, if they are not already engaged in combat with another
         this.hasActiveTarget();
     }
@@ -299,6 +468,7 @@ export default class NPC extends Character {
     die() {
         // set NPC as dead, so it is not included in actions/commands etc.
         this.dead = true;
+        this.pursuit = null;
         let loot = Character.prototype.die.call(this);
 
         this.clearTimers();
@@ -313,9 +483,9 @@ export default class NPC extends Character {
         // Initiates the NPC's respawn timer
         this.timers.push({
             key: 'respawn',
-            ref: setTimeout(() => {
+            ref: this.Game.tickManager.schedule(this.logic.respawn * 1000, () => {
                 this.Game.npcManager.reset(this);
-            }, this.logic.respawn * 1000),
+            }),
         });
 
         if (!loot) {
@@ -326,11 +496,34 @@ export default class NPC extends Character {
         return loot;
     }
 
+    /**
+     * Arrests the target, if the NPC is law enforcement
+     * @param  {Character} target The character to arrest
+     * @return {Boolean}          true if the target was arrested
+     */
+    arrest(target) {
+        if (!this.logic.lawEnforcement) {
+            return false;
+        }
+
+        if (!this.Game.jailManager.arrest(target, this)) {
+            return false;
+        }
+
+        this.target = null;
+        return true;
+    }
+
     /**
      * Attck the current active target
      * @return {Promise}
      */
     attack() {
+        // check if a status effect, like being stunned, prevents the NPC from attacking
+        if (this.Game.effectManager.hasFlag(this, 'noattack')) {
+            return;
+        }
+
         const target = this.hasActiveTarget();
 
         if (!target) {
@@ -379,6 +572,11 @@ export default class NPC extends Character {
 
         // if the target died
         if (!attack.healthLeft) {
+            // law enforcement arrests, rather than kill, their targets
+            if (this.arrest(target)) {
+                return;
+            }
+
             const oldLocationId = this.Game.characterManager.kill(target.user_id, this);
 
             if (!oldLocationId) {
@@ -429,6 +627,11 @@ export default class NPC extends Character {
 
         // if the target died
         if (!attack.healthLeft) {
+            // law enforcement arrests, rather than kill, their targets
+            if (this.arrest(target)) {
+                return;
+            }
+
             const oldLocationId = this.Game.characterManager.kill(target.user_id, this);
 
             if (!oldLocationId) {
@@ -479,6 +682,11 @@ export default class NPC extends Character {
 
         // if the target died
         if (!attack.healthLeft) {
+            // law enforcement arrests, rather than kill, their targets
+            if (this.arrest(target)) {
+                return;
+            }
+
             const oldLocationId = this.Game.characterManager.kill(target.user_id, this);
 
             if (!oldLocationId) {
@@ -491,6 +699,11 @@ export default class NPC extends Character {
             this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`);
         }
 
+        // melee strikes leave the target bleeding
+        if (attack.healthLeft) {
+            this.Game.effectManager.addStatus(target, 'bleeding');
+        }
+
         // update the target client's character inforamtion
         this.Game.characterManager.updateClient(target.user_id, 'stats');
         // send event to the target
@@ -0,0 +1,150 @@
+/**
+ * Quest log command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdQuests(socket, character, command, params, cmdObject, Game) {
+    const tab = '    ';
+    const active = Game.questManager.toClient(character);
+    const available = Game.questManager.getAvailable(character);
+    let message = [
+        'ACTIVE QUESTS',
+        '-------------',
+    ];
+
+    if (!active.length) {
+        message.push('You have no active quests.');
+    }
+
+    active.forEach((quest) => {
+        message.push(quest.name);
+        message = message.concat(quest.objectives.map((objective) => `${tab}${objective}`));
+    });
+
+    if (available.length) {
+        message.push('QUESTS OFFERED HERE (/questaccept <name>)');
+        message = message.concat(available.map((quest) => `${tab}${quest.name}: ${quest.description}`));
+    }
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        message,
+    );
+}
+
+/**
+ * Quest accept command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdQuestAccept(socket, character, command, params, cmdObject, Game) {
+    const quest = Game.questManager.findByName(Game.questManager.getAvailable(character), params[0]);
+
+    if (!quest) {
+        return Game.eventToSocket(socket, 'error', 'There is no quest by that name offered here. Type /quests to see the quests offered at your location.');
+    }
+
+    Game.questManager.accept(character, quest);
+}
+
+/**
+ * Quest deliver command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdQuestDeliver(socket, character, command, params, cmdObject, Game) {
+    const quest = Game.questManager.findByName(Game.questManager.getActive(character), params[0]);
+
+    if (!quest) {
+        return Game.eventToSocket(socket, 'error', 'You do not have an active quest by that name.');
+    }
+
+    const error = Game.questManager.deliver(character, quest);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+}
+
+/**
+ * Quest abandon command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdQuestAbandon(socket, character, command, params, cmdObject, Game) {
+    const quest = Game.questManager.findByName(Game.questManager.getActive(character), params[0]);
+
+    if (!quest) {
+        return Game.eventToSocket(socket, 'error', 'You do not have an active quest by that name.');
+    }
+
+    Game.questManager.abandon(character, quest);
+    Game.eventToSocket(socket, 'info', `You abandoned the quest "${quest.name}".`);
+    Game.characterManager.updateClient(character.user_id, 'quests');
+}
+
+module.exports = [
+    {
+        command: '/quests',
+        aliases: [],
+        allowInJail: true,
+        description: 'Shows your active quests, and the quests offered at your location.',
+        method: cmdQuests,
+    },
+    {
+        command: '/questaccept',
+        aliases: [],
+        params: [
+            {
+                name: 'Quest Name',
+                desc: 'The name of the quest you want to accept.',
+                rules: 'required',
+            },
+        ],
+        description: 'Accept a quest offered by an NPC or building at your location.',
+        method: cmdQuestAccept,
+    },
+    {
+        command: '/questdeliver',
+        aliases: [],
+        params: [
+            {
+                name: 'Quest Name',
+                desc: 'The name of the quest you want to deliver items for.',
+                rules: 'required',
+            },
+        ],
+        description: 'Hand over the items a quest asks you to deliver, at the building they should be delivered to.',
+        method: cmdQuestDeliver,
+    },
+    {
+        command: '/questabandon',
+        aliases: [],
+        params: [
+            {
+                name: 'Quest Name',
+                desc: 'The name of the quest you want to abandon.',
+                rules: 'required',
+            },
+        ],
+        description: 'Abandon an active quest, losing all progress.',
+        method: cmdQuestAbandon,
+    },
+];
@@ -0,0 +1,339 @@
+// manager specific imports
+import QuestList from '../../data/quests.json';
+import NPCList from '../../data/npcs.json';
+import StructureList from '../../data/structures.json';
+import Levels from '../../data/levels.json';
+import questCommands from './commands';
+
+/**
+ * Quest Manager
+ */
+export default class QuestManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        // log manager progress
+        this.Game.logger.debug('QuestManager::constructor Loaded');
+    }
+
+    /**
+     * Load all quest commands
+     */
+    init() {
+        this.Game.commandManager.registerManager(questCommands);
+        console.log('QUEST MANAGER LOADED');
+    }
+
+    /**
+     * Get a quest template by ID
+     * @param  {String} questId The quest ID
+     * @return {Object|null}
+     */
+    getTemplate(questId) {
+        return QuestList.find((quest) => quest.id === questId) || null;
+    }
+
+    /**
+     * Find a quest in a list, by (the beginning of) its name or its ID
+     * @param  {Array}  quests List of quest templates
+     * @param  {String} name   The name or ID to search for
+     * @return {Object|null}
+     */
+    findByName(quests, name) {
+        name = name.toLowerCase();
+
+        return quests.find((quest) => quest.id === name || quest.name.toLowerCase() === name) ||
+            quests.find((quest) => quest.name.toLowerCase().indexOf(name) === 0) ||
+            null;
+    }
+
+    /**
+     * Get the character's progress entry of a quest
+     * @param  {Character} character The character to check
+     * @param  {String}    questId   The quest ID
+     * @return {Object|null}
+     */
+    getEntry(character, questId) {
+        return character.quests.find((entry) => entry.id === questId) || null;
+    }
+
+    /**
+     * Get the templates of the character's active quests
+     * @param  {Character} character The character to check
+     * @return {Array}
+     */
+    getActive(character) {
+        return character.quests
+            .filter((entry) => !entry.completed)
+            .map((entry) => this.getTemplate(entry.id))
+            .filter((quest) => quest);
+    }
+
+    /**
+     * Get the quests offered to the character, by the NPCs and structures at their location
+     * @param  {Character} character The character to check
+     * @return {Array}               List of quest templates
+     */
+    getAvailable(character) {
+        const {map, x, y} = character.location;
+        const npcs = this.Game.npcManager.getLocationList(map, x, y).map((NPC) => NPC.npc_id);
+        const structures = this.Game.structureManager.getGrid(map, x, y).map((structure) => structure.id);
+
+        return QuestList.filter((quest) => {
+            // already active, or completed (and cannot be done again)
+            const entry = this.getEntry(character, quest.id);
+
+            if (entry && (!entry.completed || !quest.repeatable)) {
+                return false;
+            }
+
+            return npcs.includes(quest.giver.npc) || structures.includes(quest.giver.structure);
+        });
+    }
+
+    /**
+     * Starts a quest for the character
+     * @param  {Character} character The character accepting the quest
+     * @param  {Object}    quest     The quest template
+     */
+    accept(character, quest) {
+        // remove the previous completion of repeatable quests
+        character.quests = character.quests.filter((entry) => entry.id !== quest.id);
+        character.quests.push({
+            id: quest.id,
+            progress: quest.objectives.map(() => 0),
+            completed: false,
+        });
+
+        this.Game.eventToUser(character.user_id, 'success', `You accepted the quest "${quest.name}". Type /quests to see your progress.`);
+
+        // they might already meet some of the objectives, like a rank
+        this.checkProgress(character);
+    }
+
+    /**
+     * Abandons an active quest
+     * @param  {Character} character The character abandoning the quest
+     * @param  {Object}    quest     The quest template
+     */
+    abandon(character, quest) {
+        character.quests = character.quests.filter((entry) => entry.id !== quest.id);
+    }
+
+    /**
+     * Whether an objective of a quest has been met
+     * @param  {Character} character The character to check
+     * @param  {Object}    objective The quest objective
+     * @param  {Number}    progress  The progress towards the objective
+     * @return {Boolean}
+     */
+    isObjectiveDone(character, objective, progress) {
+        if (objective.type === 'rank') {
+            const level = Levels.find((obj) => obj.name === objective.rank);
+            return level ? character.stats.exp >= level.exp : false;
+        }
+
+        return progress >= (objective.amount || 1);
+    }
+
+    /**
+     * Generates the description of a quest objective, with the progress
+     * @param  {Character} character The character doing the quest
+     * @param  {Object}    objective The quest objective
+     * @param  {Number}    progress  The progress towards the objective
+     * @return {String}
+     */
+    describeObjective(character, objective, progress = 0) {
+        const done = this.isObjectiveDone(character, objective, progress) ? ' (Done)' : '';
+
+        switch (objective.type) {
+            case 'kill':
+                return `Kill ${objective.amount}x ${NPCList[objective.npc].type}: ${progress}/${objective.amount}${done}`;
+
+            case 'deliver':
+                return `Deliver ${objective.amount}x ${this.Game.itemManager.getTemplate(objective.item).name} to the ${StructureList[objective.structure].name} in ${this.Game.mapManager.get(objective.map).name}: ${progress}/${objective.amount}${done}`;
+
+            case 'rank':
+                return `Reach the rank of ${objective.rank}${done}`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Counts an NPC kill towards the kill objectives of the character's quests
+     * @param  {Character} character The character who killed the NPC
+     * @param  {NPC}       NPC       The killed NPC
+     */
+    onKill(character, NPC) {
+        let updated = false;
+
+        character.quests.filter((entry) => !entry.completed).forEach((entry) => {
+            const quest = this.getTemplate(entry.id);
+
+            if (!quest) {
+                return;
+            }
+
+            quest.objectives.forEach((objective, index) => {
+                if (objective.type !== 'kill' || objective.npc !== NPC.npc_id || entry.progress[index] >= objective.amount) {
+                    return;
+                }
+
+                entry.progress[index]++;
+                updated = true;
+
+                this.Game.eventToUser(character.user_id, 'info', `${quest.name}: ${this.describeObjective(character, objective, entry.progress[index])}`);
+            });
+        });
+
+        if (updated) {
+            this.checkProgress(character);
+        }
+    }
+
+    /**
+     * Hands over the items of the deliver objectives of a quest, at the current location
+     * @param  {Character} character The character delivering the items
+     * @param  {Object}    quest     The quest template
+     * @return {String|null}         Error message, or null if anything was delivered
+     */
+    deliver(character, quest) {
+        const entry = this.getEntry(character, quest.id);
+        const {map, x, y} = character.location;
+        const structures = this.Game.structureManager.getGrid(map, x, y).map((structure) => structure.id);
+        let delivered = 0;
+
+        quest.objectives.forEach((objective, index) => {
+            if (objective.type !== 'deliver' || objective.map !== map || !structures.includes(objective.structure)) {
+                return;
+            }
+
+            // unequipped items of the kind, until the amount is met
+            while (entry.progress[index] < objective.amount) {
+                const item = character.inventory.find((obj) => obj.id === objective.item && obj.inventorySlot.indexOf('inv-') === 0);
+
+                if (!item) {
+                    break;
+                }
+
+                const amount = item.stats.stackable ? Math.min(item.stats.durability, objective.amount - entry.progress[index]) : 1;
+
+                if (item.stats.stackable && amount < item.stats.durability) {
+                    item.removeDurability(amount);
+                } else {
+                    this.Game.itemManager.remove(character, item);
+                }
+
+                entry.progress[index] += amount;
+                delivered += amount;
+            }
+        });
+
+        if (!delivered) {
+            return 'You have nothing to deliver for that quest here.';
+        }
+
+        this.Game.characterManager.updateClient(character.user_id, 'inventory');
+        this.Game.eventToUser(character.user_id, 'success', `You delivered ${delivered} item(s) for "${quest.name}".`);
+        this.checkProgress(character);
+
+        return null;
+    }
+
+    /**
+     * Completes any of the character's quests where all objectives have been met
+     * @param  {Character} character The character to check
+     */
+    checkProgress(character) {
+        character.quests.filter((entry) => !entry.completed).forEach((entry) => {
+            const quest = this.getTemplate(entry.id);
+
+            if (!quest) {
+                return;
+            }
+
+            const done = quest.objectives.every((objective, index) => this.isObjectiveDone(character, objective, entry.progress[index]));
+
+            if (done) {
+                this.complete(character, quest, entry);
+            }
+        });
+
+        this.Game.characterManager.updateClient(character.user_id, 'quests');
+    }
+
+    /**
+     * Marks a quest as completed, and hands out the rewards
+     * @param  {Character} character The character completing the quest
+     * @param  {Object}    quest     The quest template
+     * @param  {Object}    entry     The character's progress entry of the quest
+     */
+    complete(character, quest, entry) {
+        const {money, exp, items} = quest.rewards;
+        const {map, x, y} = character.location;
+        let dropped = false;
+
+        // mark it first, as the exp reward might trigger another progress check
+        entry.completed = true;
+
+        character.updateCash(money || 0);
+        character.updateExp(exp || 0);
+
+        (items || []).forEach((reward) => {
+            const item = this.Game.itemManager.add(reward.id);
+
+            if (!item) {
+                return;
+            }
+
+            if (character.hasRoomForItem(item, reward.amount)) {
+                return character.giveItem(item, reward.amount);
+            }
+
+            // no room, so the reward is left at their feet
+            if (item.stats.stackable) {
+                item.setDurability(reward.amount);
+            }
+
+            this.Game.itemManager.drop(map, x, y, item);
+            dropped = true;
+        });
+
+        this.Game.characterManager.updateClient(character.user_id);
+        this.Game.eventToUser(character.user_id, 'success', `Quest completed: "${quest.name}". You received ${money || 0} money and ${exp || 0} exp.`);
+
+        if (dropped) {
+            this.Game.eventToUser(character.user_id, 'warning', 'You did not have enough inventory space for all the item rewards, some were dropped on the ground.');
+        }
+    }
+
+    /**
+     * Exports the character's active quests, with their objectives, for the client
+     * @param  {Character} character The character whos quests to export
+     * @return {Array}
+     */
+    toClient(character) {
+        return character.quests
+            .filter((entry) => !entry.completed)
+            .map((entry) => {
+                const quest = this.getTemplate(entry.id);
+
+                if (!quest) {
+                    return null;
+                }
+
+                return {
+                    id: quest.id,
+                    name: quest.name,
+                    description: quest.description,
+                    objectives: quest.objectives.map((objective, index) => this.describeObjective(character, objective, entry.progress[index])),
+                };
+            })
+            .filter((quest) => quest);
+    }
+}
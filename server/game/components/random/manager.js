@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import RandomStream from './object';
+
+/**
+ * Random Manager, all gameplay randomness goes through its streams, so a session can
+ * be replayed by booting with the same seed (game.random.seed in the config).
+ */
+export default class RandomManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        const settings = this.Game.config.game.random || {};
+        const hasSeed = settings.seed !== undefined && settings.seed !== null && settings.seed !== '';
+
+        // the session seed, generated if none is set in the config
+        this.seed = hasSeed ? `${settings.seed}` : `${crypto.randomBytes(4).readUInt32LE(0)}`;
+        // the streams, by subsystem name
+        this.streams = {};
+
+        // log manager progress
+        this.Game.logger.debug('RandomManager::constructor Loaded');
+    }
+
+    /**
+     * Logs the seed, so the session can be replayed
+     */
+    init() {
+        this.Game.logger.info(`Random seed: ${this.seed}`);
+        console.log(`RANDOM MANAGER LOADED (seed: ${this.seed})`);
+    }
+
+    /**
+     * Get the random stream of a subsystem, eg. "combat" or "npc". Each subsystem has
+     * its own stream, so a change in how much one of them draws does not shift the others.
+     * @param  {String} name The subsystem name
+     * @return {RandomStream}
+     */
+    get(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new RandomStream(this.hash(`${this.seed}:${name}`));
+        }
+
+        return this.streams[name];
+    }
+
+    /**
+     * Hashes a string into a 32 bit integer seed (FNV-1a)
+     * @param  {String} string
+     * @return {Number}
+     */
+    hash(string) {
+        let hash = 0x811C9DC5;
+
+        for (let i = 0; i < string.length; i++) {
+            hash ^= string.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+}
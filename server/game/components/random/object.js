@@ -0,0 +1,49 @@
+import {dice} from '../../helper';
+
+/**
+ * Seeded stream of random numbers (mulberry32). The same seed always gives the same sequence.
+ */
+export default class RandomStream {
+    /**
+     * class constructor
+     * @param  {Number} seed 32 bit integer seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.random = this.random.bind(this);
+    }
+
+    /**
+     * Get the next number of the stream
+     * @return {Number} 0 to 1 (exclusive), same as Math.random
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let value = this.state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generates a random value between min and max, see dice() in the helper
+     * @param  {Number} min
+     * @param  {Number} max
+     * @return {Number}
+     */
+    dice(min, max) {
+        return dice(min, max, this.random);
+    }
+
+    /**
+     * Picks a random entry from a list
+     * @param  {Array} list
+     * @return {Mixed} The entry, or undefined if the list is empty
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+}
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import Promise from 'bluebird';
+
+import MongoRepository from './mongo';
+import MemoryRepository from './memory';
+import MemoryStore from './store';
+
+import UserModel from '../../api/models/user';
+import IdentityModel from '../../api/models/identity';
+import CharacterModel from '../character/model';
+import ItemModel from '../item/model';
+import FactionModel from '../faction/model';
+import FactionLogModel from '../faction/log';
+import BountyModel from '../bounty/model';
+import TurfModel from '../turf/model';
+import WarModel from '../war/model';
+import WorldModel from '../world/model';
+import AdminLogModel from '../admin/model';
+
+// the models of each repository
+const models = {
+    users: UserModel,
+    identities: IdentityModel,
+    characters: CharacterModel,
+    items: ItemModel,
+    factions: FactionModel,
+    factionLogs: FactionLogModel,
+    bounties: BountyModel,
+    turf: TurfModel,
+    wars: WarModel,
+    world: WorldModel,
+    adminLogs: AdminLogModel,
+};
+
+// the repositories, populated once connected
+const repositories = {};
+
+// the store of the memory repositories
+let memoryStore = null;
+
+/**
+ * Connects the repositories to the storage driver set in the config.
+ * "mongo" stores everything in MongoDB (config.mongo_db), "memory" keeps everything
+ * in memory, and persists it to storage.file if set.
+ * @param  {Object} config The server config file object
+ * @return {Promise}
+ */
+export function connect(config) {
+    const storage = config.storage || {driver: 'mongo'};
+
+    switch (storage.driver) {
+        case 'memory':
+            memoryStore = new MemoryStore(storage.file, storage.interval);
+            memoryStore.load();
+
+            Object.keys(models).forEach((name) => {
+                repositories[name] = new MemoryRepository(models[name], memoryStore);
+            });
+
+            return Promise.resolve(repositories);
+
+        case 'mongo':
+            Object.keys(models).forEach((name) => {
+                repositories[name] = new MongoRepository(models[name]);
+            });
+
+            Promise.promisifyAll(mongoose);
+            return Promise.resolve(mongoose.connect(config.mongo_db)).then(() => repositories);
+
+        default:
+            return Promise.reject(new Error(`Unknown storage driver "${storage.driver}"`));
+    }
+}
+
+/**
+ * Writes any pending changes, and closes the connection to the storage
+ * @return {Promise}
+ */
+export function disconnect() {
+    if (memoryStore) {
+        return memoryStore.flush();
+    }
+
+    return Promise.resolve(mongoose.disconnect());
+}
+
+export default repositories;
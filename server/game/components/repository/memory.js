@@ -0,0 +1,410 @@
+import Promise from 'bluebird';
+
+/**
+ * Makes a plain, deep copy of a value. ObjectIDs are turned into strings.
+ * @param  {Mixed} value
+ * @return {Mixed}
+ */
+function clone(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Turns ObjectIDs into strings, so they can be compared to the stored IDs
+ * @param  {Mixed} value
+ * @return {Mixed}
+ */
+function normalise(value) {
+    if (value && typeof value === 'object' && value._bsontype) {
+        return value.toString();
+    }
+
+    return value;
+}
+
+/**
+ * Get the value of a (dot notated) path of an object
+ * @param  {Object} obj
+ * @param  {String} path eg. "stats.bank"
+ * @return {Mixed}
+ */
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => {
+        return value === null || value === undefined ? undefined : value[key];
+    }, obj);
+}
+
+/**
+ * Set the value of a (dot notated) path of an object, creating any missing objects on the way
+ * @param  {Object} obj
+ * @param  {String} path  eg. "stats.bank"
+ * @param  {Mixed}  value
+ */
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+
+    keys.reduce((parent, key) => {
+        if (!parent[key] || typeof parent[key] !== 'object') {
+            parent[key] = {};
+        }
+
+        return parent[key];
+    }, obj)[last] = value;
+}
+
+/**
+ * Checks if a value equals the expected value. Like MongoDB, arrays match if they contain the value.
+ * @param  {Mixed} value
+ * @param  {Mixed} expected
+ * @return {Boolean}
+ */
+function equals(value, expected) {
+    expected = normalise(expected);
+
+    if (Array.isArray(value)) {
+        return value.some((item) => equals(item, expected));
+    }
+
+    if (expected === null) {
+        return value === null || value === undefined;
+    }
+
+    if (expected && typeof expected === 'object') {
+        return JSON.stringify(value) === JSON.stringify(expected);
+    }
+
+    return normalise(value) === expected;
+}
+
+/**
+ * Checks if a value matches the query condition of a field
+ * @param  {Mixed} value
+ * @param  {Mixed} condition eg. "value" or {$in: [...]}
+ * @return {Boolean}
+ */
+function matchCondition(value, condition) {
+    const isOperation = condition && typeof condition === 'object' && !condition._bsontype &&
+        !Array.isArray(condition) && Object.keys(condition).every((key) => key.startsWith('$'));
+
+    if (!isOperation) {
+        return equals(value, condition);
+    }
+
+    return Object.keys(condition).every((operator) => {
+        const operand = condition[operator];
+
+        switch (operator) {
+            case '$in':
+                return operand.some((expected) => equals(value, expected));
+            case '$nin':
+                return !operand.some((expected) => equals(value, expected));
+            case '$ne':
+                return !equals(value, operand);
+            default:
+                throw new Error(`The query operator ${operator} is not supported by the memory repository`);
+        }
+    });
+}
+
+/**
+ * Checks if a document matches a MongoDB style query
+ * @param  {Object} doc   The plain document
+ * @param  {Object} query The query
+ * @return {Boolean}
+ */
+function matches(doc, query) {
+    return Object.keys(query).every((key) => {
+        if (key === '$or') {
+            return query.$or.some((subQuery) => matches(doc, subQuery));
+        }
+
+        return matchCondition(getPath(doc, key), query[key]);
+    });
+}
+
+/**
+ * Applies a MongoDB style projection to a document
+ * @param  {Object} doc    The plain document
+ * @param  {Object} fields The fields to include/exclude, eg. {email: 1} or {password: 0}
+ * @return {Object}
+ */
+function project(doc, fields) {
+    if (!fields || !Object.keys(fields).length) {
+        return doc;
+    }
+
+    const paths = Object.keys(fields).filter((path) => path !== '_id');
+    const include = paths.some((path) => fields[path]);
+    let projected;
+
+    if (include) {
+        projected = {};
+        paths.filter((path) => fields[path]).forEach((path) => {
+            const value = getPath(doc, path);
+
+            if (value !== undefined) {
+                setPath(projected, path, value);
+            }
+        });
+
+        if (fields._id !== 0) {
+            projected._id = doc._id;
+        }
+    } else {
+        projected = clone(doc);
+        Object.keys(fields).forEach((path) => delete projected[path]);
+    }
+
+    return projected;
+}
+
+/**
+ * Sorts a list of documents. {$natural: -1} reverses the insertion order.
+ * @param  {Array}  documents The plain documents
+ * @param  {Object} sort      eg. {date_added: -1}
+ * @return {Array}
+ */
+function sortDocuments(documents, sort) {
+    const paths = Object.keys(sort);
+
+    if (paths.length === 1 && paths[0] === '$natural') {
+        return sort.$natural < 0 ? [...documents].reverse() : documents;
+    }
+
+    return [...documents].sort((a, b) => {
+        for (let path of paths) {
+            const valueA = getPath(a, path);
+            const valueB = getPath(b, path);
+
+            if (valueA < valueB) {
+                return -sort[path];
+            }
+
+            if (valueA > valueB) {
+                return sort[path];
+            }
+        }
+
+        return 0;
+    });
+}
+
+/**
+ * Repository keeping the documents of a model in memory. The documents are still
+ * Mongoose documents, so the schema defaults, validation, hooks and methods apply.
+ */
+export default class MemoryRepository {
+    /**
+     * class constructor
+     * @param  {Mongoose Model} Model The model of the documents
+     * @param  {MemoryStore}    store The store holding the documents
+     */
+    constructor(Model, store) {
+        this.Model = Model;
+        this.store = store;
+        this.name = Model.collection.collectionName;
+    }
+
+    /**
+     * Turns a stored plain document into a Mongoose document
+     * @param  {Object} data   The plain document
+     * @param  {Object} fields The projection the document was loaded with, if any
+     * @return {Mongoose Document}
+     */
+    hydrate(data, fields = null) {
+        // with the projection, Mongoose knows which fields were not loaded, and skips them when validating
+        const doc = new this.Model(undefined, fields, true);
+        doc.init(clone(data));
+
+        return doc;
+    }
+
+    /**
+     * Find all documents matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} fields  The fields to include/exclude
+     * @param  {Object} options Sort and limit options
+     * @return {Promise}
+     */
+    find(query = {}, fields = null, options = {}) {
+        return Promise.try(() => {
+            let documents = this.store.get(this.name).filter((doc) => matches(doc, query));
+
+            if (options.sort) {
+                documents = sortDocuments(documents, options.sort);
+            }
+
+            if (options.limit) {
+                documents = documents.slice(0, options.limit);
+            }
+
+            return documents.map((doc) => this.hydrate(project(doc, fields), fields));
+        });
+    }
+
+    /**
+     * Find the first document matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} fields  The fields to include/exclude
+     * @return {Promise}
+     */
+    findOne(query = {}, fields = null) {
+        return Promise.try(() => {
+            const doc = this.store.get(this.name).find((obj) => matches(obj, query));
+            return doc ? this.hydrate(project(doc, fields), fields) : null;
+        });
+    }
+
+    /**
+     * Creates a new, unsaved, document
+     * @param  {Object} data The document data
+     * @return {Mongoose Document}
+     */
+    create(data) {
+        return new this.Model(data);
+    }
+
+    /**
+     * Saves a new or changed document
+     * @param  {Mongoose Document} doc The document to save
+     * @return {Promise}               Resolves the saved document
+     */
+    save(doc) {
+        return Promise.resolve(doc.validate())
+            .then(() => this.runPreSave(doc))
+            .then(() => {
+                const documents = this.store.get(this.name);
+                const data = clone(doc.toObject());
+                const index = documents.findIndex((obj) => obj._id === data._id);
+                const modified = doc.modifiedPaths();
+
+                this.checkUnique(data, documents);
+
+                if (index === -1) {
+                    documents.push(data);
+                } else {
+                    // merge with the stored document, as the document might have been loaded with a projection
+                    const merged = {...documents[index], ...data};
+
+                    modified.filter((path) => doc.get(path) === undefined).forEach((path) => delete merged[path]);
+                    documents[index] = merged;
+                }
+
+                this.trimCapped(documents);
+
+                doc.isNew = false;
+                modified.forEach((path) => doc.unmarkModified(path));
+
+                this.store.changed();
+                return doc;
+            });
+    }
+
+    /**
+     * Updates all documents matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} changes The update operations, eg. $set and $inc
+     * @param  {Object} options Set "multi" to update more than the first match
+     * @return {Promise}
+     */
+    update(query, changes, options = {}) {
+        return Promise.try(() => {
+            let documents = this.store.get(this.name).filter((doc) => matches(doc, query));
+            const operations = Object.keys(changes).some((key) => key.startsWith('$')) ? changes : {$set: changes};
+
+            if (!options.multi) {
+                documents = documents.slice(0, 1);
+            }
+
+            documents.forEach((doc) => {
+                Object.keys(operations).forEach((operator) => {
+                    const fields = operations[operator];
+
+                    Object.keys(fields).forEach((path) => {
+                        switch (operator) {
+                            case '$set':
+                                return setPath(doc, path, clone(fields[path]));
+                            case '$inc':
+                                return setPath(doc, path, (getPath(doc, path) || 0) + fields[path]);
+                            default:
+                                throw new Error(`The update operator ${operator} is not supported by the memory repository`);
+                        }
+                    });
+                });
+            });
+
+            if (documents.length) {
+                this.store.changed();
+            }
+
+            return {n: documents.length, nModified: documents.length};
+        });
+    }
+
+    /**
+     * Deletes all documents matching the query
+     * @param  {Object} query The query
+     * @return {Promise}
+     */
+    delete(query) {
+        return Promise.try(() => {
+            const documents = this.store.get(this.name);
+            const remaining = documents.filter((doc) => !matches(doc, query));
+
+            this.store.set(this.name, remaining);
+            return {n: documents.length - remaining.length};
+        });
+    }
+
+    /**
+     * Runs the schema's pre save hooks on a document, as Mongoose only runs them
+     * when saving to MongoDB.
+     * @param  {Mongoose Document} doc
+     * @return {Promise}
+     */
+    runPreSave(doc) {
+        return new Promise((resolve, reject) => {
+            this.Model.schema.s.hooks.execPre('save', doc, [], (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Makes sure no other document has the same value in a unique field, like the MongoDB index would
+     * @param  {Object} data      The plain document to save
+     * @param  {Array}  documents The stored documents
+     */
+    checkUnique(data, documents) {
+        const paths = this.Model.schema.paths;
+
+        Object.keys(paths).filter((path) => path !== '_id' && paths[path].options.unique).forEach((path) => {
+            const value = getPath(data, path);
+
+            if (value === undefined || value === null) {
+                return;
+            }
+
+            if (documents.some((obj) => obj._id !== data._id && getPath(obj, path) === value)) {
+                const err = new Error(`E11000 duplicate key error collection: ${this.name} index: ${path}`);
+                err.code = 11000;
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * Drops the oldest documents, if the schema is a capped collection which is full
+     * @param  {Array} documents The stored documents
+     */
+    trimCapped(documents) {
+        const capped = this.Model.schema.options.capped;
+
+        if (capped && capped.max && documents.length > capped.max) {
+            documents.splice(0, documents.length - capped.max);
+        }
+    }
+}
@@ -0,0 +1,73 @@
+import Promise from 'bluebird';
+
+/**
+ * Repository storing the documents of a model in MongoDB
+ */
+export default class MongoRepository {
+    /**
+     * class constructor
+     * @param  {Mongoose Model} Model The model of the documents
+     */
+    constructor(Model) {
+        this.Model = Model;
+    }
+
+    /**
+     * Find all documents matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} fields  The fields to include/exclude
+     * @param  {Object} options Sort and limit options
+     * @return {Promise}
+     */
+    find(query = {}, fields = null, options = {}) {
+        return this.Model.findAsync(query, fields, options);
+    }
+
+    /**
+     * Find the first document matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} fields  The fields to include/exclude
+     * @return {Promise}
+     */
+    findOne(query = {}, fields = null) {
+        return this.Model.findOneAsync(query, fields);
+    }
+
+    /**
+     * Creates a new, unsaved, document
+     * @param  {Object} data The document data
+     * @return {Mongoose Document}
+     */
+    create(data) {
+        return new this.Model(data);
+    }
+
+    /**
+     * Saves a new or changed document
+     * @param  {Mongoose Document} doc The document to save
+     * @return {Promise}               Resolves the saved document
+     */
+    save(doc) {
+        return doc.saveAsync().then(() => doc);
+    }
+
+    /**
+     * Updates all documents matching the query
+     * @param  {Object} query   The query
+     * @param  {Object} changes The update operations, eg. $set and $inc
+     * @param  {Object} options Set "multi" to update more than the first match
+     * @return {Promise}
+     */
+    update(query, changes, options = {}) {
+        return Promise.resolve(this.Model.update(query, changes, options));
+    }
+
+    /**
+     * Deletes all documents matching the query
+     * @param  {Object} query The query
+     * @return {Promise}
+     */
+    delete(query) {
+        return this.Model.deleteManyAsync(query);
+    }
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import Promise from 'bluebird';
+
+/**
+ * Holds the documents of the in-memory repositories, optionally
+ * persisting them to a JSON file.
+ */
+export default class MemoryStore {
+    /**
+     * class constructor
+     * @param  {String} file     Path of the JSON file to persist to. Leave empty to keep everything in memory only.
+     * @param  {Number} interval Milliseconds to wait after a change, before writing the file
+     */
+    constructor(file = '', interval = 1000) {
+        this.file = file;
+        this.interval = interval;
+        // the documents, by collection name
+        this.collections = {};
+        // the pending file write
+        this.timer = null;
+    }
+
+    /**
+     * Loads the collections from the file, if one is set and exists
+     */
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return;
+        }
+
+        this.collections = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    /**
+     * Get the list of documents of a collection
+     * @param  {String} name The collection name
+     * @return {Array}
+     */
+    get(name) {
+        this.collections[name] = this.collections[name] || [];
+        return this.collections[name];
+    }
+
+    /**
+     * Replaces the list of documents of a collection
+     * @param  {String} name      The collection name
+     * @param  {Array}  documents The new list of documents
+     */
+    set(name, documents) {
+        this.collections[name] = documents;
+        this.changed();
+    }
+
+    /**
+     * Schedules a write of the file, after a change
+     */
+    changed() {
+        if (!this.file || this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.flush().catch((err) => console.error(err));
+        }, this.interval);
+    }
+
+    /**
+     * Writes all collections to the file, if one is set
+     * @return {Promise}
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.file) {
+            return Promise.resolve();
+        }
+
+        // write to a temporary file first, so a crash mid-write does not corrupt the store
+        const tmpFile = `${this.file}.tmp`;
+
+        return Promise.promisify(fs.writeFile)(tmpFile, JSON.stringify(this.collections))
+            .then(() => Promise.promisify(fs.rename)(tmpFile, this.file));
+    }
+}
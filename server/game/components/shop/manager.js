@@ -132,10 +132,11 @@ export default class ShopManager {
     /**
      * Add a new shop to be managed
      * @param {String} shopId Shop ID of the shop to create.
+     * @param {Object} owner  The structure or NPC the shop belongs to, used for its location
      */
-    add(shopId) {
+    add(shopId, owner = null) {
         const ShopData = ShopList.find((obj) => obj.id === shopId);
-        const newShop = new Shop(this.Game, deepCopyObject(ShopData));
+        const newShop = new Shop(this.Game, deepCopyObject(ShopData), owner);
 
         // load the shop items
         newShop.load();
@@ -1,6 +1,6 @@
 import uuid from 'uuid/v4';
 import {SHOP_UPDATE} from 'shared/actionTypes';
-import {dice, formatNumberDecimal} from '../../helper';
+import {formatNumberDecimal} from '../../helper';
 
 /**
  * Shop object class
@@ -10,10 +10,12 @@ export default class Shop {
      * class constructor
      * @param  {Game}   Game     The Game Object
      * @param  {object} shopData The shop template object
+     * @param  {Object} owner    The structure or NPC the shop belongs to
      */
-    constructor(Game, shopData) {
+    constructor(Game, shopData, owner = null) {
         this.Game = Game;
         Object.assign(this, shopData);
+        this.owner = owner;
 
         // useful if you want to load a specific shop without going through the structure manager and map manager.
         this.fingerprint = uuid();
@@ -110,10 +112,12 @@ export default class Shop {
             name: this.name,
             sell: {
                 ...this.sell,
+                priceMultiplier: this.getPriceMultiplier('sell'),
                 list: this.getSellList(true),
             },
             buy: {
                 ...this.buy,
+                priceMultiplier: this.getPriceMultiplier('buy'),
                 list: this.getBuyList(true),
             },
         };
@@ -169,7 +173,7 @@ export default class Shop {
 
         // will hold the item, which was sold
         let soldItem;
-        let pricePerUnit = itemTemplate.stats.price * this.buy.priceMultiplier;
+        let pricePerUnit = itemTemplate.stats.price * this.getPriceMultiplier('buy');
 
         // remove item from inventory/reduce amount
         if (inventoryItem.stats.stackable) {
@@ -302,7 +306,7 @@ export default class Shop {
             return this.Game.shopManager.eventToUser(user_id, 'error', 'Invalid item. The item might no longer be available.');
         }
 
-        const price = (itemTemplate.stats.price * this.sell.priceMultiplier);
+        const price = (itemTemplate.stats.price * this.getPriceMultiplier('sell'));
 
         // check if the character has enough money
         if (character.stats.money < price) {
@@ -378,18 +382,19 @@ export default class Shop {
                 ...this.supply.items,
             ],
         };
+        const rng = this.Game.randomManager.get('shop');
         // used for picking a random item from the list
         let totalItems = supply.items.length;
         // number of items to add to the shop
-        const itemsToAdd = dice(...supply.numberOfItems);
+        const itemsToAdd = rng.dice(...supply.numberOfItems);
 
         for (let i = itemsToAdd; i >= 0; i--) {
-            const index = dice(0, totalItems);
+            const index = rng.dice(0, totalItems);
             const supplyItem = supply.items[index];
             const newItem = this.Game.itemManager.add(supplyItem.id);
 
             // add a random quantity
-            newItem.shopQuantity = dice(...supplyItem.quantity);
+            newItem.shopQuantity = rng.dice(...supplyItem.quantity);
 
             // push the item to the sell list
             this.sell.list.push(newItem);
@@ -422,6 +427,27 @@ export default class Shop {
             return reject(new Error('Invalid price list'));
         }
 
-        return itemPrice * this[priceType].priceMultiplier;
+        return itemPrice * this.getPriceMultiplier(priceType);
+    }
+
+    /**
+     * Get the price multiplier of the shop, including the price modifier of the district it is in
+     * @param  {String} priceType buy or sell
+     * @return {Number}
+     */
+    getPriceMultiplier(priceType) {
+        const multiplier = this[priceType].priceMultiplier;
+
+        if (!this.owner) {
+            return multiplier;
+        }
+
+        const district = this.Game.mapManager.getDistrict(this.owner.location.map, this.owner.location.x, this.owner.location.y);
+
+        if (!district || !district.prices || !district.prices[priceType]) {
+            return multiplier;
+        }
+
+        return multiplier * district.prices[priceType];
     }
 }
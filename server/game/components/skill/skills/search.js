@@ -56,7 +56,7 @@ export default class SkillSearch {
                         // get the calculated chance to find the player
                         let chance = baseChance + bonus;
 
-                        if (Math.random() > chance) {
+                        if (this.Game.randomManager.get('skill').random() > chance) {
                             return;
                         }
 
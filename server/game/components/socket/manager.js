@@ -29,6 +29,8 @@ export default class SocketManager extends EventEmitter {
         this.io = io(server);
         // disconnect timers (for DC events)
         this.timers = {};
+        // sockets connected through other gateways than Socket.IO, eg. telnet
+        this.gatewaySockets = [];
 
         this.onDisconnect = this.onDisconnect.bind(this);
         this.clearTimer = this.clearTimer.bind(this);
@@ -106,6 +108,22 @@ export default class SocketManager extends EventEmitter {
         this.clients[socket.user.user_id] = socket;
     }
 
+    /**
+     * Add a non Socket.IO socket, so it receives room and server dispatches
+     * @param {Object} socket The gateway socket object
+     */
+    addGatewaySocket(socket) {
+        this.gatewaySockets.push(socket);
+    }
+
+    /**
+     * Removes a non Socket.IO socket from the list
+     * @param  {Object} socket The gateway socket object
+     */
+    removeGatewaySocket(socket) {
+        this.gatewaySockets = this.gatewaySockets.filter((obj) => obj.id !== socket.id);
+    }
+
     /**
      * Removes a tracked socket reference from the list
      * @param  {String} user_id  User Id of the socket to delete
@@ -237,6 +255,12 @@ export default class SocketManager extends EventEmitter {
         }
 
         this.io.sockets.in(roomId).emit('dispatch', action);
+
+        this.gatewaySockets.forEach((socket) => {
+            if (socket.inRoom(roomId)) {
+                socket.emit('dispatch', action);
+            }
+        });
     }
 
     /**
@@ -245,6 +269,10 @@ export default class SocketManager extends EventEmitter {
      */
     dispatchToServer(action) {
         this.io.emit('dispatch', action);
+
+        this.gatewaySockets.forEach((socket) => {
+            socket.emit('dispatch', action);
+        });
     }
 
     /**
@@ -344,6 +344,50 @@ function cmdDrink(socket, character, command, params, cmdObject, Game) {
     Game.eventToSocket(socket, 'success', `You drink ${drinks} drinks, costing you ${price} and ${health} health. (+${exp} rep)`);
 }
 
+/**
+ * Bail command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBail(socket, character, command, params, cmdObject, Game) {
+    // get the structures list at the character location
+    const structures = Game.structureManager.getWithCommand(
+        character.location.map,
+        character.location.x,
+        character.location.y,
+        command
+    );
+
+    if (!structures) {
+        return Game.eventToSocket(socket, 'error', 'There are no structures around which allows you to use that command.');
+    }
+
+    if (!Game.jailManager.isJailed(character)) {
+        return Game.eventToSocket(socket, 'error', 'You are not in jail.');
+    }
+
+    const structure = structures[0];
+    const modifiers = {...cmdObject.modifiers, ...structure.commands[command]};
+    const bail = Game.jailManager.getBail(character, modifiers.cost);
+
+    // bail is paid from the bank, as their cash is of no use behind bars
+    if (character.stats.bank < bail) {
+        return Game.eventToSocket(socket, 'error', `Your bail is set at ${bail}, but you only have ${character.stats.bank} in your bank account.`);
+    }
+
+    character.updateBank(bail * -1);
+    Game.jailManager.release(character);
+
+    // update the client's character object
+    Game.characterManager.updateClient(character.user_id, 'stats');
+    Game.eventToSocket(socket, 'success', `You pay your bail of ${bail} from your bank account, and are released from the ${structure.name}.`);
+    Game.eventToRoom(character.getLocationId(), 'info', `${character.name} posts bail, and walks out of the ${structure.name}.`, [character.user_id]);
+}
+
 module.exports = [
     {
         command: '/withdraw',
@@ -371,6 +415,17 @@ module.exports = [
         description: 'Deposite money to your bank account.',
         method: cmdDeposit,
     },
+    {
+        command: '/bail',
+        aliases: [],
+        allowInJail: true,
+        params: [],
+        description: 'Pay your way out of jail, from your bank account. Costs {cost} per minute left of your sentence.',
+        method: cmdBail,
+        modifiers: {
+            cost: 100,
+        },
+    },
     {
         command: '/heal',
         aliases: [],
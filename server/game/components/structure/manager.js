@@ -37,7 +37,7 @@ export default class StructureManager {
      */
     add(map_id, x, y, structure_id) {
         const structureData = structureList[structure_id];
-        const newStructure = new Structure(this.Game, structureData, {map: map_id, x, y});
+        const newStructure = new Structure(this.Game, {id: structure_id, ...structureData}, {map: map_id, x, y});
 
         // Generate the structure location, should it not exist.
         this.structures[map_id] = this.structures[map_id] || {};
@@ -82,6 +82,52 @@ export default class StructureManager {
         return matches;
     }
 
+    /**
+     * returns the first building on a map, which has the specific command available
+     * @param  {String} map_id  Map ID
+     * @param  {String} command the command to search for
+     * @return {Structure}      The structure, or null if none was found
+     */
+    getByCommand(map_id, command) {
+        return this.getMapList(map_id).find((structure) => structure.commands && structure.commands[command]) || null;
+    }
+
+    /**
+     * returns the first building on a map, matching the name (or the beginning of it)
+     * @param  {String} map_id Map ID
+     * @param  {String} name   The name, or part of, to search for
+     * @return {Structure}     The structure, or null if none was found
+     */
+    getByName(map_id, name) {
+        const structures = this.getMapList(map_id);
+        name = name.toLowerCase().trim();
+
+        if (!name) {
+            return null;
+        }
+
+        return structures.find((structure) => structure.name.toLowerCase() === name || structure.id === name) ||
+            structures.find((structure) => structure.name.toLowerCase().indexOf(name) === 0) ||
+            null;
+    }
+
+    /**
+     * Get all buildings on a map
+     * @param  {String} map_id Map ID
+     * @return {Array}
+     */
+    getMapList(map_id) {
+        const grids = this.structures[map_id] || {};
+        let structures = [];
+
+        // combine the buildings of every grid in the map
+        Object.keys(grids).forEach((gridId) => {
+            structures = structures.concat(grids[gridId]);
+        });
+
+        return structures;
+    }
+
     /**
      * returns a list of buildings, at a given location, which has shops
      * @param  {String} map_id  Map ID
@@ -29,7 +29,7 @@ export default class Structure {
         this.shops = [];
 
         shopsList.forEach((shopId) => {
-            this.shops.push(this.Game.shopManager.add(shopId));
+            this.shops.push(this.Game.shopManager.add(shopId, this));
         });
     }
 }
@@ -0,0 +1,201 @@
+import net from 'net';
+import readline from 'readline';
+import {
+    USER_AUTHENTICATE,
+    USER_LOGOUT,
+    CHARACTERS_GET_LIST,
+    CHARACTER_MOVE,
+    COMMAND_CHAT_COMMAND,
+} from 'shared/actionTypes';
+import TelnetSocket from './socket';
+import render from './renderer';
+
+/**
+ * Movement words and the move action they map to
+ * @type {Object}
+ */
+const DIRECTIONS = {
+    n: {grid: 'y', direction: -1},
+    north: {grid: 'y', direction: -1},
+    s: {grid: 'y', direction: 1},
+    south: {grid: 'y', direction: 1},
+    e: {grid: 'x', direction: 1},
+    east: {grid: 'x', direction: 1},
+    w: {grid: 'x', direction: -1},
+    west: {grid: 'x', direction: -1},
+};
+
+/**
+ * The default max length of a line, if not set in the config
+ * @type {Number}
+ */
+const MAX_LINE_LENGTH = 1024;
+
+/**
+ * Telnet Manager, a plain TCP line based gateway to the game
+ */
+export default class TelnetManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // the TCP server
+        this.server = null;
+
+        // log manager progress
+        this.Game.logger.debug('TelnetManager::constructor Loaded');
+    }
+
+    /**
+     * Starts listening for TCP connections, if enabled in the config
+     */
+    listen() {
+        const config = this.Game.config.telnet;
+
+        if (!config || !config.enabled) {
+            return;
+        }
+
+        this.server = net.createServer(this.onConnection.bind(this));
+        this.server.on('error', (err) => this.Game.onError(err));
+        this.server.listen(config.port);
+
+        console.log(`Telnet is listening on port ${config.port}`);
+    }
+
+    /**
+     * Handles new TCP connections
+     * @param  {net.Socket} connection The TCP connection
+     */
+    onConnection(connection) {
+        const socket = new TelnetSocket(this, connection);
+        const lines = readline.createInterface({
+            input: connection,
+            crlfDelay: Infinity,
+        });
+
+        const maxLineLength = this.Game.config.telnet.maxLineLength || MAX_LINE_LENGTH;
+        // the length of the line received so far, since the last line break
+        let lineLength = 0;
+
+        this.Game.socketManager.addGatewaySocket(socket);
+
+        // readline buffers everything up to the next line break, so clients sending overly long lines are dropped
+        connection.on('data', (chunk) => {
+            const lineBreak = chunk.lastIndexOf('\n');
+            lineLength = lineBreak === -1 ? lineLength + chunk.length : chunk.length - lineBreak - 1;
+
+            if (lineLength > maxLineLength) {
+                socket.drop(`Lines can be at most ${maxLineLength} characters long. Disconnecting.`);
+            }
+        });
+
+        lines.on('line', (line) => {
+            if (line.length > maxLineLength) {
+                return socket.drop(`Lines can be at most ${maxLineLength} characters long. Disconnecting.`);
+            }
+
+            try {
+                this.onLine(socket, line);
+            } catch (err) {
+                this.Game.onError(err, socket);
+            }
+        });
+
+        connection.on('error', (err) => this.Game.logger.info('Telnet connection error', {message: err.message}));
+        connection.on('close', () => {
+            lines.close();
+            this.Game.socketManager.removeGatewaySocket(socket);
+            this.Game.socketManager.onDisconnect(socket);
+        });
+
+        socket.write([
+            'Path To Power - Telnet Gateway',
+            'Authenticate with: login <auth token>',
+            'Your auth token is returned by the API when logging in (POST /api/auth).',
+            'Type "help" for a list of gateway commands.',
+        ].join('\n'));
+    }
+
+    /**
+     * Handles a line of text sent by the client
+     * @param  {TelnetSocket} socket The socket which sent the line
+     * @param  {String}       line   The line of text
+     */
+    onLine(socket, line) {
+        // strip telnet negotiation and other non-printable characters
+        line = line.replace(/[^\x20-\x7E]/g, '').trim();
+
+        if (!line) {
+            return;
+        }
+
+        const [word, ...rest] = line.split(' ');
+        const keyword = word.toLowerCase();
+
+        switch (keyword) {
+            case 'help':
+                return socket.write([
+                    'login <auth token>  Authenticate your account',
+                    'characters          List your characters',
+                    'n, s, e, w          Move north, south, east or west',
+                    'quit                Close the connection',
+                    'Anything else is sent as a game command, eg. "/say hello" or "say hello".',
+                    'For a list of game commands, type /help',
+                ].join('\n'));
+
+            case 'quit':
+                if (socket.user) {
+                    this.dispatch(socket, USER_LOGOUT, {});
+                }
+
+                return socket.disconnect();
+
+            case 'login':
+                return this.dispatch(socket, USER_AUTHENTICATE, rest.join(' ').trim());
+        }
+
+        if (!socket.user) {
+            return socket.write('You must authenticate first: login <auth token>');
+        }
+
+        if (keyword === 'characters') {
+            return this.dispatch(socket, CHARACTERS_GET_LIST, {});
+        }
+
+        if (DIRECTIONS[keyword] && !rest.length) {
+            return this.dispatch(socket, CHARACTER_MOVE, {...DIRECTIONS[keyword]});
+        }
+
+        // treat everything else as a command, adding the leading slash if omitted
+        this.dispatch(socket, COMMAND_CHAT_COMMAND, line[0] === '/' ? line : `/${line}`);
+    }
+
+    /**
+     * Dispatches an action from the socket, as if it came from a Socket.IO client
+     * @param  {TelnetSocket} socket  The socket dispatching the action
+     * @param  {String}       type    The action type
+     * @param  {Mixed}        payload The action payload
+     */
+    dispatch(socket, type, payload) {
+        this.Game.socketManager.onClientDispatch(socket, {
+            type,
+            payload,
+        });
+    }
+
+    /**
+     * Renders actions dispatched to a telnet socket
+     * @param  {TelnetSocket} socket The socket the action is dispatched to
+     * @param  {Object}       action Redux action object
+     */
+    onServerDispatch(socket, action) {
+        const output = render(action, socket.user, this.Game);
+
+        if (output) {
+            socket.write(output);
+        }
+    }
+}
@@ -0,0 +1,159 @@
+import chalk from 'chalk';
+import {
+    GAME_EVENT,
+    GAME_NEWS,
+    COMMAND_CHAT_MESSAGE,
+    USER_AUTHENTICATE_SUCCESS,
+    USER_AUTHENTICATE_ERROR,
+    CHARACTERS_LIST,
+    CHARACTER_CREATE_SUCCESS,
+    CHARACTER_CREATE_ERROR,
+    CHARACTER_LOGIN,
+    CHARACTER_REMOTE_LOGOUT,
+    MAP_GRID_DETAILS,
+} from 'shared/actionTypes';
+
+// force ANSI colours, regardless of the colour support of the server terminal
+const ansi = new chalk.constructor({enabled: true, level: 1});
+
+/**
+ * Colours used for the different event types
+ * @type {Object}
+ */
+const EVENT_COLOURS = {
+    error: ansi.red,
+    warning: ansi.yellow,
+    success: ansi.green,
+    info: ansi.white,
+    multiline: ansi.white,
+};
+
+/**
+ * Renders a game event
+ * @param  {Object} payload The event payload {type, message, ignore}
+ * @param  {Object} user    The socket user, if authenticated
+ * @return {String}
+ */
+function renderEvent(payload, user) {
+    if (typeof payload === 'string') {
+        payload = {
+            message: payload,
+        };
+    }
+
+    if (user && payload.ignore && payload.ignore.includes(user.user_id)) {
+        return null;
+    }
+
+    const colour = EVENT_COLOURS[payload.type] || ansi.white;
+    const message = Array.isArray(payload.message) ? payload.message.join('\n') : `${payload.message}`;
+
+    return colour(message);
+}
+
+/**
+ * Renders a chat message
+ * @param  {Object} payload The chat message payload {user_id, name, message, type}
+ * @return {String}
+ */
+function renderChatMessage(payload) {
+    switch (payload.type) {
+        case 'global':
+            return `${ansi.cyan('[Global]')} ${ansi.bold(payload.name)}: ${payload.message}`;
+        case 'faction':
+            return `${ansi.magenta('[Faction]')} ${payload.name ? `${ansi.bold(payload.name)}: ` : ''}${payload.message}`;
+        case 'whisper-in':
+            return ansi.magenta(`${payload.name} whispers: ${payload.message}`);
+        case 'whisper-out':
+            return ansi.magenta(`You whisper to ${payload.name}: ${payload.message}`);
+        default:
+            return `${ansi.bold(payload.name)} says: ${payload.message}`;
+    }
+}
+
+/**
+ * Renders the details of a grid
+ * @param  {Object} payload The grid details payload
+ * @param  {Game}   Game    The main Game object
+ * @return {String}
+ */
+function renderGrid(payload, Game) {
+    const gameMap = Game.mapManager.get(payload.location.map);
+    const lines = [
+        ansi.bold.yellow(`${gameMap ? gameMap.name : payload.location.map} (N${payload.location.y}, E${payload.location.x})`),
+        payload.description,
+    ];
+
+    if (payload.structures.length) {
+        lines.push(`${ansi.cyan('Buildings:')} ${payload.structures.map((obj) => obj.name).join(', ')}`);
+    }
+
+    if (payload.players.length) {
+        lines.push(`${ansi.green('Players:')} ${payload.players.map((obj) => obj.name).join(', ')}`);
+    }
+
+    if (payload.npcs.length) {
+        lines.push(`${ansi.red('NPCs:')} ${payload.npcs.map((obj) => `${obj.name} the ${obj.type}`).join(', ')}`);
+    }
+
+    if (payload.items.length) {
+        const items = payload.items.map((obj) => {
+            const template = Game.itemManager.getTemplate(obj.id);
+            return template ? template.name : obj.id;
+        });
+
+        lines.push(`${ansi.yellow('On the ground:')} ${items.join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Renders a redux action as ANSI coloured text
+ * @param  {Object} action The redux action dispatched to the socket
+ * @param  {Object} user   The socket user, if authenticated
+ * @param  {Game}   Game   The main Game object
+ * @return {String}        The text to output, or null if the action has no text representation
+ */
+export default function render(action, user, Game) {
+    switch (action.type) {
+        case GAME_EVENT:
+            return renderEvent(action.payload, user);
+
+        case GAME_NEWS:
+            return ansi.magenta(`[News] ${action.payload}`);
+
+        case COMMAND_CHAT_MESSAGE:
+            return renderChatMessage(action.payload);
+
+        case USER_AUTHENTICATE_SUCCESS:
+            return ansi.green('Authenticated. Type "characters" to list your characters and "/characterselect <name>" to play.');
+
+        case USER_AUTHENTICATE_ERROR:
+            return ansi.red(action.payload);
+
+        case CHARACTERS_LIST:
+            if (!action.payload.length) {
+                return ansi.yellow('You have no characters. Create one with "/charactercreate <name> <city>".');
+            }
+
+            return ['Your characters:'].concat(action.payload.map((obj) => `    ${obj.name}`)).join('\n');
+
+        case CHARACTER_CREATE_SUCCESS:
+            return ansi.green(`${action.payload.character.name} was created. Type "/characterselect ${action.payload.character.name}" to play.`);
+
+        case CHARACTER_CREATE_ERROR:
+            return ansi.red(action.payload.message);
+
+        case CHARACTER_LOGIN:
+            return ansi.green(`You are now playing as ${action.payload.character.name}.`);
+
+        case CHARACTER_REMOTE_LOGOUT:
+            return ansi.yellow('Your character was logged out.');
+
+        case MAP_GRID_DETAILS:
+            return renderGrid(action.payload, Game);
+    }
+
+    return null;
+}
@@ -0,0 +1,90 @@
+import uuid from 'uuid/v4';
+
+/**
+ * Telnet socket class, mimics the parts of a Socket.IO socket the game uses
+ */
+export default class TelnetSocket {
+    /**
+     * Class constructor
+     * @param  {TelnetManager} manager    The telnet manager
+     * @param  {net.Socket}    connection The TCP connection
+     */
+    constructor(manager, connection) {
+        this.manager = manager;
+        this.connection = connection;
+        this.id = uuid();
+        // set once the socket authenticates, same as Socket.IO sockets
+        this.user = null;
+        // the rooms the socket is a member of
+        this.rooms = [];
+    }
+
+    /**
+     * Sends an event to the client, only "dispatch" events are supported
+     * @param  {String} event  The event name
+     * @param  {Object} action Redux action object
+     */
+    emit(event, action) {
+        if (event !== 'dispatch') {
+            return;
+        }
+
+        this.manager.onServerDispatch(this, action);
+    }
+
+    /**
+     * Joins a room
+     * @param  {String} roomId Room ID to join
+     */
+    join(roomId) {
+        if (!this.rooms.includes(roomId)) {
+            this.rooms.push(roomId);
+        }
+    }
+
+    /**
+     * Leaves a room
+     * @param  {String} roomId Room ID to leave
+     */
+    leave(roomId) {
+        this.rooms = this.rooms.filter((room) => room !== roomId);
+    }
+
+    /**
+     * Checks if the socket is a member of a room
+     * @param  {String}  roomId Room ID
+     * @return {Boolean}
+     */
+    inRoom(roomId) {
+        return this.rooms.includes(roomId);
+    }
+
+    /**
+     * Writes text to the connection
+     * @param  {String} text The text to write
+     */
+    write(text) {
+        if (this.connection.destroyed) {
+            return;
+        }
+
+        this.connection.write(`${text.replace(/\r?\n/g, '\r\n')}\r\n`);
+    }
+
+    /**
+     * Closes the connection
+     */
+    disconnect() {
+        this.connection.end();
+    }
+
+    /**
+     * Closes the connection without waiting for the client, ignoring anything else it sends
+     * @param  {String} message The reason, sent to the client before closing
+     */
+    drop(message) {
+        this.write(message);
+        this.connection.pause();
+        this.connection.end(() => this.connection.destroy());
+    }
+}
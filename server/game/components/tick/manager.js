@@ -0,0 +1,252 @@
+import PriorityQueue from './queue';
+
+/**
+ * The length of a game tick, in milliseconds. Cooldowns are counted in ticks as well.
+ * @type {Number}
+ */
+export const TICK_LENGTH = 100;
+
+/**
+ * Tick Manager, runs the single game loop which all timed game logic (NPC actions, cooldowns,
+ * respawns, status effects, turf claims and the game timers, like new day) is scheduled on, so
+ * the world can be paused, or fast-forwarded, from here.
+ */
+export default class TickManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // the current game tick
+        this.tick = 0;
+        // the scheduled tasks, ordered by the tick they are due, then by when they were scheduled
+        this.queue = new PriorityQueue((a, b) => (a.tick - b.tick) || (a.id - b.id));
+        // the id of the next scheduled task
+        this.nextId = 1;
+        // number of scheduled tasks which are not cancelled
+        this.pending = 0;
+        // the game loop interval
+        this.timer = null;
+        // whether the game loop is paused
+        this.paused = false;
+        // loop statistics, for monitoring
+        this.stats = {
+            tasksRun: 0,
+            errors: 0,
+            lastTasks: 0,
+            lastDuration: 0,
+            totalDuration: 0,
+            maxDuration: 0,
+            overruns: 0,
+        };
+
+        this.onTick = this.onTick.bind(this);
+        this.onTaskError = this.onTaskError.bind(this);
+
+        // log manager progress
+        this.Game.logger.debug('TickManager::constructor Loaded');
+    }
+
+    /**
+     * Starts the game loop
+     */
+    init() {
+        this.start();
+        console.log('TICK MANAGER LOADED');
+    }
+
+    /**
+     * Starts the game loop interval, if not already running
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(this.onTick, TICK_LENGTH);
+    }
+
+    /**
+     * Stops the game loop interval. Scheduled tasks are kept.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Pauses the game world, no scheduled tasks are run until resumed.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resumes the game world
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Converts a duration into game ticks
+     * @param  {Number} ms Duration in milliseconds
+     * @return {Number}    Number of ticks, at least 1
+     */
+    toTicks(ms) {
+        return Math.max(1, Math.ceil(ms / TICK_LENGTH));
+    }
+
+    /**
+     * Schedules a task to run after the given delay
+     * @param  {Number}   delay    Delay in milliseconds, rounded up to whole ticks
+     * @param  {Function} callback The method to run
+     * @param  {Boolean}  repeat   Whether to keep running the task, every "delay" milliseconds
+     * @return {Object}            The task, pass it to cancel() to unschedule it
+     */
+    schedule(delay, callback, repeat = false) {
+        const ticks = this.toTicks(delay);
+        const task = {
+            id: this.nextId++,
+            tick: this.tick + ticks,
+            interval: repeat ? ticks : 0,
+            callback,
+            cancelled: false,
+        };
+
+        this.queue.push(task);
+        this.pending++;
+
+        return task;
+    }
+
+    /**
+     * Cancels a scheduled task
+     * @param  {Object} task The task returned by schedule()
+     */
+    cancel(task) {
+        if (!task || task.cancelled) {
+            return;
+        }
+
+        // the task is left in the queue, and skipped when its tick comes around
+        task.cancelled = true;
+        this.pending--;
+    }
+
+    /**
+     * Get the number of ticks until a task is due
+     * @param  {Object} task The task returned by schedule()
+     * @return {Number}
+     */
+    ticksLeft(task) {
+        if (!task || task.cancelled) {
+            return 0;
+        }
+
+        return Math.max(0, task.tick - this.tick);
+    }
+
+    /**
+     * Fast-forwards the game world, running all ticks in between at once
+     * @param  {Number} ticks Number of ticks to advance
+     */
+    advance(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            this.runTick();
+        }
+    }
+
+    /**
+     * Runs on each game loop interval
+     */
+    onTick() {
+        if (this.paused) {
+            return;
+        }
+
+        this.runTick();
+    }
+
+    /**
+     * Advances the game tick, and runs all tasks due
+     */
+    runTick() {
+        const started = process.hrtime();
+        let tasks = 0;
+
+        this.tick++;
+
+        while (this.queue.size && this.queue.peek().tick <= this.tick) {
+            const task = this.queue.pop();
+
+            if (task.cancelled) {
+                continue;
+            }
+
+            if (task.interval) {
+                task.tick = this.tick + task.interval;
+                this.queue.push(task);
+            } else {
+                // mark it as done, so cancelling it afterwards does nothing
+                task.cancelled = true;
+                this.pending--;
+            }
+
+            tasks++;
+
+            try {
+                // async tasks report their errors once they settle
+                Promise.resolve(task.callback()).catch(this.onTaskError);
+            } catch (err) {
+                this.onTaskError(err);
+            }
+        }
+
+        const [seconds, nanoseconds] = process.hrtime(started);
+        const duration = (seconds * 1000) + (nanoseconds / 1e6);
+
+        this.stats.tasksRun += tasks;
+        this.stats.lastTasks = tasks;
+        this.stats.lastDuration = duration;
+        this.stats.totalDuration += duration;
+        this.stats.maxDuration = Math.max(this.stats.maxDuration, duration);
+
+        if (duration > TICK_LENGTH) {
+            this.stats.overruns++;
+        }
+    }
+
+    /**
+     * Logs an error thrown, or rejected, by a scheduled task
+     * @param  {Error} err
+     */
+    onTaskError(err) {
+        this.stats.errors++;
+        this.Game.logger.error(err);
+    }
+
+    /**
+     * Get the game loop statistics
+     * @return {Object}
+     */
+    getStats() {
+        const round = (value) => Math.round(value * 1000) / 1000;
+
+        return {
+            tick: this.tick,
+            tickLength: TICK_LENGTH,
+            running: this.timer !== null,
+            paused: this.paused,
+            pending: this.pending,
+            tasksRun: this.stats.tasksRun,
+            errors: this.stats.errors,
+            lastTasks: this.stats.lastTasks,
+            lastDuration: round(this.stats.lastDuration),
+            averageDuration: round(this.tick ? this.stats.totalDuration / this.tick : 0),
+            maxDuration: round(this.stats.maxDuration),
+            overruns: this.stats.overruns,
+        };
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Priority queue (binary min-heap)
+ */
+export default class PriorityQueue {
+    /**
+     * class constructor
+     * @param  {Function} compare (a, b) => Number, negative if a should come out before b
+     */
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    /**
+     * The number of items in the queue
+     * @return {Number}
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Get the first item in the queue, without removing it
+     * @return {Mixed} The item, or undefined if the queue is empty
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    /**
+     * Adds an item to the queue
+     * @param  {Mixed} item
+     */
+    push(item) {
+        this.items.push(item);
+
+        // move the item up, until its parent comes before it
+        let index = this.items.length - 1;
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+
+            if (this.compare(this.items[index], this.items[parent]) >= 0) {
+                break;
+            }
+
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    /**
+     * Removes and returns the first item in the queue
+     * @return {Mixed} The item, or undefined if the queue is empty
+     */
+    pop() {
+        const first = this.items[0];
+        const last = this.items.pop();
+
+        if (!this.items.length) {
+            return first;
+        }
+
+        this.items[0] = last;
+
+        // move the last item down from the top, until both children come after it
+        let index = 0;
+
+        while (true) {
+            const left = (index * 2) + 1;
+            const right = left + 1;
+            let next = index;
+
+            if (left < this.items.length && this.compare(this.items[left], this.items[next]) < 0) {
+                next = left;
+            }
+
+            if (right < this.items.length && this.compare(this.items[right], this.items[next]) < 0) {
+                next = right;
+            }
+
+            if (next === index) {
+                break;
+            }
+
+            this.swap(index, next);
+            index = next;
+        }
+
+        return first;
+    }
+
+    /**
+     * Removes all items from the queue
+     */
+    clear() {
+        this.items = [];
+    }
+
+    /**
+     * Swaps two items in the heap
+     * @param  {Number} a Index of the first item
+     * @param  {Number} b Index of the second item
+     */
+    swap(a, b) {
+        const item = this.items[a];
+        this.items[a] = this.items[b];
+        this.items[b] = item;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Trade request/accept command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTradeWith(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+
+    if (Game.tradeManager.get(character)) {
+        return Game.eventToSocket(socket, 'error', 'You are already trading. Use /tradecancel to cancel your current trade.');
+    }
+
+    if (Game.tradeManager.get(target)) {
+        return Game.eventToSocket(socket, 'error', `${target.name} is already trading with someone else.`);
+    }
+
+    Game.tradeManager.request(character, target);
+}
+
+/**
+ * Trade offer item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTradeOffer(socket, character, command, params, cmdObject, Game) {
+    const trade = Game.tradeManager.get(character);
+
+    if (!trade) {
+        return Game.eventToSocket(socket, 'error', 'You are not trading with anyone.');
+    }
+
+    const error = trade.offerItem(character, params[0], params[1] || 1);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+
+    Game.tradeManager.updateClient(trade);
+}
+
+/**
+ * Trade remove item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTradeRemove(socket, character, command, params, cmdObject, Game) {
+    const trade = Game.tradeManager.get(character);
+
+    if (!trade) {
+        return Game.eventToSocket(socket, 'error', 'You are not trading with anyone.');
+    }
+
+    if (!trade.removeItem(character, params[0])) {
+        return Game.eventToSocket(socket, 'error', `You are not offering any ${params[0].name}.`);
+    }
+
+    Game.tradeManager.updateClient(trade);
+}
+
+/**
+ * Trade cash command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTradeCash(socket, character, command, params, cmdObject, Game) {
+    const trade = Game.tradeManager.get(character);
+
+    if (!trade) {
+        return Game.eventToSocket(socket, 'error', 'You are not trading with anyone.');
+    }
+
+    const error = trade.offerCash(character, params[0]);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+
+    Game.tradeManager.updateClient(trade);
+}
+
+/**
+ * Trade confirm command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdTradeConfirm(socket, character, command, params, cmdObject, Game) {
+    if (!Game.tradeManager.get(character)) {
+        return Game.eventToSocket(socket, 'error', 'You are not trading with anyone.');
+    }
+
+    try {
+        await Game.tradeManager.confirm(character);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Trade cancel command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTradeCancel(socket, character, command, params, cmdObject, Game) {
+    if (!Game.tradeManager.get(character)) {
+        return Game.eventToSocket(socket, 'error', 'You are not trading with anyone.');
+    }
+
+    Game.tradeManager.cancel(character);
+}
+
+module.exports = [
+    {
+        command: '/tradewith',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to trade with.',
+                rules: 'required|player:grid',
+            },
+        ],
+        description: 'Ask a player at your location to trade with you, or accept their trade request.',
+        method: cmdTradeWith,
+    },
+    {
+        command: '/tradeoffer',
+        aliases: [],
+        params: [
+            {
+                name: 'Item Name',
+                desc: 'The name of the item in your inventory to offer.',
+                rules: 'required|item:name',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of an item to offer (stackable items only).',
+                rules: 'integer|min:1',
+            },
+        ],
+        description: 'Add an item from your inventory to your trade offer.',
+        method: cmdTradeOffer,
+    },
+    {
+        command: '/traderemove',
+        aliases: [],
+        params: [
+            {
+                name: 'Item Name',
+                desc: 'The name of the item to remove from your offer.',
+                rules: 'required|item:name',
+            },
+        ],
+        description: 'Remove an item from your trade offer.',
+        method: cmdTradeRemove,
+    },
+    {
+        command: '/tradecash',
+        aliases: [],
+        params: [
+            {
+                name: 'Amount',
+                desc: 'The amount of cash you want to offer.',
+                rules: 'required|integer|min:0',
+            },
+        ],
+        description: 'Set the amount of cash in your trade offer.',
+        method: cmdTradeCash,
+    },
+    {
+        command: '/tradeconfirm',
+        aliases: [],
+        description: 'Confirm the current trade offers. The trade goes through once both players have confirmed.',
+        method: cmdTradeConfirm,
+    },
+    {
+        command: '/tradecancel',
+        aliases: [],
+        description: 'Cancel your current trade.',
+        method: cmdTradeCancel,
+    },
+];
@@ -0,0 +1,173 @@
+import {TRADE_UPDATE, TRADE_CLOSE} from 'shared/actionTypes';
+
+// manager specific imports
+import Trade from './object';
+import tradeCommands from './commands';
+
+/**
+ * Trade Manager
+ */
+export default class TradeManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // list of active trades
+        this.trades = [];
+        // outstanding trade requests, user_id of the requester => user_id of the requested
+        this.requests = {};
+
+        // log manager progress
+        this.Game.logger.debug('TradeManager::constructor Loaded');
+    }
+
+    /**
+     * Load all trade commands
+     */
+    init() {
+        this.Game.commandManager.registerManager(tradeCommands);
+        console.log('TRADE MANAGER LOADED');
+    }
+
+    /**
+     * Get the active trade of a character
+     * @param  {Character} character The character to check
+     * @return {Trade|null}
+     */
+    get(character) {
+        return this.trades.find((trade) => trade.isParty(character)) || null;
+    }
+
+    /**
+     * Requests a trade with another character, or accepts their request if they already sent one
+     * @param  {Character} character The character requesting the trade
+     * @param  {Character} target    The character to trade with
+     */
+    request(character, target) {
+        if (this.requests[target.user_id] === character.user_id) {
+            return this.start(target, character);
+        }
+
+        this.requests[character.user_id] = target.user_id;
+
+        this.Game.eventToUser(character.user_id, 'info', `You asked ${target.name} to trade with you.`);
+        this.Game.eventToUser(target.user_id, 'info', `${character.name} wants to trade with you. Type /tradewith ${character.name} to accept.`);
+    }
+
+    /**
+     * Opens a trade between two characters
+     * @param  {Character} initiator The character who requested the trade
+     * @param  {Character} target    The character who accepted the trade
+     */
+    start(initiator, target) {
+        delete this.requests[initiator.user_id];
+        delete this.requests[target.user_id];
+
+        const trade = new Trade(this.Game, initiator, target);
+        this.trades.push(trade);
+
+        this.Game.eventToUser(initiator.user_id, 'success', `${target.name} accepted your trade request.`);
+        this.Game.eventToUser(target.user_id, 'success', `You are now trading with ${initiator.name}.`);
+        this.updateClient(trade);
+    }
+
+    /**
+     * Sends the current state of the trade to both parties
+     * @param  {Trade} trade The trade to update
+     */
+    updateClient(trade) {
+        trade.getParties().forEach((character) => {
+            this.Game.socketManager.dispatchToUser(character.user_id, {
+                type: TRADE_UPDATE,
+                payload: trade.toClient(character),
+            });
+        });
+    }
+
+    /**
+     * Closes a trade, without exchanging anything
+     * @param  {Trade}  trade The trade to close
+     */
+    close(trade) {
+        this.trades = this.trades.filter((obj) => obj.id !== trade.id);
+
+        trade.getParties().forEach((character) => {
+            this.Game.socketManager.dispatchToUser(character.user_id, {
+                type: TRADE_CLOSE,
+                payload: trade.id,
+            });
+        });
+    }
+
+    /**
+     * Cancels the character's active trade and trade requests, letting the other party know why
+     * @param  {Character} character The character cancelling
+     * @param  {String}    reason    The reason given to the other party
+     */
+    cancel(character, reason = 'cancelled the trade') {
+        delete this.requests[character.user_id];
+
+        Object.keys(this.requests).forEach((user_id) => {
+            if (this.requests[user_id] === character.user_id) {
+                delete this.requests[user_id];
+            }
+        });
+
+        const trade = this.get(character);
+
+        if (!trade) {
+            return;
+        }
+
+        this.close(trade);
+
+        this.Game.eventToUser(character.user_id, 'warning', 'The trade was cancelled.');
+        this.Game.eventToUser(trade.getPartner(character).user_id, 'warning', `The trade was cancelled, as ${character.name} ${reason}.`);
+    }
+
+    /**
+     * Confirms the trade for the character, and exchanges the offers once both parties confirmed
+     * @param  {Character} character The character confirming
+     * @return {Promise}
+     */
+    async confirm(character) {
+        const trade = this.get(character);
+
+        trade.confirm(character);
+
+        if (!trade.isConfirmed()) {
+            this.Game.eventToUser(trade.getPartner(character).user_id, 'info', `${character.name} confirmed the trade.`);
+            return this.updateClient(trade);
+        }
+
+        const error = trade.validate();
+
+        if (error) {
+            trade.resetConfirmations();
+            trade.getParties().forEach((obj) => this.Game.eventToUser(obj.user_id, 'error', error));
+            return this.updateClient(trade);
+        }
+
+        // the exchange happens in one go, no one can change anything in between
+        trade.execute();
+        this.close(trade);
+
+        const parties = trade.getParties();
+
+        parties.forEach((obj) => {
+            this.Game.characterManager.updateClient(obj.user_id);
+            this.Game.eventToUser(obj.user_id, 'success', `The trade with ${trade.getPartner(obj).name} was completed.`);
+        });
+
+        // save both parties right away, so the exchange is not lost
+        await Promise.all(parties.map(async (obj) => {
+            try {
+                await this.Game.characterManager.save(obj.user_id);
+            } catch (err) {
+                this.Game.onError(err);
+            }
+        }));
+    }
+}
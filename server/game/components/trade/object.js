@@ -0,0 +1,289 @@
+import uuid from 'uuid/v4';
+
+/**
+ * Trade object class
+ */
+export default class Trade {
+    /**
+     * Class constructor
+     * @param  {Game}      Game      The main Game object
+     * @param  {Character} initiator The character who requested the trade
+     * @param  {Character} target    The character who accepted the trade
+     */
+    constructor(Game, initiator, target) {
+        this.Game = Game;
+        this.id = uuid();
+        // holds the offer of each of the two parties, by user_id
+        this.offers = {
+            [initiator.user_id]: this.newOffer(initiator),
+            [target.user_id]: this.newOffer(target),
+        };
+    }
+
+    /**
+     * Creates an empty offer for a party of the trade
+     * @param  {Character} character The character making the offer
+     * @return {Object}
+     */
+    newOffer(character) {
+        return {
+            character,
+            items: [],
+            cash: 0,
+            confirmed: false,
+        };
+    }
+
+    /**
+     * Whether the character is one of the parties of the trade
+     * @param  {Character} character The character to check
+     * @return {Boolean}
+     */
+    isParty(character) {
+        return this.offers[character.user_id] ? true : false;
+    }
+
+    /**
+     * Get the list of characters trading
+     * @return {Array}
+     */
+    getParties() {
+        return Object.keys(this.offers).map((user_id) => this.offers[user_id].character);
+    }
+
+    /**
+     * Get the offer of a character
+     * @param  {Character} character The character whos offer to get
+     * @return {Object}
+     */
+    getOffer(character) {
+        return this.offers[character.user_id];
+    }
+
+    /**
+     * Get the other party of the trade
+     * @param  {Character} character The character whos partner to get
+     * @return {Character}
+     */
+    getPartner(character) {
+        return this.getParties().find((obj) => obj.user_id !== character.user_id);
+    }
+
+    /**
+     * Any change to an offer voids the confirmations, so both parties confirm the final state
+     */
+    resetConfirmations() {
+        Object.keys(this.offers).forEach((user_id) => {
+            this.offers[user_id].confirmed = false;
+        });
+    }
+
+    /**
+     * Adds an inventory item to the character's offer
+     * @param  {Character} character The character making the offer
+     * @param  {Object}    template  The item template of the item to offer
+     * @param  {Number}    amount    The amount to offer (stackable items only)
+     * @return {String|null}         Error message, or null on success
+     */
+    offerItem(character, template, amount = 1) {
+        const offer = this.getOffer(character);
+
+        // find an unequipped item of the kind, which is not already on offer
+        const item = character.inventory.find((obj) => {
+            return obj.id === template.id &&
+                obj.inventorySlot.indexOf('inv-') === 0 &&
+                !offer.items.find((entry) => entry.item === obj);
+        });
+
+        if (!item) {
+            return `You do not have any (unequipped) ${template.name} left to offer.`;
+        }
+
+        if (!item.stats.stackable) {
+            amount = 1;
+        } else if (item.stats.durability < amount) {
+            return `You do not have ${amount}x ${item.name} to offer.`;
+        }
+
+        offer.items.push({item, amount});
+        this.resetConfirmations();
+
+        return null;
+    }
+
+    /**
+     * Removes an item from the character's offer
+     * @param  {Character} character The character changing the offer
+     * @param  {Object}    template  The item template of the item to remove
+     * @return {Boolean}             false if the item was not on offer
+     */
+    removeItem(character, template) {
+        const offer = this.getOffer(character);
+        const index = offer.items.findIndex((entry) => entry.item.id === template.id);
+
+        if (index === -1) {
+            return false;
+        }
+
+        offer.items.splice(index, 1);
+        this.resetConfirmations();
+
+        return true;
+    }
+
+    /**
+     * Sets the cash the character is offering
+     * @param  {Character} character The character changing the offer
+     * @param  {Number}    amount    The amount of cash
+     * @return {String|null}         Error message, or null on success
+     */
+    offerCash(character, amount) {
+        if (character.stats.money < amount) {
+            return 'You do not have that much cash on you.';
+        }
+
+        this.getOffer(character).cash = amount;
+        this.resetConfirmations();
+
+        return null;
+    }
+
+    /**
+     * Confirms the current state of the trade, for the character
+     * @param  {Character} character The character confirming
+     */
+    confirm(character) {
+        this.getOffer(character).confirmed = true;
+    }
+
+    /**
+     * Whether both parties have confirmed the current state of the trade
+     * @return {Boolean}
+     */
+    isConfirmed() {
+        return Object.keys(this.offers).every((user_id) => this.offers[user_id].confirmed);
+    }
+
+    /**
+     * Checks both offers can still be honoured, and that each party has room for what they receive
+     * @return {String|null} Error message, or null if the trade is valid
+     */
+    validate() {
+        const [first, second] = this.getParties();
+
+        if (first.getLocationId() !== second.getLocationId()) {
+            return 'You must both be at the same location to trade.';
+        }
+
+        for (const character of [first, second]) {
+            const offer = this.getOffer(character);
+            const incoming = this.getOffer(this.getPartner(character)).items;
+
+            if (character.stats.money < offer.cash) {
+                return `${character.name} no longer has the cash they offered.`;
+            }
+
+            const missing = offer.items.find((entry) => {
+                return !character.inventory.includes(entry.item) ||
+                    entry.item.inventorySlot.indexOf('inv-') !== 0 ||
+                    (entry.item.stats.stackable && entry.item.stats.durability < entry.amount);
+            });
+
+            if (missing) {
+                return `${character.name} no longer has the ${missing.item.name} they offered.`;
+            }
+
+            // items leaving the inventory in full frees up their slot for the incoming items
+            const freed = offer.items.filter((entry) => {
+                return !entry.item.stats.stackable || entry.amount >= entry.item.stats.durability;
+            }).length;
+
+            // every received item takes up its own inventory slot
+            if (character.inventorySpaceLeft() + freed < incoming.length) {
+                return `${character.name} does not have enough inventory space for the trade.`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Removes the offered items from the character's inventory, returning new item objects for the receiver
+     * @param  {Character} character The character giving the items
+     * @return {Array}               List of {item, amount}
+     */
+    takeItems(character) {
+        return this.getOffer(character).items.map((entry) => {
+            const {item, amount} = entry;
+
+            // only part of the stack changes hands
+            if (item.stats.stackable && amount < item.stats.durability) {
+                item.removeDurability(amount);
+                return {
+                    item: this.Game.itemManager.add(item.id, {durability: amount}),
+                    amount,
+                };
+            }
+
+            // the receiver gets a fresh copy, and the original is removed from the giver (and db)
+            this.Game.itemManager.remove(character, item);
+
+            return {
+                item: this.Game.itemManager.add(item.id, item.getModifiers()),
+                amount: item.stats.stackable ? amount : null,
+            };
+        });
+    }
+
+    /**
+     * Exchanges the offers between the two parties. Must be validated first.
+     */
+    execute() {
+        const [first, second] = this.getParties();
+        const firstOffer = this.getOffer(first);
+        const secondOffer = this.getOffer(second);
+
+        // take everything out of both inventories, before giving anything, so freed slots can be used
+        const toSecond = this.takeItems(first);
+        const toFirst = this.takeItems(second);
+
+        toSecond.forEach((entry) => second.giveItem(entry.item, entry.amount));
+        toFirst.forEach((entry) => first.giveItem(entry.item, entry.amount));
+
+        first.updateCash(secondOffer.cash - firstOffer.cash);
+        second.updateCash(firstOffer.cash - secondOffer.cash);
+    }
+
+    /**
+     * Exports an offer to a plain object, for the client
+     * @param  {Object} offer The offer to export
+     * @return {Object}
+     */
+    exportOffer(offer) {
+        return {
+            name: offer.character.name,
+            items: offer.items.map((entry) => {
+                return {
+                    id: entry.item.id,
+                    name: entry.item.name,
+                    amount: entry.amount,
+                };
+            }),
+            cash: offer.cash,
+            confirmed: offer.confirmed,
+        };
+    }
+
+    /**
+     * Exports the trade from the point of view of a character, for the client
+     * @param  {Character} character The character receiving the trade details
+     * @return {Object}
+     */
+    toClient(character) {
+        return {
+            id: this.id,
+            offer: this.exportOffer(this.getOffer(character)),
+            partner: this.exportOffer(this.getOffer(this.getPartner(character))),
+        };
+    }
+}
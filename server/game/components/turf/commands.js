@@ -0,0 +1,116 @@
+/**
+ * Turf overview command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTurf(socket, character, command, params, cmdObject, Game) {
+    const {map, x, y} = character.location;
+    const tab = '    ';
+    const owner = Game.turfManager.get(map, x, y);
+    const ownerFaction = owner ? Game.factionManager.get(owner.faction_id) : null;
+    let message = [
+        'TURF',
+        '--------------------',
+        `This grid is ${ownerFaction ? `controlled by ${ownerFaction.name} [${ownerFaction.tag}]` : 'not claimed by any faction'}.`,
+    ];
+
+    if (character.faction) {
+        const turf = Game.turfManager.getByFaction(character.faction.faction_id);
+
+        message.push(`${character.faction.name} controls ${turf.length} grid(s), earning ${turf.length * Game.config.game.turf.income} per day:`);
+        message = message.concat(turf.map((claim) => {
+            const district = Game.mapManager.getDistrict(claim.map, claim.x, claim.y);
+            return `${tab}${Game.mapManager.get(claim.map).name}${district ? `, ${district.name}` : ''}: N${claim.y} E${claim.x}`;
+        }));
+    }
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        message,
+    );
+}
+
+/**
+ * Turf claim command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTurfClaim(socket, character, command, params, cmdObject, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    const error = Game.turfManager.claim(character);
+
+    if (error) {
+        return Game.eventToSocket(socket, 'error', error);
+    }
+}
+
+/**
+ * Turf abandon command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdTurfAbandon(socket, character, command, params, cmdObject, Game) {
+    const {map, x, y} = character.location;
+
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    const owner = Game.turfManager.get(map, x, y);
+
+    if (!owner || owner.faction_id !== character.faction.faction_id) {
+        return Game.eventToSocket(socket, 'error', 'Your faction does not control this turf.');
+    }
+
+    try {
+        await Game.turfManager.release(map, x, y);
+        Game.eventToSocket(socket, 'success', 'Your faction gave up its claim on this turf.');
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+module.exports = [
+    {
+        command: '/turf',
+        aliases: [],
+        allowInJail: true,
+        description: 'Shows who controls the grid you are on, and the turf controlled by your faction.',
+        method: cmdTurf,
+    },
+    {
+        command: '/turfclaim',
+        aliases: [],
+        description: 'Claim the grid you are on for your faction. You have to hold the grid for a while, and turf of a rival faction can only be taken once its defenders on the grid are defeated.',
+        method: cmdTurfClaim,
+    },
+    {
+        command: '/turfabandon',
+        aliases: [],
+        description: 'Give up your faction\'s claim on the grid you are on. Leader only.',
+        method: cmdTurfAbandon,
+    },
+];
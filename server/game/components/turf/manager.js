@@ -0,0 +1,286 @@
+import {MAP_TURF} from 'shared/actionTypes';
+import {addNews} from '../../actions';
+import repositories from '../repository';
+import turfCommands from './commands';
+
+/**
+ * Turf Manager
+ */
+export default class TurfManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // claimed grids, by grid ID (populated at runtime)
+        this.turf = {};
+        // claims in progress, by grid ID
+        this.claims = {};
+
+        // log manager progress
+        this.Game.logger.debug('TurfManager::constructor Loaded');
+    }
+
+    /**
+     * Load all claimed turf, and register commands
+     * @return {Promise}
+     */
+    async init() {
+        this.Game.commandManager.registerManager(turfCommands);
+
+        const turf = await repositories.turf.find({});
+
+        if (turf) {
+            turf.forEach((claim) => {
+                const {map, x, y, faction_id} = claim.toObject();
+
+                // skip turf of factions which no longer exist
+                if (this.Game.factionManager.get(faction_id)) {
+                    this.turf[`${map}_${y}_${x}`] = {map, x, y, faction_id};
+                }
+            });
+        }
+
+        console.log('TURF MANAGER LOADED');
+    }
+
+    /**
+     * Get the claim on a grid, if any
+     * @param  {String} map Map ID
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null} The claim {map, x, y, faction_id}
+     */
+    get(map, x, y) {
+        return this.turf[`${map}_${y}_${x}`] || null;
+    }
+
+    /**
+     * Get all grids claimed by a faction
+     * @param  {String} factionId The faction ID
+     * @return {Array}
+     */
+    getByFaction(factionId) {
+        return Object.values(this.turf).filter((claim) => claim.faction_id === factionId);
+    }
+
+    /**
+     * Get the online members of a faction, present on a grid
+     * @param  {String} factionId The faction ID
+     * @param  {String} map       Map ID
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Array}            List of characters
+     */
+    getDefenders(factionId, map, x, y) {
+        return this.Game.characterManager.getLocationList(map, x, y)
+            .filter((character) => character.faction && character.faction.faction_id === factionId);
+    }
+
+    /**
+     * Starts claiming the grid the character is on for their faction. The character has to hold
+     * the grid for the claim time, and a rival claim can only be contested once its defenders are defeated.
+     * @param  {Character} character The character claiming the grid
+     * @return {String|null}         Error message, or null if the claim was started
+     */
+    claim(character) {
+        const {map, x, y} = character.location;
+        const gridId = `${map}_${y}_${x}`;
+        const faction = character.faction;
+        const owner = this.get(map, x, y);
+
+        if (owner && owner.faction_id === faction.faction_id) {
+            return 'Your faction already controls this turf.';
+        }
+
+        if (this.claims[gridId]) {
+            return 'Someone is already trying to claim this turf.';
+        }
+
+        if (owner && this.getDefenders(owner.faction_id, map, x, y).length) {
+            return 'You have to defeat the defenders of this turf, before you can claim it.';
+        }
+
+        const claimTime = this.Game.config.game.turf.claimTime;
+
+        this.claims[gridId] = {
+            map,
+            x,
+            y,
+            faction_id: faction.faction_id,
+            user_id: character.user_id,
+            timer: this.Game.tickManager.schedule(claimTime * 1000, () => this.completeClaim(gridId)),
+        };
+
+        // warn the owners their turf is being contested
+        if (owner) {
+            this.Game.factionManager.get(owner.faction_id).notify(`${faction.name} is trying to take your turf at N${y} E${x} in ${this.Game.mapManager.get(map).name}!`);
+        }
+
+        this.Game.eventToRoom(character.getLocationId(), 'warning', `${character.name} is claiming this turf for ${faction.name}.`, [character.user_id]);
+        this.Game.eventToUser(character.user_id, 'info', `You start claiming this turf for ${faction.name}. Hold the grid for ${claimTime} seconds.`);
+
+        return null;
+    }
+
+    /**
+     * Completes a claim in progress, if the claimer is still holding the grid and no defenders showed up
+     * @param  {String} gridId The grid ID of the claim
+     * @return {Promise}
+     */
+    async completeClaim(gridId) {
+        const claim = this.claims[gridId];
+        const {map, x, y} = claim;
+        delete this.claims[gridId];
+
+        const character = this.Game.characterManager.get(claim.user_id);
+        const faction = this.Game.factionManager.get(claim.faction_id);
+
+        if (!character || !faction || !character.faction || character.faction.faction_id !== faction.faction_id) {
+            return;
+        }
+
+        if (character.getLocationId() !== gridId) {
+            return this.Game.eventToUser(character.user_id, 'warning', 'You left the turf, and failed to claim it.');
+        }
+
+        const owner = this.get(map, x, y);
+
+        if (owner && this.getDefenders(owner.faction_id, map, x, y).length) {
+            return this.Game.eventToUser(character.user_id, 'warning', 'The defenders of the turf are still present, and you failed to claim it.');
+        }
+
+        try {
+            await this.setOwner(map, x, y, faction.faction_id);
+        } catch (err) {
+            return this.Game.onError(err);
+        }
+
+        const mapName = this.Game.mapManager.get(map).name;
+
+        const rival = owner ? this.Game.factionManager.get(owner.faction_id) : null;
+
+        if (rival) {
+            rival.notify(`You lost your turf at N${y} E${x} in ${mapName} to ${faction.name}.`);
+            this.Game.socketManager.dispatchToRoom('game', addNews(`${faction.name} took a piece of ${rival.name} turf in ${mapName}.`));
+        }
+
+        faction.notify(`${character.name} claimed the turf at N${y} E${x} in ${mapName}.`);
+    }
+
+    /**
+     * Sets the owner of a grid, and updates the clients' maps
+     * @param  {String} map       Map ID
+     * @param  {Number} x
+     * @param  {Number} y
+     * @param  {String} factionId The faction ID of the new owner
+     * @return {Promise}
+     */
+    async setOwner(map, x, y, factionId) {
+        await repositories.turf.delete({map, x, y});
+        await repositories.turf.save(repositories.turf.create({map, x, y, faction_id: factionId}));
+
+        this.turf[`${map}_${y}_${x}`] = {map, x, y, faction_id: factionId};
+        this.updateClients(map);
+    }
+
+    /**
+     * Gives up a grid claimed by a faction
+     * @param  {String} map Map ID
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Promise}
+     */
+    async release(map, x, y) {
+        delete this.turf[`${map}_${y}_${x}`];
+        this.updateClients(map);
+
+        await repositories.turf.delete({map, x, y});
+    }
+
+    /**
+     * Removes all turf of a faction, eg. when it is disbanded
+     * @param  {String} factionId The faction ID
+     * @return {Promise}
+     */
+    async removeFaction(factionId) {
+        const maps = [];
+
+        this.getByFaction(factionId).forEach((claim) => {
+            delete this.turf[`${claim.map}_${claim.y}_${claim.x}`];
+
+            if (!maps.includes(claim.map)) {
+                maps.push(claim.map);
+            }
+        });
+
+        maps.forEach((map) => this.updateClients(map));
+
+        await repositories.turf.delete({faction_id: factionId});
+    }
+
+    /**
+     * Pays out the passive income of all turf to the faction banks, run on the newday timer
+     * @return {Promise}
+     */
+    async payIncome() {
+        const income = this.Game.config.game.turf.income;
+
+        await Promise.all(this.Game.factionManager.factions.map(async (faction) => {
+            const grids = this.getByFaction(faction.faction_id).length;
+
+            if (!grids) {
+                return;
+            }
+
+            faction.bank += grids * income;
+            faction.notify(`Your ${grids} turf grid(s) earned ${grids * income} for the faction bank.`);
+
+            try {
+                await this.Game.factionManager.save(faction);
+            } catch (err) {
+                this.Game.onError(err);
+            }
+        }));
+    }
+
+    /**
+     * Get the claimed turf of a map, for the client map
+     * @param  {String} mapId Map ID
+     * @return {Array}
+     */
+    getMapData(mapId) {
+        return Object.values(this.turf)
+            .filter((claim) => claim.map === mapId)
+            .map((claim) => {
+                const faction = this.Game.factionManager.get(claim.faction_id);
+
+                return {
+                    faction: faction ? {
+                        tag: faction.tag,
+                        name: faction.name,
+                        faction_id: faction.faction_id,
+                    } : null,
+                    location: {
+                        x: claim.x,
+                        y: claim.y,
+                    },
+                };
+            });
+    }
+
+    /**
+     * Sends the claimed turf of a map to all clients
+     * @param  {String} mapId Map ID
+     */
+    updateClients(mapId) {
+        this.Game.socketManager.dispatchToRoom('game', {
+            type: MAP_TURF,
+            payload: {
+                map: mapId,
+                turf: this.getMapData(mapId),
+            },
+        });
+    }
+}
@@ -0,0 +1,37 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const TurfSchema = new mongoose.Schema({
+    map: {
+        type: String,
+        required: true,
+    },
+    x: {
+        type: Number,
+        required: true,
+    },
+    y: {
+        type: Number,
+        required: true,
+    },
+    faction_id: {
+        type: String,
+        required: true,
+    },
+    date_added: String,
+});
+
+// Execute before each user.save() call
+TurfSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Turf', TurfSchema);
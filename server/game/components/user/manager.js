@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import moment from 'moment';
 
 // user specific imports
 import {
@@ -7,7 +8,7 @@ import {
     USER_AUTHENTICATE_SUCCESS,
 } from 'shared/actionTypes';
 
-import UserModel from '../../api/models/user';
+import repositories from '../repository';
 
 /**
  * Account manager class
@@ -62,7 +63,10 @@ export default class UserManager {
             let user_id;
 
             try {
-                user = await UserModel.findOneAsync({_id: escape(decoded._id), session_token: escape(decoded.session_token)}, {_id: 1});
+                user = await repositories.users.findOne(
+                    {_id: escape(decoded._id), session_token: escape(decoded.session_token)},
+                    {_id: 1, role: 1, banned_until: 1, ban_reason: 1, muted_until: 1}
+                );
 
                 if (!user) {
                     return this.Game.socketManager.dispatchToSocket(socket, {
@@ -71,6 +75,13 @@ export default class UserManager {
                     });
                 }
 
+                if (user.banned_until > Date.now()) {
+                    return this.Game.socketManager.dispatchToSocket(socket, {
+                        type: USER_AUTHENTICATE_ERROR,
+                        payload: `Your account is banned until ${moment(user.banned_until).format('ddd, D MMM YYYY H:mm')}${user.ban_reason ? `. Reason: ${user.ban_reason}` : ''}`,
+                    });
+                }
+
                 user_id = user._id.toString();
             } catch (err) {
                 this.Game.onError(err, socket);
@@ -86,6 +97,8 @@ export default class UserManager {
             // add the authenticated use to the socket object
             socket.user = {
                 user_id,
+                role: user.role || 'user',
+                muted_until: user.muted_until || 0,
             };
 
             // add the socket to the list of active clients
@@ -105,4 +118,25 @@ export default class UserManager {
             });
         });
     }
+
+    /**
+     * Get the number of milliseconds left of an account's mute, if any
+     * @param  {String} user_id The user ID of the account
+     * @return {Number}         Milliseconds left, 0 if not muted
+     */
+    getMuteTimeLeft(user_id) {
+        let socket;
+
+        try {
+            socket = this.Game.socketManager.get(user_id);
+        } catch (err) {
+            return 0;
+        }
+
+        if (!socket.user || !socket.user.muted_until) {
+            return 0;
+        }
+
+        return Math.max(0, socket.user.muted_until - Date.now());
+    }
 }
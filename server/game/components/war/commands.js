@@ -0,0 +1,195 @@
+/**
+ * Checks the character is the leader of a faction, and whether their faction is at war with the rival faction
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {Character}        character The character using the command
+ * @param  {Faction}          rival     The rival faction
+ * @param  {Game}             Game      The main Game object
+ * @return {Object|null}                The war, or null if there is none (an error is sent)
+ */
+function getLeaderWar(socket, character, rival, Game) {
+    // make sure they are in a faction
+    if (!character.faction) {
+        Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+        return null;
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+        return null;
+    }
+
+    const war = Game.warManager.get(character.faction.faction_id, rival.faction_id);
+
+    if (!war) {
+        Game.eventToSocket(socket, 'error', `Your faction is not at war with ${rival.name}.`);
+        return null;
+    }
+
+    return war;
+}
+
+/**
+ * Faction war declaration command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionWar(socket, character, command, params, cmdObject, Game) {
+    const rival = params[0];
+
+    // make sure they are in a faction
+    if (!character.faction) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a faction.');
+    }
+
+    // make sure they are the leader
+    if (character.faction.leader_id !== character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You are not the leader of your faction.');
+    }
+
+    if (rival.faction_id === character.faction.faction_id) {
+        return Game.eventToSocket(socket, 'error', 'You cannot declare war on your own faction.');
+    }
+
+    if (character.faction.isAlliedWith(rival.faction_id)) {
+        return Game.eventToSocket(socket, 'error', `Your faction is allied with ${rival.name}. Break the alliance first with /factionunally.`);
+    }
+
+    if (Game.warManager.get(character.faction.faction_id, rival.faction_id)) {
+        return Game.eventToSocket(socket, 'error', `Your faction is already at war with ${rival.name}.`);
+    }
+
+    try {
+        await Game.warManager.declare(character.faction, rival);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction war scoreboard command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdFactionWars(socket, character, command, params, cmdObject, Game) {
+    const list = Game.warManager.getScoreboard();
+
+    Game.eventToUser(
+        character.user_id,
+        'multiline',
+        [
+            'FACTION WARS',
+            '--------------------',
+            ...(list.length ? list : ['There are no ongoing wars.']),
+        ],
+    );
+}
+
+/**
+ * Faction war surrender command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionSurrender(socket, character, command, params, cmdObject, Game) {
+    const war = getLeaderWar(socket, character, params[0], Game);
+
+    if (!war) {
+        return;
+    }
+
+    try {
+        await Game.warManager.surrender(war, character.faction);
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+/**
+ * Faction peace treaty command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+async function cmdFactionTreaty(socket, character, command, params, cmdObject, Game) {
+    const rival = params[0];
+    const war = getLeaderWar(socket, character, rival, Game);
+
+    if (!war) {
+        return;
+    }
+
+    try {
+        const ended = await Game.warManager.acceptTreaty(war, character.faction);
+
+        if (!ended) {
+            Game.eventToSocket(socket, 'success', `You offered a peace treaty to ${rival.name}. The war ends once their leader accepts it.`);
+            Game.eventToUser(rival.leader_id, 'info', `${character.faction.name} offered your faction a peace treaty. Type /factiontreaty ${character.faction.name} to accept it.`);
+        }
+    } catch (err) {
+        Game.onError(err, socket);
+    }
+}
+
+module.exports = [
+    {
+        command: '/factionwar',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction you want to declare war on.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Declare war on another faction. Kills between the factions are scored, and cost no reputation. Leader only.',
+        method: cmdFactionWar,
+    },
+    {
+        command: '/factionwars',
+        aliases: [],
+        allowInJail: true,
+        description: 'Shows the scoreboard of all ongoing faction wars.',
+        method: cmdFactionWars,
+    },
+    {
+        command: '/factionsurrender',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction you want to surrender to.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Surrender a war to another faction, ending it immediately. Leader only.',
+        method: cmdFactionSurrender,
+    },
+    {
+        command: '/factiontreaty',
+        aliases: [],
+        params: [
+            {
+                name: 'Faction Name',
+                desc: 'The name of the faction you are at war with.',
+                rules: 'required|faction',
+            },
+        ],
+        description: 'Offer or accept a peace treaty in a war. The war ends once both leaders accept. Leader only.',
+        method: cmdFactionTreaty,
+    },
+];
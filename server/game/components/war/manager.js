@@ -0,0 +1,238 @@
+import uuid from 'uuid/v4';
+import {addNews} from '../../actions';
+import repositories from '../repository';
+import warCommands from './commands';
+
+/**
+ * War Manager
+ */
+export default class WarManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // list of all ongoing faction wars (populated at runtime)
+        this.wars = [];
+
+        // log manager progress
+        this.Game.logger.debug('WarManager::constructor Loaded');
+    }
+
+    /**
+     * Load all ongoing wars, and register commands
+     * @return {Promise}
+     */
+    async init() {
+        this.Game.commandManager.registerManager(warCommands);
+
+        const wars = await repositories.wars.find({});
+
+        if (wars) {
+            this.wars = wars.map((war) => war.toObject());
+        }
+
+        console.log('WAR MANAGER LOADED');
+    }
+
+    /**
+     * Get the ongoing war between two factions, if any
+     * @param  {String} factionId The faction ID of one side
+     * @param  {String} rivalId   The faction ID of the other side
+     * @return {Object|null}
+     */
+    get(factionId, rivalId) {
+        return this.wars.find((war) => {
+            return (war.attacker_id === factionId && war.defender_id === rivalId) ||
+                (war.attacker_id === rivalId && war.defender_id === factionId);
+        }) || null;
+    }
+
+    /**
+     * Get all ongoing wars of a faction
+     * @param  {String} factionId The faction ID
+     * @return {Array}
+     */
+    getByFaction(factionId) {
+        return this.wars.filter((war) => war.attacker_id === factionId || war.defender_id === factionId);
+    }
+
+    /**
+     * Get the war between the factions of two characters, if they are at war
+     * @param  {Character} character The first character
+     * @param  {Character} rival     The second character
+     * @return {Object|null}
+     */
+    getBetween(character, rival) {
+        if (!character.faction || !rival || !rival.faction) {
+            return null;
+        }
+
+        return this.get(character.faction.faction_id, rival.faction.faction_id);
+    }
+
+    /**
+     * Declares war on another faction
+     * @param  {Faction} faction The declaring faction
+     * @param  {Faction} rival   The faction war is declared on
+     * @return {Promise}
+     */
+    async declare(faction, rival) {
+        const war = {
+            war_id: uuid(),
+            attacker_id: faction.faction_id,
+            defender_id: rival.faction_id,
+            scores: {
+                [faction.faction_id]: 0,
+                [rival.faction_id]: 0,
+            },
+            treaty: [],
+            expires: Date.now() + (this.Game.config.game.war.duration * 1000),
+        };
+
+        await repositories.wars.save(repositories.wars.create(war));
+        this.wars.push(war);
+
+        this.Game.socketManager.dispatchToRoom('game', addNews(`${faction.name} has declared war on ${rival.name}!`));
+    }
+
+    /**
+     * Scores a kill, if the killer and the killed character's factions are at war
+     * @param  {Character} character The killed character
+     * @param  {Character} killer    The killer
+     * @return {Promise}
+     */
+    async onKill(character, killer) {
+        const war = this.getBetween(killer, character);
+
+        if (!war) {
+            return;
+        }
+
+        war.scores[killer.faction.faction_id]++;
+
+        killer.faction.notify(`${killer.name} killed ${character.name} of ${character.faction.name}. ${this.getScore(war)}`);
+        character.faction.notify(`${character.name} was killed by ${killer.name} of ${killer.faction.name}. ${this.getScore(war)}`);
+
+        try {
+            await repositories.wars.update({war_id: war.war_id}, {$set: {scores: war.scores}});
+        } catch (err) {
+            this.Game.onError(err);
+        }
+    }
+
+    /**
+     * Accepts a peace treaty on behalf of a faction. The war ends once both sides accepted.
+     * @param  {Object}  war       The war
+     * @param  {Faction} faction   The accepting faction
+     * @return {Promise}           Resolves true if the war ended
+     */
+    async acceptTreaty(war, faction) {
+        if (!war.treaty.includes(faction.faction_id)) {
+            war.treaty.push(faction.faction_id);
+        }
+
+        if (war.treaty.length < 2) {
+            await repositories.wars.update({war_id: war.war_id}, {$set: {treaty: war.treaty}});
+            return false;
+        }
+
+        await this.end(war, `The war between ${this.getName(war.attacker_id)} and ${this.getName(war.defender_id)} ended in a peace treaty. ${this.getScore(war)}`);
+        return true;
+    }
+
+    /**
+     * Ends a war with the surrender of a faction
+     * @param  {Object}  war     The war
+     * @param  {Faction} faction The surrendering faction
+     * @return {Promise}
+     */
+    surrender(war, faction) {
+        const winnerId = war.attacker_id === faction.faction_id ? war.defender_id : war.attacker_id;
+
+        return this.end(war, `${faction.name} surrendered to ${this.getName(winnerId)}. ${this.getScore(war)}`);
+    }
+
+    /**
+     * Ends all wars which ran out of time, run on the war timer
+     * @return {Promise}
+     */
+    async expireAll() {
+        const now = Date.now();
+        const expired = this.wars.filter((war) => war.expires <= now);
+
+        await Promise.all(expired.map(async (war) => {
+            const attackerScore = war.scores[war.attacker_id];
+            const defenderScore = war.scores[war.defender_id];
+            let result = 'ended in a draw';
+
+            if (attackerScore !== defenderScore) {
+                result = `was won by ${this.getName(attackerScore > defenderScore ? war.attacker_id : war.defender_id)}`;
+            }
+
+            try {
+                await this.end(war, `The war between ${this.getName(war.attacker_id)} and ${this.getName(war.defender_id)} ${result}. ${this.getScore(war)}`);
+            } catch (err) {
+                this.Game.onError(err);
+            }
+        }));
+    }
+
+    /**
+     * Ends a war, and posts the result to the news
+     * @param  {Object} war    The war
+     * @param  {String} result The news message with the result
+     * @return {Promise}
+     */
+    async end(war, result) {
+        this.wars = this.wars.filter((obj) => obj !== war);
+
+        this.Game.socketManager.dispatchToRoom('game', addNews(result));
+
+        await repositories.wars.delete({war_id: war.war_id});
+    }
+
+    /**
+     * Ends all wars of a faction without a result, eg. when it is disbanded
+     * @param  {String} factionId The faction ID
+     * @return {Promise}
+     */
+    async removeFaction(factionId) {
+        const wars = this.getByFaction(factionId);
+
+        this.wars = this.wars.filter((war) => !wars.includes(war));
+
+        await repositories.wars.delete({war_id: {$in: wars.map((war) => war.war_id)}});
+    }
+
+    /**
+     * Get the name of a faction, by ID
+     * @param  {String} factionId The faction ID
+     * @return {String}
+     */
+    getName(factionId) {
+        const faction = this.Game.factionManager.get(factionId);
+        return faction ? faction.name : 'Unknown';
+    }
+
+    /**
+     * Generates the score line of a war
+     * @param  {Object} war The war
+     * @return {String}
+     */
+    getScore(war) {
+        return `Score: ${this.getName(war.attacker_id)} ${war.scores[war.attacker_id]} - ${war.scores[war.defender_id]} ${this.getName(war.defender_id)}`;
+    }
+
+    /**
+     * Generates the war scoreboard, of all ongoing wars
+     * @return {Array} List of lines
+     */
+    getScoreboard() {
+        return this.wars.map((war) => {
+            const hoursLeft = Math.max(0, Math.ceil((war.expires - Date.now()) / 3600000));
+            return `${this.getScore(war)} (${hoursLeft} hour(s) left)`;
+        });
+    }
+}
@@ -0,0 +1,45 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const WarSchema = new mongoose.Schema({
+    war_id: {
+        type: String,
+        unique: true,
+    },
+    attacker_id: {
+        type: String,
+        required: true,
+    },
+    defender_id: {
+        type: String,
+        required: true,
+    },
+    scores: {
+        type: {},
+        default: {},
+    },
+    treaty: {
+        type: Array,
+        default: [],
+    },
+    expires: {
+        type: Number,
+        required: true,
+    },
+    date_added: String,
+});
+
+// Execute before each user.save() call
+WarSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('War', WarSchema);
@@ -0,0 +1,187 @@
+import repositories from '../repository';
+
+/**
+ * World Manager
+ */
+export default class WorldManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // the ID of the snapshot document
+        this.worldId = 'snapshot';
+
+        // log manager progress
+        this.Game.logger.debug('WorldManager::constructor Loaded');
+    }
+
+    /**
+     * Restores the last saved world snapshot, if there is one.
+     * Has to run once the maps, NPCs and shops are loaded.
+     * @return {Promise}
+     */
+    async init() {
+        const snapshot = await repositories.world.findOne({world_id: this.worldId});
+
+        if (snapshot) {
+            this.restore(snapshot.toObject());
+        }
+
+        console.log('WORLD MANAGER LOADED');
+    }
+
+    /**
+     * Generates a plain object snapshot of the world state
+     * @return {Object}
+     */
+    getSnapshot() {
+        const items = [];
+        const prices = {};
+
+        // items on the ground, the grid ID is "map_y_x"
+        Object.keys(this.Game.itemManager.dropped_items).forEach((gridId) => {
+            const parts = gridId.split('_');
+            const x = parts.pop();
+            const y = parts.pop();
+            const map = parts.join('_');
+
+            this.Game.itemManager.dropped_items[gridId].forEach((item) => {
+                items.push({
+                    map,
+                    x: parseInt(x, 10),
+                    y: parseInt(y, 10),
+                    id: item.id,
+                    modifiers: item.getModifiers(),
+                });
+            });
+        });
+
+        // the shuffled prices of the item templates
+        Object.keys(this.Game.itemManager.templates).forEach((itemId) => {
+            const template = this.Game.itemManager.templates[itemId];
+
+            if (template.stats.priceRange) {
+                prices[itemId] = template.stats.price;
+            }
+        });
+
+        // shops and NPCs get new IDs on every boot, but are always loaded in the same order,
+        // so they are matched by their position in the list and their template ID.
+        const shops = this.Game.shopManager.shops.map((shop) => {
+            return {
+                id: shop.id,
+                sell: shop.sell.enabled ? shop.sell.list.map((item) => {
+                    return {
+                        id: item.id,
+                        shopQuantity: item.shopQuantity,
+                        expRequired: item.expRequired,
+                    };
+                }) : null,
+            };
+        });
+
+        const npcs = this.Game.npcManager.npcs.map((NPC) => {
+            return {
+                npc_id: NPC.npc_id,
+                dead: NPC.dead,
+                name: NPC.name,
+                gender: NPC.gender,
+                health: NPC.stats.health,
+                location: {...NPC.location},
+            };
+        });
+
+        return {items, prices, shops, npcs};
+    }
+
+    /**
+     * Saves a snapshot of the world state, run on the worldsave timer and on shutdown
+     * @return {Promise}
+     */
+    async save() {
+        const snapshot = this.getSnapshot();
+        let world = await repositories.world.findOne({world_id: this.worldId});
+
+        if (!world) {
+            world = repositories.world.create({world_id: this.worldId});
+        }
+
+        Object.assign(world, snapshot);
+
+        await repositories.world.save(world);
+        this.Game.logger.info(`World snapshot saved. ${snapshot.items.length} ground items, ${snapshot.shops.length} shops, ${snapshot.npcs.length} NPCs`);
+    }
+
+    /**
+     * Restores the world state from a snapshot
+     * @param  {Object} snapshot The plain snapshot object
+     */
+    restore(snapshot) {
+        const {itemManager, shopManager, npcManager, mapManager} = this.Game;
+
+        // restore the item prices
+        Object.keys(snapshot.prices || {}).forEach((itemId) => {
+            const template = itemManager.getTemplate(itemId);
+
+            if (template) {
+                template.stats.price = snapshot.prices[itemId];
+            }
+        });
+
+        // restore the items on the ground
+        (snapshot.items || []).forEach((itemData) => {
+            const item = itemManager.add(itemData.id, itemData.modifiers);
+
+            if (item) {
+                itemManager.drop(itemData.map, itemData.x, itemData.y, item);
+            }
+        });
+
+        // restore the shop stock
+        (snapshot.shops || []).forEach((shopData, index) => {
+            const shop = shopManager.shops[index];
+
+            if (!shop || shop.id !== shopData.id || !shop.sell.enabled || !shopData.sell) {
+                return;
+            }
+
+            shop.sell.list = shopData.sell
+                .map((itemData) => {
+                    const item = itemManager.add(itemData.id);
+
+                    if (!item) {
+                        return null;
+                    }
+
+                    item.shopQuantity = itemData.shopQuantity;
+                    item.expRequired = itemData.expRequired || 0;
+
+                    return item;
+                })
+                .filter((item) => item);
+        });
+
+        // restore the NPC positions and health. Dead NPCs are left to the fresh spawn.
+        (snapshot.npcs || []).forEach((npcData, index) => {
+            const NPC = npcManager.npcs[index];
+
+            if (!NPC || NPC.npc_id !== npcData.npc_id || npcData.dead) {
+                return;
+            }
+
+            const gameMap = mapManager.get(npcData.location.map);
+
+            if (gameMap && gameMap.isPassable(npcData.location.x, npcData.location.y, true)) {
+                NPC.updateLocation(gameMap.id, npcData.location.x, npcData.location.y);
+            }
+
+            NPC.name = npcData.name;
+            NPC.gender = npcData.gender;
+            NPC.stats.health = Math.min(npcData.health, NPC.stats.health_max || npcData.health);
+        });
+
+        this.Game.logger.info(`World snapshot restored from ${snapshot.date_updated}`);
+    }
+}
@@ -0,0 +1,44 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const WorldSchema = new mongoose.Schema({
+    world_id: {
+        type: String,
+        unique: true,
+    },
+    items: {
+        type: Array,
+        default: [],
+    },
+    shops: {
+        type: Array,
+        default: [],
+    },
+    prices: {
+        type: {},
+        default: {},
+    },
+    npcs: {
+        type: Array,
+        default: [],
+    },
+    date_updated: String,
+    date_added: String,
+});
+
+// Execute before each user.save() call
+WorldSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    this.date_updated = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('World', WorldSchema);
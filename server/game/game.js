@@ -15,7 +15,19 @@ import AbilityManager from './components/ability/manager';
 import SkillManager from './components/skill/manager';
 import CooldownManager from './components/cooldown/manager';
 import NpcManager from './components/npc/manager';
+import HeatManager from './components/heat/manager';
+import JailManager from './components/jail/manager';
+import TradeManager from './components/trade/manager';
+import BountyManager from './components/bounty/manager';
+import QuestManager from './components/quest/manager';
+import TurfManager from './components/turf/manager';
+import WarManager from './components/war/manager';
+import WorldManager from './components/world/manager';
+import RandomManager from './components/random/manager';
+import TickManager from './components/tick/manager';
 import EffectManager from './components/effect/manager';
+import AdminManager from './components/admin/manager';
+import TelnetManager from './components/telnet/manager';
 
 import {newEvent, addNews} from './actions';
 
@@ -47,6 +59,8 @@ class Game {
         this.timers = [];
 
         // Manager placeholders
+        this.randomManager = new RandomManager(this);
+        this.tickManager = new TickManager(this);
         this.socketManager = new SocketManager(this, server);
         this.userManager = new UserManager(this);
         this.characterManager = new CharacterManager(this);
@@ -60,7 +74,17 @@ class Game {
         this.skillManager = new SkillManager(this);
         this.cooldownManager = new CooldownManager(this);
         this.npcManager = new NpcManager(this);
+        this.heatManager = new HeatManager(this);
+        this.jailManager = new JailManager(this);
+        this.tradeManager = new TradeManager(this);
+        this.bountyManager = new BountyManager(this);
+        this.questManager = new QuestManager(this);
+        this.turfManager = new TurfManager(this);
+        this.warManager = new WarManager(this);
+        this.worldManager = new WorldManager(this);
         this.effectManager = new EffectManager(this);
+        this.adminManager = new AdminManager(this);
+        this.telnetManager = new TelnetManager(this);
 
         if (autoInit) {
             // load game data
@@ -70,12 +94,14 @@ class Game {
 
     /**
      * Init the game server managers
+     * @param  {Boolean} listen Whether to start listening for connections (off for the simulation harness)
      */
-    async init() {
+    async init(listen = true) {
         // set the current server revision/version
         // TODO: Before 0.1.0 is released - implement husky package and auto bump version on push.
         this.version = child_process.execSync('git rev-parse --short=7 HEAD').toString().trim();
 
+        this.randomManager.init();
         await this.itemManager.init();
         await this.mapManager.init();
         await this.factionManager.init();
@@ -84,12 +110,27 @@ class Game {
         await this.commandManager.init();
         await this.characterManager.init();
         await this.skillManager.init();
+        await this.tradeManager.init();
+        await this.bountyManager.init();
+        await this.questManager.init();
+        await this.turfManager.init();
+        await this.warManager.init();
+        await this.worldManager.init();
+        await this.adminManager.init();
+
+        // start the game loop
+        this.tickManager.init();
 
         // setup autosave
         this.setupGameTimers();
 
+        if (!listen) {
+            return;
+        }
+
         // Listen for connections
         this.socketManager.listen();
+        this.telnetManager.listen();
     }
 
     /**
@@ -107,7 +148,21 @@ class Game {
             case 'newday':
                 // NOTE: if you want to add anything to the "new day" timer, do it here
                 await this.shopManager.resupplyAll();
+                await this.turfManager.payIncome();
                 this.socketManager.dispatchToRoom('game', addNews('The sun rises once again, and wave of new drugs flood the streets.'));
+                break;
+
+            case 'heat':
+                return this.heatManager.decayAll();
+
+            case 'bounty':
+                return this.bountyManager.expireAll();
+
+            case 'war':
+                return this.warManager.expireAll();
+
+            case 'worldsave':
+                return this.worldManager.save();
        }
     }
 
@@ -137,7 +192,7 @@ class Game {
         this.timers = this.config.game.timers.filter((timer) => timer.enabled).map((timer) => {
             return {
                 name: timer.name,
-                timer: setInterval(this.onTimer.bind(this), timer.interval, timer.name),
+                timer: this.tickManager.schedule(timer.interval, () => this.onTimer(timer.name), true),
             };
         });
     }
@@ -210,8 +265,15 @@ class Game {
      * Will run when the server receives a SIGTERM signal/is told to shut down.
      * @param {function} callback Will execute when done.
      */
-    shutdown() {
-        this.Game.logger.info('Received shutdown signal, Running shutdown procedure');
+    async shutdown() {
+        this.logger.info('Received shutdown signal, Running shutdown procedure');
+
+        try {
+            await this.worldManager.save();
+        } catch (err) {
+            this.onError(err);
+        }
+
         return this.characterManager.saveAll();
     }
 }
@@ -1,16 +1,17 @@
 /**
  * Generates a random value between min and max
- * @param  {Number} min
- * @param  {Number} max
+ * @param  {Number}   min
+ * @param  {Number}   max
+ * @param  {Function} random Returns a number from 0 to 1 (exclusive), eg. a stream of the RandomManager
  * @return {Number}
  */
-export function dice(min, max) {
+export function dice(min, max, random = Math.random) {
     if (isNaN(parseInt(min)) || isNaN(parseInt(max))) {
         return 0;
     }
 
     const result = Math.floor(
-        (Math.random() * (
+        (random() * (
             Math.max(min, max) - Math.min(min, max)
         )) + Math.min(min, max)
     );
@@ -76,3 +77,26 @@ export function findObjectInArray(list, compareProperty = 'name', searchString)
 export function formatNumberDecimal(number) {
     return Math.max(0, Math.round(number * 100) / 100);
 }
+
+/**
+ * Converts a duration string (eg. 30s, 15m, 12h or 7d) to milliseconds.
+ * A number without a unit is treated as minutes.
+ * @param  {String} duration The duration string
+ * @return {Number}          The duration in milliseconds, or null if invalid
+ */
+export function parseDuration(duration) {
+    const match = `${duration}`.trim().toLowerCase().match(/^(\d+)(s|m|h|d)?$/);
+
+    if (!match) {
+        return null;
+    }
+
+    const units = {
+        s: 1000,
+        m: 60000,
+        h: 3600000,
+        d: 86400000,
+    };
+
+    return parseInt(match[1], 10) * units[match[2] || 'm'];
+}
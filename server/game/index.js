@@ -10,12 +10,11 @@ import https from 'https';
 
 // 3rd party
 import express from 'express';
-import mongoose from 'mongoose';
-import Promise from 'bluebird';
 
 // Custom
 import API from './api';
 import Logger from './components/logger';
+import {connect, disconnect} from './components/repository';
 
 /************************************
  *            FILE CHECK            *
@@ -41,9 +40,8 @@ let config = require(`${__dirname}/../config.json`);
 const Game = require('./game').Game;
 const app = express();
 
-// Connect to the MongoDB
-Promise.promisifyAll(mongoose);
-mongoose.connect(config.mongo_db).then(
+// Connect to the storage (MongoDB, or in-memory when set in the config)
+connect(config).then(
     () => {
         let webServer;
 
@@ -78,6 +76,7 @@ mongoose.connect(config.mongo_db).then(
         // On shutdown signal, gracefully shutdown the game server.
         process.on('SIGTERM', async function() {
             await GameServer.shutdown();
+            await disconnect();
             process.exit();
         });
     },
@@ -0,0 +1,188 @@
+import uuid from 'uuid/v4';
+import {
+    GAME_EVENT,
+    CHARACTER_MOVE,
+    COMMAND_CHAT_COMMAND,
+} from 'shared/actionTypes';
+
+/**
+ * Movement directions and the move action they map to
+ * @type {Object}
+ */
+const DIRECTIONS = {
+    north: {grid: 'y', direction: -1},
+    south: {grid: 'y', direction: 1},
+    east: {grid: 'x', direction: 1},
+    west: {grid: 'x', direction: -1},
+};
+
+/**
+ * Simulated client, mimics the parts of a Socket.IO socket the game uses and
+ * records every action dispatched to it
+ */
+export default class SimClient {
+    /**
+     * Class constructor
+     * @param  {Simulation} simulation The simulation the client is connected to
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.id = uuid();
+        // set once the socket authenticates, same as Socket.IO sockets
+        this.user = null;
+        // the rooms the socket is a member of
+        this.rooms = [];
+        // every action dispatched to the client
+        this.actions = [];
+    }
+
+    /**
+     * The logged in character of the client, if any
+     * @return {Character|null}
+     */
+    get character() {
+        return this.user ? this.simulation.Game.characterManager.get(this.user.user_id) : null;
+    }
+
+    /**
+     * Receives an event from the server, only "dispatch" events are recorded
+     * @param  {String} event  The event name
+     * @param  {Object} action Redux action object
+     */
+    emit(event, action) {
+        if (event !== 'dispatch') {
+            return;
+        }
+
+        this.actions.push(action);
+    }
+
+    /**
+     * Joins a room
+     * @param  {String} roomId Room ID to join
+     */
+    join(roomId) {
+        if (!this.rooms.includes(roomId)) {
+            this.rooms.push(roomId);
+        }
+    }
+
+    /**
+     * Leaves a room
+     * @param  {String} roomId Room ID to leave
+     */
+    leave(roomId) {
+        this.rooms = this.rooms.filter((room) => room !== roomId);
+    }
+
+    /**
+     * Checks if the socket is a member of a room
+     * @param  {String}  roomId Room ID
+     * @return {Boolean}
+     */
+    inRoom(roomId) {
+        return this.rooms.includes(roomId);
+    }
+
+    /**
+     * Dispatches an action to the server, as a real client would, and waits for it to be handled
+     * @param  {String} type    The action type
+     * @param  {Mixed}  payload The action payload
+     * @return {Promise}
+     */
+    dispatch(type, payload) {
+        this.simulation.Game.socketManager.onClientDispatch(this, {
+            type,
+            payload,
+        });
+
+        return this.simulation.flush();
+    }
+
+    /**
+     * Sends a chat command, eg. "/say hello"
+     * @param  {String} command The command
+     * @return {Promise}
+     */
+    command(command) {
+        return this.dispatch(COMMAND_CHAT_COMMAND, command);
+    }
+
+    /**
+     * Moves the character one grid
+     * @param  {String} direction north, south, east or west
+     * @return {Promise}
+     */
+    move(direction) {
+        if (!DIRECTIONS[direction]) {
+            throw new Error(`Invalid direction "${direction}"`);
+        }
+
+        return this.dispatch(CHARACTER_MOVE, {...DIRECTIONS[direction]});
+    }
+
+    /**
+     * Get the payloads of the received actions of a type
+     * @param  {String} type The action type
+     * @return {Array}
+     */
+    received(type) {
+        return this.actions.filter((action) => action.type === type).map((action) => action.payload);
+    }
+
+    /**
+     * Get the received game events, skipping the ones the client should ignore
+     * @param  {String} type The event type (eg. error, info), leave out for all
+     * @return {Array}       List of {type, message}
+     */
+    events(type = null) {
+        return this.received(GAME_EVENT).filter((event) => {
+            if (type && event.type !== type) {
+                return false;
+            }
+
+            return !this.user || !event.ignore || !event.ignore.includes(this.user.user_id);
+        });
+    }
+
+    /**
+     * Get the messages of the received game events. Multiline messages are joined.
+     * @param  {String} type The event type (eg. error, info), leave out for all
+     * @return {Array}       List of strings
+     */
+    messages(type = null) {
+        return this.events(type).map((event) => {
+            return Array.isArray(event.message) ? event.message.join('\n') : event.message;
+        });
+    }
+
+    /**
+     * Checks if a game event containing the text (or matching the regular expression) was received
+     * @param  {String|RegExp} match The text or expression
+     * @param  {String}        type  The event type (eg. error, info), leave out for all
+     * @return {Boolean}
+     */
+    hasMessage(match, type = null) {
+        return this.messages(type).some((message) => {
+            return match instanceof RegExp ? match.test(message) : message.includes(match);
+        });
+    }
+
+    /**
+     * Forgets all received actions
+     */
+    clear() {
+        this.actions = [];
+    }
+
+    /**
+     * Disconnects the client, as if the connection was closed
+     * @return {Promise}
+     */
+    disconnect() {
+        this.simulation.Game.socketManager.removeGatewaySocket(this);
+        this.simulation.Game.socketManager.onDisconnect(this);
+
+        return this.simulation.flush();
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Deterministic clock for the simulation harness. Once installed, it replaces the
+ * global timers and Date, so time only moves when the clock is advanced.
+ */
+export default class SimClock {
+    /**
+     * class constructor
+     * @param  {Number} now The time to start the clock at, in milliseconds
+     */
+    constructor(now = Date.UTC(2018, 0, 1)) {
+        this.now = now;
+        // pending timers, {id, callback, args, at, delay, repeat}
+        this.timers = [];
+        this.nextId = 1;
+        // the real globals, while installed
+        this.originals = null;
+    }
+
+    /**
+     * Replaces the global timers and Date with the simulated ones
+     */
+    install() {
+        if (this.originals) {
+            return;
+        }
+
+        const clock = this;
+        const RealDate = global.Date;
+
+        this.originals = {
+            setTimeout: global.setTimeout,
+            setInterval: global.setInterval,
+            clearTimeout: global.clearTimeout,
+            clearInterval: global.clearInterval,
+            Date: RealDate,
+        };
+
+        global.setTimeout = (callback, delay, ...args) => this.add(callback, delay, args, false);
+        global.setInterval = (callback, delay, ...args) => this.add(callback, delay, args, true);
+        global.clearTimeout = (timer) => this.remove(timer);
+        global.clearInterval = (timer) => this.remove(timer);
+
+        /**
+         * Date, defaulting to the simulated time
+         */
+        class SimDate extends RealDate {
+            /**
+             * class constructor
+             * @param  {Mixed} args Same as Date
+             */
+            constructor(...args) {
+                if (args.length) {
+                    super(...args);
+                } else {
+                    super(clock.now);
+                }
+            }
+
+            /**
+             * The simulated time
+             * @return {Number}
+             */
+            static now() {
+                return clock.now;
+            }
+        }
+
+        global.Date = SimDate;
+    }
+
+    /**
+     * Restores the real global timers and Date
+     */
+    uninstall() {
+        if (!this.originals) {
+            return;
+        }
+
+        Object.assign(global, this.originals);
+        this.originals = null;
+    }
+
+    /**
+     * Schedules a timer
+     * @param  {Function} callback The function to call
+     * @param  {Number}   delay    Milliseconds until it is called
+     * @param  {Array}    args     Arguments for the callback
+     * @param  {Boolean}  repeat   Whether it is an interval
+     * @return {Object}            The timer, mimics the parts of a Node.js timer used by the game
+     */
+    add(callback, delay, args, repeat) {
+        delay = Math.max(0, parseInt(delay, 10) || 0);
+
+        const timer = {
+            id: this.nextId++,
+            callback,
+            args,
+            at: this.now + delay,
+            delay,
+            repeat,
+            ref: () => timer,
+            unref: () => timer,
+        };
+
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Cancels a timer
+     * @param  {Object} timer The timer returned by setTimeout/setInterval
+     */
+    remove(timer) {
+        this.timers = this.timers.filter((obj) => obj !== timer);
+    }
+
+    /**
+     * Get the next timer due at or before the given time
+     * @param  {Number} time
+     * @return {Object|null}
+     */
+    getNext(time) {
+        let next = null;
+
+        this.timers.forEach((timer) => {
+            if (timer.at <= time && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) {
+                next = timer;
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Moves time forward, running all timers due on the way, in order
+     * @param  {Number}   ms    Milliseconds to advance
+     * @param  {Function} flush Called after each timer, to let any async work it started settle
+     * @return {Promise}
+     */
+    async advance(ms, flush) {
+        const target = this.now + ms;
+        let timer = this.getNext(target);
+
+        while (timer) {
+            this.now = timer.at;
+
+            if (timer.repeat) {
+                timer.at += Math.max(1, timer.delay);
+            } else {
+                this.remove(timer);
+            }
+
+            timer.callback(...timer.args);
+            await flush();
+
+            timer = this.getNext(target);
+        }
+
+        this.now = target;
+        await flush();
+    }
+
+    /**
+     * Cancels all pending timers
+     */
+    reset() {
+        this.timers = [];
+    }
+}
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import {USER_AUTHENTICATE} from 'shared/actionTypes';
+
+import {Game} from '../game';
+import repositories, {connect, disconnect} from '../components/repository';
+import SimClock from './clock';
+import SimRandom from './random';
+import SimClient from './client';
+
+// captured before the clock is installed, so flushing never depends on the simulated time
+const realSetImmediate = setImmediate;
+
+/**
+ * Headless simulation of the game server. Boots the Game object with in-memory storage,
+ * a deterministic clock and seeded randomness, and lets simulated clients log in,
+ * issue commands and inspect the actions dispatched to them.
+ *
+ * Usage:
+ *     const sim = new Simulation({seed: 42});
+ *     await sim.start();
+ *     const client = await sim.login('Tester');
+ *     await client.command('/say hello');
+ *     await sim.advance(60000);
+ *     client.received(COMMAND_CHAT_MESSAGE);
+ *     client.events('error'); // the GAME_EVENT payloads of the type
+ *     await sim.stop();
+ */
+export default class Simulation {
+    /**
+     * class constructor
+     * @param  {Object} options seed: the random seed, now: the start time (ms),
+     *                          config: overrides merged into the server config.
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 1,
+            now: Date.UTC(2018, 0, 1),
+            config: {},
+            ...options,
+        };
+
+        this.clock = new SimClock(this.options.now);
+        this.random = new SimRandom(this.options.seed);
+        this.config = this.loadConfig(this.options.config);
+        // errors logged by the game, so scenarios can assert there were none
+        this.errors = [];
+        this.logger = this.createLogger();
+        // the connected simulated clients
+        this.clients = [];
+        this.Game = null;
+    }
+
+    /**
+     * Loads the server config, with storage in memory, the network gateways off and the simulation seed
+     * @param  {Object} overrides Config values to override
+     * @return {Object}
+     */
+    loadConfig(overrides) {
+        const file = fs.existsSync(`${__dirname}/../../config.json`) ? 'config.json' : 'config.sample.json';
+        const config = JSON.parse(fs.readFileSync(`${__dirname}/../../${file}`, 'utf8'));
+
+        const merged = {
+            ...config,
+            ...overrides,
+            storage: {driver: 'memory', file: '', interval: 1000},
+            telnet: {...config.telnet, enabled: false},
+        };
+
+        merged.game = {...merged.game, random: {seed: this.options.seed}};
+        return merged;
+    }
+
+    /**
+     * Creates a quiet logger, which only keeps the errors
+     * @return {Object} Mimics the Logger component
+     */
+    createLogger() {
+        const noop = () => {};
+
+        return {
+            debug: noop,
+            info: noop,
+            warn: noop,
+            error: (...args) => this.errors.push(args.length > 1 ? args : args[0]),
+            custom: () => noop,
+        };
+    }
+
+    /**
+     * Installs the clock and randomness, and boots the game
+     * @return {Promise}
+     */
+    async start() {
+        // the game requires the same signing secret as the API, for authentication
+        process.env.SIGNING_SECRET = process.env.SIGNING_SECRET || 'simulation';
+
+        this.clock.install();
+        this.random.install();
+
+        await connect(this.config);
+
+        this.Game = new Game(null, this.config, this.logger, false);
+        await this.Game.init(false);
+
+        await this.flush();
+        return this.Game;
+    }
+
+    /**
+     * Stops the game timers, and restores the real clock and randomness
+     * @return {Promise}
+     */
+    async stop() {
+        if (this.Game) {
+            this.Game.timers.forEach((timer) => this.Game.tickManager.cancel(timer.timer));
+            this.Game.tickManager.stop();
+        }
+
+        this.clock.reset();
+        this.clock.uninstall();
+        this.random.uninstall();
+
+        await disconnect();
+    }
+
+    /**
+     * Lets any pending promises and callbacks settle
+     * @param  {Number} rounds How many event loop rounds to wait
+     * @return {Promise}
+     */
+    async flush(rounds = 20) {
+        for (let i = 0; i < rounds; i++) {
+            await new Promise((resolve) => realSetImmediate(resolve));
+        }
+    }
+
+    /**
+     * Moves the simulated time forward, running all timers due on the way
+     * @param  {Number} ms Milliseconds to advance
+     * @return {Promise}
+     */
+    advance(ms) {
+        return this.clock.advance(ms, () => this.flush());
+    }
+
+    /**
+     * Connects a new simulated client, and authenticates it as a new user
+     * @return {Promise} Resolves the client
+     */
+    async connect() {
+        const user = await repositories.users.save(repositories.users.create({
+            email: `user${this.clients.length + 1}@simulation.local`,
+            activated: true,
+        }));
+
+        const client = new SimClient(this);
+        this.clients.push(client);
+        this.Game.socketManager.addGatewaySocket(client);
+
+        const token = jwt.sign({
+            _id: user._id.toString(),
+            session_token: user.session_token,
+            identity: null,
+        }, process.env.SIGNING_SECRET, {expiresIn: '1h'});
+
+        await client.dispatch(USER_AUTHENTICATE, token);
+
+        if (!client.user) {
+            throw new Error('The simulated client failed to authenticate');
+        }
+
+        return client;
+    }
+
+    /**
+     * Connects a new simulated client, and creates and logs in a character for it
+     * @param  {String} name  The character name
+     * @param  {String} mapId The map to create the character on, defaults to the first map
+     * @return {Promise}      Resolves the client
+     */
+    async login(name, mapId = null) {
+        const client = await this.connect();
+
+        mapId = mapId || Object.keys(this.Game.mapManager.maps)[0];
+
+        await client.command(`/charactercreate ${name} ${mapId}`);
+        await client.command(`/characterselect ${name}`);
+
+        if (!client.character) {
+            throw new Error(`The character "${name}" failed to log in`);
+        }
+
+        return client;
+    }
+}
@@ -0,0 +1,41 @@
+import RandomStream from '../components/random/object';
+
+/**
+ * Seeded replacement for Math.random. Gameplay randomness is seeded through the RandomManager,
+ * this covers anything else, so a simulation plays out the same way on every run.
+ */
+export default class SimRandom {
+    /**
+     * class constructor
+     * @param  {Number} seed The seed of the sequence
+     */
+    constructor(seed = 1) {
+        this.stream = new RandomStream(seed);
+        // the real Math.random, while installed
+        this.original = null;
+    }
+
+    /**
+     * Replaces Math.random with the seeded sequence
+     */
+    install() {
+        if (this.original) {
+            return;
+        }
+
+        this.original = Math.random;
+        Math.random = this.stream.random;
+    }
+
+    /**
+     * Restores the real Math.random
+     */
+    uninstall() {
+        if (!this.original) {
+            return;
+        }
+
+        Math.random = this.original;
+        this.original = null;
+    }
+}
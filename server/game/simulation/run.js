@@ -0,0 +1,65 @@
+// Required for compiling
+require('babel-core/register');
+require('babel-polyfill');
+
+import fs from 'fs';
+import path from 'path';
+import Simulation from './index';
+
+/**
+ * Runs the simulation scenarios in game/simulation/scenarios, or the ones named on the command line.
+ * Each scenario module exports {name, seed, run(sim)}, and fails by throwing (eg. a failed assertion),
+ * or if the game logged any errors while it ran.
+ *
+ * Usage: npm run simulate [-- scenario ...]
+ */
+const scenarioDir = path.join(__dirname, 'scenarios');
+
+/**
+ * Runs a scenario in a fresh simulation
+ * @param  {Object} scenario The scenario module
+ * @return {Promise}
+ */
+async function runScenario(scenario) {
+    const sim = new Simulation({seed: scenario.seed || 1});
+
+    try {
+        await sim.start();
+        await scenario.run(sim);
+
+        if (sim.errors.length) {
+            throw new Error(`The game logged ${sim.errors.length} error(s): ${sim.errors.map((err) => err.stack || err).join('\n')}`);
+        }
+    } finally {
+        await sim.stop();
+    }
+}
+
+/**
+ * Runs the scenarios, and exits with code 1 if any of them failed
+ */
+async function main() {
+    const names = process.argv.slice(2);
+    const files = fs.readdirSync(scenarioDir)
+        .filter((file) => file.endsWith('.js'))
+        .filter((file) => !names.length || names.includes(path.basename(file, '.js')));
+    let failed = 0;
+
+    for (let file of files) {
+        const scenario = require(path.join(scenarioDir, file)).default;
+
+        try {
+            await runScenario(scenario);
+            console.log(`PASS ${file}: ${scenario.name}`);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL ${file}: ${scenario.name}`);
+            console.log(err.stack || err);
+        }
+    }
+
+    console.log(`${files.length - failed}/${files.length} scenario(s) passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
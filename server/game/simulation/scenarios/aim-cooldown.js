@@ -0,0 +1,38 @@
+import assert from 'assert';
+import {CHARACTER_UPDATE} from 'shared/actionTypes';
+
+export default {
+    name: 'Taking aim starts the aim cooldown',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const shooter = await sim.login('Shooter');
+        const first = await sim.login('First');
+        const second = await sim.login('Second');
+
+        first.character.location = {...shooter.character.location};
+        second.character.location = {...shooter.character.location};
+
+        const targetOf = (client) => client.character.target && client.character.target.user_id;
+
+        await shooter.command('/aim first');
+        assert.strictEqual(targetOf(shooter), first.character.user_id, 'The character did not take aim');
+
+        // the cooldown runs from the moment of the aim, and is sent to the client for the cooldown bar
+        const ticks = Game.cooldownManager.ticksLeft(shooter.character, 'aim');
+        await sim.advance(100);
+        assert.ok(ticks > 0 && Game.cooldownManager.ticksLeft(shooter.character, 'aim') < ticks, 'The aim cooldown did not start');
+
+        const update = shooter.received(CHARACTER_UPDATE).filter((payload) => payload.cooldowns).pop();
+        assert.ok(update && update.cooldowns.some((cooldown) => cooldown.action === 'aim'), 'The aim cooldown was not sent to the client');
+
+        // changing target straight away is held back by the cooldown
+        await shooter.command('/aim second');
+        assert.strictEqual(targetOf(shooter), first.character.user_id, 'The character changed target during the aim cooldown');
+        assert.ok(shooter.hasMessage('You cannot change target so quickly', 'error'), 'The character was not told about the cooldown');
+
+        await sim.advance(Game.config.game.cooldowns.aim * 1000);
+        await shooter.command('/aim second');
+        assert.strictEqual(targetOf(shooter), second.character.user_id, 'The character could not change target after the cooldown');
+    },
+};
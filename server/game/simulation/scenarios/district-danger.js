@@ -0,0 +1,36 @@
+import assert from 'assert';
+
+export default {
+    name: 'Crimes in dangerous districts draw less heat',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const character = (await sim.login('Dealer')).character;
+        const gameMap = Game.mapManager.get(character.location.map);
+        const districts = [...gameMap.districts].sort((a, b) => (a.danger || 0) - (b.danger || 0));
+        const safest = districts[0];
+        const roughest = districts[districts.length - 1];
+
+        assert.ok((roughest.danger || 0) > (safest.danger || 0), 'The map has no districts of different danger');
+
+        const heatIn = (district) => {
+            const position = gameMap.districtPositions[district.id][0];
+
+            character.location = {map: gameMap.id, ...position};
+            character.stats.heat = 0;
+            Game.heatManager.add(character, 10);
+
+            return Game.heatManager.get(character);
+        };
+
+        const reduction = Game.config.game.heat.dangerReduction;
+
+        assert.strictEqual(heatIn(safest), Math.round(10 * (1 - ((safest.danger || 0) * reduction))), 'The heat gained did not follow the district danger');
+        assert.strictEqual(heatIn(roughest), Math.round(10 * (1 - (roughest.danger * reduction))), 'The heat gained did not follow the district danger');
+        assert.ok(heatIn(roughest) < heatIn(safest), 'A crime in a dangerous district drew as much heat as in a safe one');
+
+        // configs without the danger reduction keep the full heat
+        delete Game.config.game.heat.dangerReduction;
+        assert.strictEqual(heatIn(roughest), 10, 'The heat gained without a danger reduction set was not the full amount');
+    },
+};
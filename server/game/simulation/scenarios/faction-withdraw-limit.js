@@ -0,0 +1,33 @@
+import assert from 'assert';
+
+export default {
+    name: 'Faction withdrawal limits cannot be reset by flooding the transaction history',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const leader = (await sim.login('Boss')).character;
+        const member = (await sim.login('Mole')).character;
+
+        const faction = await Game.factionManager.create(leader.user_id, 'Sharks', 'SHK');
+        await faction.addMember(member);
+        await faction.setRank(member.user_id, faction.findRank('Lieutenant'));
+
+        const limit = faction.getRank(member.user_id).withdrawLimit;
+        faction.bank = limit * 10;
+
+        // use up the limit
+        assert.strictEqual(faction.canWithdraw(member, limit), null, 'The member could not withdraw within their limit');
+        await faction.withdraw(member, limit);
+        assert.ok(faction.canWithdraw(member, 1), 'The member could withdraw past their limit');
+
+        // push the withdrawal out of the transaction history, with a deposit of 1 per entry
+        member.stats.money = Game.config.game.faction.history;
+        for (let i = 0; i < Game.config.game.faction.history; i++) {
+            await faction.deposit(member, 1);
+        }
+
+        assert.ok(!faction.transactions.some((entry) => entry.type === 'withdraw'), 'The withdrawal is still in the history');
+        assert.strictEqual(faction.getWithdrawLimitLeft(member), 0, 'The withdrawal limit was reset');
+        assert.ok(faction.canWithdraw(member, 1), 'The member could withdraw past their limit');
+    },
+};
@@ -0,0 +1,66 @@
+import assert from 'assert';
+
+export default {
+    name: 'Pausing the game loop freezes status effects and NPC pursuits, and task errors are counted',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const character = (await sim.login('Convict')).character;
+        const officer = Game.npcManager.npcs.find((npc) => npc.logic.lawEnforcement);
+
+        assert.ok(Game.jailManager.arrest(character, officer), 'The character could not be arrested');
+
+        const sentence = Game.effectManager.getStatus(character, 'jailed').timeLeft();
+
+        // no time passes in the game world while paused
+        Game.tickManager.pause();
+        await sim.advance(sentence + 5000);
+
+        assert.ok(Game.jailManager.isJailed(character), 'The sentence was served while the game was paused');
+        assert.strictEqual(Game.effectManager.getStatus(character, 'jailed').timeLeft(), sentence, 'The sentence ran down while the game was paused');
+
+        // the sentence picks up where it left off
+        Game.tickManager.resume();
+        await sim.advance(sentence - 1000);
+        assert.ok(Game.jailManager.isJailed(character), 'The sentence ended early');
+
+        await sim.advance(1000);
+        assert.ok(!Game.jailManager.isJailed(character), 'The sentence did not end');
+
+        // NPCs do not give up a chase while paused
+        const runner = (await sim.login('Runner')).character;
+        const hunter = Game.npcManager.npcs.find((npc) => npc.logic.remainHostile && npc.location.map === runner.location.map);
+        const gameMap = Game.mapManager.get(hunter.location.map);
+        const hideout = [[2, 0], [-2, 0], [0, 2], [0, -2]]
+            .map(([x, y]) => ({map: gameMap.id, x: hunter.location.x + x, y: hunter.location.y + y}))
+            .find((location) => {
+                const path = hunter.getPursuitPath(location);
+                return path && path.length === 2;
+            });
+
+        assert.ok(hideout, 'The NPC has no grid to chase a target to');
+        runner.location = hideout;
+        assert.ok(hunter.startPursuit(runner.user_id), 'The NPC did not give chase');
+
+        Game.tickManager.pause();
+        await sim.advance((hunter.logic.pursuit.timeout * 1000) + 5000);
+        Game.tickManager.resume();
+        await sim.advance(hunter.logic.timers.pursue * 1000);
+
+        assert.ok(hunter.pursuit, 'The NPC gave up the chase while the game was paused');
+
+        // errors in async tasks are caught, and counted
+        const errors = Game.tickManager.getStats().errors;
+        const failure = new Error('Simulated task failure');
+        Game.tickManager.schedule(100, async () => {
+            throw failure;
+        });
+        await sim.advance(100);
+
+        assert.strictEqual(Game.tickManager.getStats().errors, errors + 1, 'The failed async task was not counted');
+        assert.ok(sim.errors.includes(failure), 'The failed async task was not logged');
+
+        // the failure was expected
+        sim.errors = sim.errors.filter((err) => err !== failure);
+    },
+};
@@ -0,0 +1,34 @@
+import assert from 'assert';
+
+export default {
+    name: 'Jailed characters are out of reach of NPCs, and dying does not end their sentence',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const client = await sim.login('Convict');
+        const character = client.character;
+        const officer = Game.npcManager.npcs.find((npc) => npc.logic.lawEnforcement && npc.logic.remainHostile);
+        const hostile = Game.npcManager.npcs.find((npc) => npc !== officer && npc.logic.remainHostile);
+
+        assert.ok(Game.jailManager.arrest(character, officer), 'The character could not be arrested');
+        assert.ok(Game.jailManager.isJailed(character), 'The character is not jailed');
+
+        const jail = {...character.location};
+
+        // a hostile NPC in the jail will not aim at, or attack, the character
+        hostile.location = {...jail};
+        hostile.hostiles.push(character.user_id);
+        hostile.setTarget(character.user_id);
+        await sim.advance(10000);
+
+        assert.strictEqual(hostile.target, null, 'The NPC took aim at a jailed character');
+        assert.strictEqual(character.targetedBy.length, 0, 'The jailed character is gridlocked');
+        assert.strictEqual(hostile.startPursuit(character.user_id), false, 'The NPC chased a jailed character');
+
+        // dying in jail sends the character back to their cell, with the sentence intact
+        Game.characterManager.kill(character.user_id, hostile);
+
+        assert.ok(Game.jailManager.isJailed(character), 'Dying released the character from jail');
+        assert.deepStrictEqual(character.location, jail, 'The character did not respawn in the jail');
+    },
+};
@@ -0,0 +1,79 @@
+import assert from 'assert';
+import repositories from '../../components/repository';
+
+/**
+ * Sets the role of the account of a client, in the database and the active session
+ * @param  {SimClient} client The client
+ * @param  {String}    role   user, moderator or admin
+ * @return {Promise}
+ */
+async function setRole(client, role) {
+    await repositories.users.update({_id: client.user.user_id}, {$set: {role}});
+    client.user.role = role;
+}
+
+export default {
+    name: 'Moderators and admins can only kick, mute and ban accounts of a lower role, or lift their mute or ban',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const moderator = await sim.login('Moderator');
+        const colleague = await sim.login('Colleague');
+        const admin = await sim.login('Admin');
+        const player = await sim.login('Player');
+
+        await setRole(moderator, 'moderator');
+        await setRole(colleague, 'moderator');
+        await setRole(admin, 'admin');
+
+        const isMuted = async (client) => {
+            const user = await repositories.users.findOne({_id: client.user.user_id});
+            return user.muted_until > Date.now();
+        };
+
+        const isBanned = async (client) => {
+            const user = await repositories.users.findOne({_id: client.user.user_id});
+            return user.banned_until > Date.now();
+        };
+
+        // the same, or a higher, role is out of reach
+        for (const target of [colleague, admin]) {
+            moderator.clear();
+
+            await moderator.command(`/kick ${target.character.name}`);
+            assert.ok(target.character, `The moderator kicked a ${target.user.role}`);
+
+            await moderator.command(`/mute ${target.character.name} 1h`);
+            assert.ok(!await isMuted(target), `The moderator muted a ${target.user.role}`);
+            assert.strictEqual(moderator.messages('error').length, 2, `The moderator was not told they cannot moderate a ${target.user.role}`);
+        }
+
+        // a lower role is not
+        await moderator.command(`/mute ${player.character.name} 1h`);
+        assert.ok(await isMuted(player), 'The moderator could not mute a player');
+
+        await admin.command(`/mute ${moderator.character.name} 1h`);
+        assert.ok(await isMuted(moderator), 'The admin could not mute a moderator');
+
+        // and neither can a mute or ban placed by a higher role be lifted by a peer
+        await admin.command(`/mute ${colleague.character.name} 1h`);
+        await moderator.command(`/unmute ${colleague.character.name}`);
+        assert.ok(await isMuted(colleague), 'The moderator unmuted a moderator');
+
+        await admin.command(`/unmute ${colleague.character.name}`);
+        assert.ok(!await isMuted(colleague), 'The admin could not unmute a moderator');
+
+        // bans are for admins only, who cannot lift the ban of another admin
+        const peer = await sim.login('Peer');
+        await setRole(peer, 'admin');
+        await repositories.users.update({_id: peer.user.user_id}, {$set: {banned_until: Date.now() + 3600000}});
+
+        await admin.command(`/unban ${peer.character.name}`);
+        assert.ok(await isBanned(peer), 'The admin unbanned an admin');
+
+        const playerId = player.user.user_id;
+
+        await moderator.command(`/kick ${player.character.name}`);
+        assert.ok(!Game.characterManager.get(playerId), 'The moderator could not kick a player');
+    },
+};
@@ -0,0 +1,77 @@
+import assert from 'assert';
+
+/**
+ * The four directions, as move actions
+ * @type {Object}
+ */
+const DIRECTIONS = {
+    north: {grid: 'y', direction: -1},
+    east: {grid: 'x', direction: 1},
+    south: {grid: 'y', direction: 1},
+    west: {grid: 'x', direction: -1},
+};
+
+/**
+ * Finds a direction from a grid, which leads to a grid on the map that is (or is not) passable
+ * @param  {GameMap} gameMap  The map
+ * @param  {Object}  location {x, y}
+ * @param  {Boolean} passable Whether the grid should be passable
+ * @return {String}           The direction, or null if none
+ */
+function findDirection(gameMap, location, passable) {
+    return Object.keys(DIRECTIONS).find((direction) => {
+        const {grid, direction: step} = DIRECTIONS[direction];
+        const next = {...location, [grid]: location[grid] + step};
+
+        return gameMap.isValidPostion(next.x, next.y) && gameMap.isPassable(next.x, next.y) === passable;
+    }) || null;
+}
+
+export default {
+    name: 'Characters move between grids, within the move cooldown and terrain rules',
+    seed: 1,
+    async run(sim) {
+        const client = await sim.login('Walker');
+        const character = client.character;
+        const gameMap = sim.Game.mapManager.get(character.location.map);
+        const start = {...character.location};
+
+        // a move onto a passable grid
+        const direction = findDirection(gameMap, start, true);
+        assert.ok(direction, 'The spawn location has no passable neighbour');
+
+        await client.move(direction);
+        const {grid, direction: step} = DIRECTIONS[direction];
+        assert.strictEqual(character.location[grid], start[grid] + step, 'The character did not move');
+
+        // a second move straight away is held back by the move cooldown
+        const moved = {...character.location};
+        await client.move(direction === 'north' ? 'south' : 'north');
+        assert.deepStrictEqual(character.location, moved, 'The character moved during the move cooldown');
+
+        // once the cooldown runs out, they can move again
+        await sim.advance(1000);
+        const opposite = {north: 'south', south: 'north', east: 'west', west: 'east'}[direction];
+        await client.move(opposite);
+        assert.deepStrictEqual(character.location, start, 'The character did not move back after the cooldown');
+
+        // impassable terrain blocks the move, and tells the player why
+        let edge = null;
+        for (let y = 0; y <= gameMap.gridSize.y && !edge; y++) {
+            for (let x = 0; x <= gameMap.gridSize.x && !edge; x++) {
+                if (gameMap.isPassable(x, y) && findDirection(gameMap, {x, y}, false)) {
+                    edge = {x, y};
+                }
+            }
+        }
+        assert.ok(edge, 'The map has no impassable terrain');
+
+        character.updateLocation(gameMap.id, edge.x, edge.y);
+        await sim.advance(1000);
+        client.clear();
+
+        await client.move(findDirection(gameMap, edge, false));
+        assert.deepStrictEqual({x: character.location.x, y: character.location.y}, edge, 'The character moved onto impassable terrain');
+        assert.ok(client.events('warning').length, 'The player was not told the way is blocked');
+    },
+};
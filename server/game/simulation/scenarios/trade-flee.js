@@ -0,0 +1,26 @@
+import assert from 'assert';
+
+export default {
+    name: 'Fleeing the grid cancels an open trade',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const fleeing = await sim.login('Fleeing');
+        const partner = await sim.login('Partner');
+
+        partner.character.location = {...fleeing.character.location};
+
+        await fleeing.command('/tradewith partner');
+        await partner.command('/tradewith fleeing');
+        assert.ok(Game.tradeManager.get(fleeing.character), 'The trade did not open');
+
+        await partner.command('/aim fleeing');
+        assert.strictEqual(fleeing.character.targetedBy.length, 1, 'The partner did not take aim');
+
+        await fleeing.command('/flee');
+        assert.notDeepStrictEqual(fleeing.character.location, partner.character.location, 'The character did not flee');
+        assert.strictEqual(Game.tradeManager.get(fleeing.character), null, 'The trade survived fleeing the grid');
+        assert.strictEqual(Game.tradeManager.get(partner.character), null, 'The trade survived fleeing the grid');
+        assert.ok(partner.hasMessage('left the area', 'warning'), 'The partner was not told why the trade was cancelled');
+    },
+};
@@ -0,0 +1,30 @@
+import assert from 'assert';
+
+export default {
+    name: 'Players killed by players lose reputation, unless their factions are at war',
+    seed: 1,
+    async run(sim) {
+        const Game = sim.Game;
+        const shark = (await sim.login('Shark')).character;
+        const jet = (await sim.login('Jet')).character;
+        const loner = (await sim.login('Loner')).character;
+
+        const sharks = await Game.factionManager.create(shark.user_id, 'Sharks', 'SHK');
+        const jets = await Game.factionManager.create(jet.user_id, 'Jets', 'JET');
+        await Game.warManager.declare(sharks, jets);
+
+        shark.stats.exp = 1000;
+        jet.stats.exp = 1000;
+        loner.stats.exp = 1000;
+
+        // a kill in the war costs no reputation
+        Game.characterManager.kill(jet.user_id, shark);
+        assert.strictEqual(jet.stats.exp, 1000, 'A character killed in a faction war lost reputation');
+        assert.strictEqual(Game.warManager.getBetween(shark, jet).scores[sharks.faction_id], 1, 'The war kill was not scored');
+
+        // any other kill by a player does
+        Game.characterManager.kill(loner.user_id, shark);
+        assert.strictEqual(loner.stats.exp, 1000 - Math.floor(1000 * 0.035), 'A character killed outside of a war did not lose reputation');
+        assert.strictEqual(shark.stats.exp, 1000, 'The killer was given the lost reputation');
+    },
+};
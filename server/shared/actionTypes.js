@@ -27,6 +27,8 @@ export const ITEM_GROUND_ITEMS = 'ITEM_GROUND_ITEMS'; // UPDATE_GROUND_ITEMS
 export const MAP_GRID_DETAILS = 'MAP_GRID_DETAILS'; // JOIN_GRID
 export const MAP_GET_LIST = 'MAP_GET_LIST'; // MAPS_GET_LIST
 export const MAP_LIST = 'MAP_LIST'; // MAPS_LIST
+export const MAP_BEACONS = 'MAP_BEACONS';
+export const MAP_TURF = 'MAP_TURF';
 
 // NPC
 export const NPC_JOINED_GRID = 'NPC_JOINED_GRID';
@@ -42,6 +44,10 @@ export const SHOP_LOAD = 'SHOP_LOAD';
 export const SHOP_UPDATE = 'SHOP_UPDATE';
 export const SHOP_EVENT = 'SHOP_EVENT';
 
+// TRADE
+export const TRADE_UPDATE = 'TRADE_UPDATE';
+export const TRADE_CLOSE = 'TRADE_CLOSE';
+
 // USER
 export const USER_AUTHENTICATE = 'USER_AUTHENTICATE'; // ACCOUNT_AUTHENTICATE
 export const USER_AUTHENTICATE_ERROR = 'USER_AUTHENTICATE_ERROR'; // ACCOUNT_AUTHENTICATE_ERROR